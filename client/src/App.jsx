@@ -1,6 +1,8 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { EventProvider } from './context/EventContext';
+import { TreeProvider } from './context/TreeContext';
+import { useTrees } from './hooks/useTrees';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
@@ -8,6 +10,7 @@ import Dashboard from './pages/Dashboard';
 import FamilyTree from './pages/FamilyTree';
 import TreePage from './pages/TreePage';
 import Profile from './pages/Profile';
+import Places from './pages/Places';
 
 // Protected route wrapper
 function ProtectedRoute({ children }) {
@@ -47,6 +50,16 @@ function PublicRoute({ children }) {
   return children;
 }
 
+// GEDCOM events of the tree picked in the enclosing TreeProvider
+function SelectedTreeEventProvider({ children }) {
+  const { selectedTreeId } = useTrees();
+  return (
+    <EventProvider source="gedcom" treeId={selectedTreeId}>
+      {children}
+    </EventProvider>
+  );
+}
+
 function AppRoutes() {
   return (
     <Routes>
@@ -81,9 +94,11 @@ function AppRoutes() {
         path="/family-tree"
         element={
           <ProtectedRoute>
-            <EventProvider source="gedcom">
-              <FamilyTree />
-            </EventProvider>
+            <TreeProvider>
+              <SelectedTreeEventProvider>
+                <FamilyTree />
+              </SelectedTreeEventProvider>
+            </TreeProvider>
           </ProtectedRoute>
         }
       />
@@ -91,7 +106,17 @@ function AppRoutes() {
         path="/tree"
         element={
           <ProtectedRoute>
-            <TreePage />
+            <TreeProvider>
+              <TreePage />
+            </TreeProvider>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/places"
+        element={
+          <ProtectedRoute>
+            <Places />
           </ProtectedRoute>
         }
       />
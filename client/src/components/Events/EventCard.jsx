@@ -1,13 +1,9 @@
 import { getCategoryColor, getCategoryLabel } from '../../constants/categories';
 import { UPLOADS_URL } from '../../hooks/useApi';
+import { formatEventDate } from '../../constants/dates';
 
 export default function EventCard({ event, index, isSelected, onClick, onEdit, onDelete, readOnly = false }) {
-  const dateOpts = { year: 'numeric', month: 'long', day: 'numeric' };
-  const startDate = new Date(event.event_date).toLocaleDateString('en-US', dateOpts);
-  const endDate = event.end_date
-    ? new Date(event.end_date).toLocaleDateString('en-US', dateOpts)
-    : null;
-  const formattedDate = endDate ? `${startDate} - ${endDate}` : startDate;
+  const formattedDate = formatEventDate(event);
   const catColor = getCategoryColor(event.category);
 
   return (
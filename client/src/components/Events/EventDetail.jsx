@@ -1,25 +1,37 @@
 import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { eventsApi, UPLOADS_URL } from '../../hooks/useApi';
 import { useAuth } from '../../context/AuthContext';
 import { getCategoryColor, getCategoryLabel } from '../../constants/categories';
+import { formatEventDate, isApproximateDate } from '../../constants/dates';
+import { getCitationQuality } from '../../constants/citations';
+import { isApproximate, getPrecisionLabel } from '../../constants/locations';
 
 export default function EventDetail({ event, onClose, onEventUpdated, readOnly = false }) {
   const { user } = useAuth();
   const [comments, setComments] = useState([]);
+  const [citations, setCitations] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [uploading, setUploading] = useState(false);
   const [lightboxIndex, setLightboxIndex] = useState(null);
   const fileInputRef = useRef(null);
 
   const isOwner = event.user_id === user?.id;
-  const dateOpts = { year: 'numeric', month: 'long', day: 'numeric' };
-  const startDate = new Date(event.event_date).toLocaleDateString('en-US', dateOpts);
-  const endDate = event.end_date ? new Date(event.end_date).toLocaleDateString('en-US', dateOpts) : null;
+  const formattedDate = formatEventDate(event);
 
   useEffect(() => {
     loadComments();
   }, [event.id]);
 
+  // Sources cited for the event (only GEDCOM imports have any)
+  useEffect(() => {
+    let cancelled = false;
+    eventsApi.getCitations(event.id)
+      .then((res) => { if (!cancelled) setCitations(res.data.citations); })
+      .catch(() => { if (!cancelled) setCitations([]); });
+    return () => { cancelled = true; };
+  }, [event.id]);
+
   const loadComments = async () => {
     try {
       const res = await eventsApi.getComments(event.id);
@@ -139,7 +151,10 @@ export default function EventDetail({ event, onClose, onEventUpdated, readOnly =
             </div>
             <h2 className="text-xl font-bold text-gray-800">{event.title}</h2>
             <p className="text-sm text-gray-500 mt-1">
-              {startDate}{endDate ? ` - ${endDate}` : ''}
+              {formattedDate}
+              {isApproximateDate(event) && (
+                <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-amber-50 text-amber-700">approximate</span>
+              )}
             </p>
             {event.user_name && (
               <p className="text-xs text-purple-600 mt-1">By {event.user_name}</p>
@@ -157,11 +172,70 @@ export default function EventDetail({ event, onClose, onEventUpdated, readOnly =
             </div>
           )}
 
+          {/* GEDCOM people the event describes */}
+          {isOwner && event.people?.length > 0 && (
+            <div className="text-sm text-gray-600 flex flex-wrap gap-x-2">
+              <span className="text-gray-500">In the tree:</span>
+              {event.people.map((p) => (
+                <Link key={p.id} to={`/tree?person=${p.id}`} className="text-indigo-600 hover:text-indigo-800">
+                  {p.name}
+                </Link>
+              ))}
+            </div>
+          )}
+
           {/* Location */}
           <div className="text-sm text-gray-500">
             Location: {event.latitude?.toFixed(4)}, {event.longitude?.toFixed(4)}
+            {isApproximate(event) && ` (approximate: ${getPrecisionLabel(event.location_precision).toLowerCase()})`}
           </div>
 
+          {/* Notes (imported from GEDCOM) */}
+          {event.notes && (
+            <div>
+              <h3 className="font-semibold text-gray-700 mb-2">Notes</h3>
+              <p className="text-sm text-gray-600 whitespace-pre-line">{event.notes}</p>
+            </div>
+          )}
+
+          {/* Sources */}
+          {citations.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-gray-700 mb-2">Sources ({citations.length})</h3>
+              <ul className="space-y-2">
+                {citations.map((c) => {
+                  const quality = getCitationQuality(c.quality);
+                  return (
+                    <li key={c.id} className="bg-gray-50 rounded p-2 text-sm">
+                      <div className="flex justify-between items-start gap-2">
+                        <span className="font-medium text-gray-800">
+                          {c.source_title || c.text || 'Unnamed source'}
+                        </span>
+                        {quality && (
+                          <span className={`text-xs px-1.5 py-0.5 rounded whitespace-nowrap ${quality.className}`}>
+                            {quality.label}
+                          </span>
+                        )}
+                      </div>
+                      {(c.source_author || c.source_repository) && (
+                        <p className="text-xs text-gray-500 mt-0.5">
+                          {[c.source_author, c.source_repository].filter(Boolean).join(' · ')}
+                        </p>
+                      )}
+                      {c.page && <p className="text-gray-600 mt-1">{c.page}</p>}
+                      {c.source_title && c.text && (
+                        <blockquote className="text-gray-600 mt-1 pl-2 border-l-2 border-gray-300 whitespace-pre-line">
+                          {c.text}
+                        </blockquote>
+                      )}
+                      {c.note && <p className="text-xs text-gray-500 mt-1 whitespace-pre-line">{c.note}</p>}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
           {/* Photos */}
           <div>
             <h3 className="font-semibold text-gray-700 mb-2">Photos</h3>
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import { EVENT_CATEGORIES } from '../../constants/categories';
+import { DATE_PRECISIONS, DATE_QUALIFIERS } from '../../constants/dates';
 
 export default function EventForm({ onSubmit, onCancel, initialData, position }) {
   const [title, setTitle] = useState('');
@@ -7,6 +8,8 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
   const [eventDate, setEventDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [hasEndDate, setHasEndDate] = useState(false);
+  const [datePrecision, setDatePrecision] = useState('day');
+  const [dateQualifier, setDateQualifier] = useState('');
   const [category, setCategory] = useState('other');
   const [selectedFiles, setSelectedFiles] = useState([]);
   const fileInputRef = useRef(null);
@@ -19,6 +22,8 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
       const existingEnd = initialData.end_date?.split('T')[0] || '';
       setEndDate(existingEnd);
       setHasEndDate(!!existingEnd);
+      setDatePrecision(initialData.date_precision || 'day');
+      setDateQualifier(initialData.date_qualifier || '');
       setCategory(initialData.category || 'other');
     } else {
       setTitle('');
@@ -26,6 +31,8 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
       setEventDate('');
       setEndDate('');
       setHasEndDate(false);
+      setDatePrecision('day');
+      setDateQualifier('');
       setCategory('other');
     }
     setSelectedFiles([]);
@@ -49,6 +56,11 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
       description,
       event_date: eventDate,
       end_date: hasEndDate && endDate ? endDate : null,
+      date_precision: datePrecision,
+      // With an end date the only qualifier is "sometime between"; otherwise it's a plain range
+      date_qualifier: hasEndDate && endDate
+        ? (dateQualifier === 'between' ? 'between' : null)
+        : (dateQualifier && dateQualifier !== 'between' ? dateQualifier : null),
       category,
       latitude: position?.lat || initialData?.latitude,
       longitude: position?.lng || initialData?.longitude,
@@ -122,6 +134,30 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
                 className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
                 required
               />
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <select
+                  value={datePrecision}
+                  onChange={(e) => setDatePrecision(e.target.value)}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                  title="How much of the date is known"
+                >
+                  {DATE_PRECISIONS.map((p) => (
+                    <option key={p.value} value={p.value}>{p.label}</option>
+                  ))}
+                </select>
+                {!hasEndDate && (
+                  <select
+                    value={dateQualifier}
+                    onChange={(e) => setDateQualifier(e.target.value)}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                    title="Whether the date is exact or approximate"
+                  >
+                    {DATE_QUALIFIERS.map((q) => (
+                      <option key={q.value} value={q.value}>{q.label}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
             </div>
 
             <div className="mb-4">
@@ -138,13 +174,24 @@ export default function EventForm({ onSubmit, onCancel, initialData, position })
                 <span className="text-gray-700 text-sm font-bold">Date range (optional end date)</span>
               </label>
               {hasEndDate && (
-                <input
-                  type="date"
-                  value={endDate}
-                  onChange={(e) => setEndDate(e.target.value)}
-                  min={eventDate}
-                  className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
-                />
+                <>
+                  <input
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    min={eventDate}
+                    className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                  />
+                  <label className="flex items-center gap-2 cursor-pointer mt-2">
+                    <input
+                      type="checkbox"
+                      checked={dateQualifier === 'between'}
+                      onChange={(e) => setDateQualifier(e.target.checked ? 'between' : '')}
+                      className="rounded"
+                    />
+                    <span className="text-gray-700 text-sm">Happened sometime between these dates</span>
+                  </label>
+                </>
               )}
             </div>
 
@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from 'react';
+import { placeNamesApi } from '../../hooks/useApi';
+
+const EMPTY_FORM = { old_name: '', modern_name: '', from_year: '', to_year: '', country: '', shared: false };
+
+// Historical place name dictionary: old names in imported places are looked up under
+// their modern names. Shared entries apply to everyone; family entries to the family's imports.
+export default function PlaceNames({ hasFamily }) {
+  const [placeNames, setPlaceNames] = useState([]);
+  const [canEditShared, setCanEditShared] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadPlaceNames = useCallback(() => {
+    placeNamesApi.getAll()
+      .then((res) => {
+        setPlaceNames(res.data.placeNames);
+        setCanEditShared(res.data.canEditShared);
+      })
+      .catch((err) => console.error('Failed to load place names:', err));
+  }, []);
+
+  useEffect(() => {
+    loadPlaceNames();
+  }, [loadPlaceNames]);
+
+  const canEdit = (entry) => (entry.shared ? canEditShared : hasFamily);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setError('');
+  };
+
+  const handleEdit = (entry) => {
+    setForm({
+      old_name: entry.old_name,
+      modern_name: entry.modern_name,
+      from_year: entry.from_year ?? '',
+      to_year: entry.to_year ?? '',
+      country: entry.country || '',
+      shared: entry.shared,
+    });
+    setEditingId(entry.id);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const data = {
+      old_name: form.old_name,
+      modern_name: form.modern_name,
+      from_year: form.from_year === '' ? null : Number(form.from_year),
+      to_year: form.to_year === '' ? null : Number(form.to_year),
+      country: form.country || null,
+      shared: form.shared || !hasFamily,
+    };
+    try {
+      if (editingId) await placeNamesApi.update(editingId, data);
+      else await placeNamesApi.create(data);
+      resetForm();
+      loadPlaceNames();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save place name');
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm(`Delete the entry for "${entry.old_name}"?`)) return;
+    try {
+      await placeNamesApi.delete(entry.id);
+      if (editingId === entry.id) resetForm();
+      loadPlaceNames();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete place name');
+    }
+  };
+
+  const formatYears = (entry) => {
+    if (entry.from_year === null && entry.to_year === null) return 'Any year';
+    if (entry.from_year === null) return `Until ${entry.to_year}`;
+    if (entry.to_year === null) return `From ${entry.from_year}`;
+    return `${entry.from_year}–${entry.to_year}`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-1">Historical Place Names</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Old, foreign or misspelt names in imported places are looked up on the map under their modern name.
+        {hasFamily
+          ? ' Entries you add apply to everyone in your family.'
+          : ' Join a family to add your own entries.'}
+      </p>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-medium pb-1">Old name</th>
+            <th className="font-medium pb-1">Modern name</th>
+            <th className="font-medium pb-1">Years</th>
+            <th className="font-medium pb-1">Country</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {placeNames.map((entry) => (
+            <tr key={entry.id} className={`border-t border-gray-100 ${editingId === entry.id ? 'bg-blue-50' : ''}`}>
+              <td className="py-1 text-gray-800">{entry.old_name}</td>
+              <td className="py-1 text-gray-800">{entry.modern_name}</td>
+              <td className="py-1 text-gray-600">{formatYears(entry)}</td>
+              <td className="py-1 text-gray-600">{entry.country || '—'}</td>
+              <td className="py-1 text-right whitespace-nowrap">
+                {entry.shared && <span className="text-xs text-gray-400 mr-2">Shared</span>}
+                {canEdit(entry) && (
+                  <>
+                    <button onClick={() => handleEdit(entry)} className="text-blue-600 hover:underline mr-2">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(entry)} className="text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(hasFamily || canEditShared) && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <h3 className="text-sm font-medium text-gray-700">{editingId ? 'Edit entry' : 'Add an entry'}</h3>
+          {error && <div className="bg-red-100 text-red-700 px-3 py-2 rounded text-sm">{error}</div>}
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={form.old_name}
+              onChange={(e) => setForm({ ...form, old_name: e.target.value })}
+              placeholder="Old name (e.g. Ceylon)"
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              required
+            />
+            <input
+              type="text"
+              value={form.modern_name}
+              onChange={(e) => setForm({ ...form, modern_name: e.target.value })}
+              placeholder="Modern name (e.g. Sri Lanka)"
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              required
+            />
+            <input
+              type="number"
+              value={form.from_year}
+              onChange={(e) => setForm({ ...form, from_year: e.target.value })}
+              placeholder="In use from (year)"
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="number"
+              value={form.to_year}
+              onChange={(e) => setForm({ ...form, to_year: e.target.value })}
+              placeholder="In use until (year)"
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="text"
+              value={form.country}
+              onChange={(e) => setForm({ ...form, country: e.target.value })}
+              placeholder="Modern country (optional)"
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+            />
+            {canEditShared && !editingId && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.shared || !hasFamily}
+                  disabled={!hasFamily}
+                  onChange={(e) => setForm({ ...form, shared: e.target.checked })}
+                  className="rounded"
+                />
+                Shared with everyone
+              </label>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+              {editingId ? 'Save' : 'Add'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="px-4 py-2 text-gray-600 text-sm hover:text-gray-800">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
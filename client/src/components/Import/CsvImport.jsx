@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { eventsApi } from '../../hooks/useApi';
+import { getCategoryColor } from '../../constants/categories';
+
+const IMPORT_PHASES = {
+  queued: 'Waiting to start...',
+  geocoding: 'Geocoding places...',
+  events: 'Saving events...',
+};
+
+function formatPreviewDate(evt) {
+  const length = evt.precision === 'year' ? 4 : evt.precision === 'month' ? 7 : 10;
+  const start = evt.date.substring(0, length);
+  const range = evt.endDate ? `${start} – ${evt.endDate.substring(0, length)}` : start;
+  return evt.qualifier ? `${evt.qualifier} ${range}` : range;
+}
+
+function RowErrors({ errors }) {
+  if (errors.length === 0) return <p className="text-gray-400">None</p>;
+  return (
+    <ul className="space-y-1 text-gray-600">
+      {errors.map((row) => (
+        <li key={row.line}>
+          <span className="font-mono text-xs text-gray-500">Line {row.line}:</span> {row.errors.join('; ')}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function CsvImport({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const loadPreview = async (csvFile, columnMapping) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append('csv', csvFile);
+      if (columnMapping) formData.append('mapping', JSON.stringify(columnMapping));
+      const response = await eventsApi.previewCsv(formData);
+      setPreview(response.data.preview);
+      setMapping(response.data.preview.mapping);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    setFile(selected);
+    setPreview(null);
+    loadPreview(selected, null);
+  };
+
+  const handleMappingChange = (field, value) => {
+    const next = { ...mapping, [field]: value === '' ? null : Number(value) };
+    setMapping(next);
+    loadPreview(file, next);
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append('csv', file);
+      formData.append('mapping', JSON.stringify(mapping));
+      const response = await eventsApi.importCsv(formData);
+      setJob(response.data.job);
+      setJobId(response.data.job.id);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Poll the import job until it finishes
+  useEffect(() => {
+    if (!jobId) return;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const response = await eventsApi.getImportJob(jobId);
+        if (cancelled) return;
+        const { job: current } = response.data;
+        setJob(current);
+        if (current.status === 'completed') {
+          setJobId(null);
+          setResult(current.result);
+          onImported();
+        } else if (current.status === 'failed') {
+          setJobId(null);
+          setError(current.error || 'Import failed');
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setJobId(null);
+        setError(err.response?.data?.error || err.message);
+      }
+    };
+
+    const timer = setInterval(poll, 1500);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [jobId, onImported]);
+
+  const importing = Boolean(jobId);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center" style={{ zIndex: 10001 }}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Import Events from CSV</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            One event per row, with a header row. Rows need a title, a date (1982-10-12, 1982-10, 1982 or 12 OCT 1982)
+            and a place or latitude and longitude. Places without coordinates are looked up on the map.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 text-sm space-y-4">
+          {!result && (
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt"
+              onChange={handleFileChange}
+              disabled={loading || importing}
+              className="block text-sm text-gray-600"
+            />
+          )}
+
+          {error && <p className="text-red-600">{error}</p>}
+
+          {preview && !result && (
+            <>
+              {/* Column mapping */}
+              <div>
+                <h4 className="font-medium text-gray-700 mb-2">Columns</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  {preview.fields.map(({ field, label, required }) => (
+                    <label key={field} className="flex items-center gap-2">
+                      <span className="w-28 text-gray-600">{label}{required && ' *'}</span>
+                      <select
+                        value={mapping[field] ?? ''}
+                        onChange={(e) => handleMappingChange(field, e.target.value)}
+                        disabled={loading || importing}
+                        className="flex-1 border rounded px-2 py-1 text-sm"
+                      >
+                        <option value="">(none)</option>
+                        {preview.headers.map((header, index) => (
+                          <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {preview.mappingError ? (
+                <p className="text-amber-700">{preview.mappingError}</p>
+              ) : (
+                <>
+                  <p className="text-gray-700">
+                    <span className="font-medium">{preview.validCount}</span> of {preview.rowCount} rows can be imported.
+                    {preview.geocodeCount > 0 && ` ${preview.geocodeCount} places will be looked up.`}
+                  </p>
+
+                  {/* First rows as they will be imported */}
+                  <div className="space-y-1">
+                    {preview.rows.filter((row) => row.event).map(({ line, event: evt }) => (
+                      <div key={line} className="flex items-center gap-2">
+                        <span
+                          className="inline-block w-2 h-2 rounded-full flex-shrink-0"
+                          style={{ backgroundColor: getCategoryColor(evt.category) }}
+                        />
+                        <span className="text-gray-800">{evt.title}</span>
+                        <span className="text-xs text-gray-400">{formatPreviewDate(evt)}</span>
+                        <span className="text-xs text-gray-500 ml-auto truncate max-w-[40%]">
+                          {evt.place || `${evt.lat}, ${evt.lon}`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div>
+                    <h4 className="font-medium text-gray-700 mb-1">Rows that will be skipped</h4>
+                    <RowErrors errors={preview.errors} />
+                  </div>
+                </>
+              )}
+            </>
+          )}
+
+          {importing && (
+            <p className="text-gray-700">
+              {IMPORT_PHASES[job?.phase] || 'Importing...'}
+              {job?.phase === 'geocoding' && job.total > 0 && ` ${job.geocoded} / ${job.total}`}
+            </p>
+          )}
+
+          {result && (
+            <>
+              <p className="text-green-700">{result.message}</p>
+              {result.errors.length > 0 && (
+                <div>
+                  <h4 className="font-medium text-gray-700 mb-1">Skipped rows</h4>
+                  <RowErrors errors={result.errors} />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            {result ? 'Close' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={!preview || Boolean(preview.mappingError) || preview.validCount === 0 || loading || importing}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
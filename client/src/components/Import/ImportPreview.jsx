@@ -0,0 +1,292 @@
+import { useState, useMemo } from 'react';
+import { getCategoryColor } from '../../constants/categories';
+import ValidationReport from './ValidationReport';
+
+const MODE_LABELS = {
+  replace: 'Replace existing GEDCOM data',
+  merge: 'Merge with existing GEDCOM data',
+  add: 'Add only new people and events',
+};
+
+// A new tree is named after the file unless the user changes it
+function treeNameFromFile(fileName) {
+  return (fileName || '').replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Family Tree';
+}
+
+export default function ImportPreview({ preview, fileName, mode, trees, selectedTree, submitting, onConfirm, onCancel }) {
+  // 'new' or the id of an existing tree
+  const [target, setTarget] = useState(() => (selectedTree ? String(selectedTree.id) : 'new'));
+  const [treeName, setTreeName] = useState(() => treeNameFromFile(fileName));
+  const [excludedPeople, setExcludedPeople] = useState(() => new Set());
+  const [excludedEvents, setExcludedEvents] = useState(() => new Set());
+  const [tab, setTab] = useState('people');
+
+  const peopleById = useMemo(() => {
+    const map = {};
+    for (const p of preview.people) map[p.gedcomId] = p;
+    return map;
+  }, [preview.people]);
+
+  // Family events belong to both spouses and are left out if either one is
+  const excludedPersonOf = (evt) => evt.personIds.find((id) => excludedPeople.has(id));
+
+  const selectedEvents = preview.events.filter(
+    (e) => !excludedPersonOf(e) && !excludedEvents.has(e.key)
+  );
+
+  const toggle = (setter, id) => {
+    setter((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const setAllPeople = (selected) => {
+    setExcludedPeople(selected ? new Set() : new Set(preview.people.map((p) => p.gedcomId)));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      excludePeople: [...excludedPeople],
+      excludeEvents: [...excludedEvents],
+      ...(target === 'new' ? { treeName: treeName.trim() } : { treeId: Number(target) }),
+    });
+  };
+
+  const missingMedia = [
+    ...(preview.media?.missing || []).map((name) => ({ name, reason: 'not in the ZIP' })),
+    ...(preview.media?.tooLarge || []).map((name) => ({ name, reason: 'larger than 5MB' })),
+  ];
+
+  const tabs = [
+    { id: 'people', label: `People (${preview.people.length})` },
+    { id: 'events', label: `Events (${preview.events.length})` },
+    { id: 'places', label: `Places to geocode (${preview.places.length})` },
+    { id: 'problems', label: `Problems (${preview.unparsedDates.length + preview.unnamed.length + missingMedia.length})` },
+    // Only GEDCOM files get a validation report
+    ...(preview.validation ? [{ id: 'validation', label: `Validation (${preview.validation.issueCount})` }] : []),
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center" style={{ zIndex: 10001 }}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[85vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Review {preview.format || 'GEDCOM'} Import</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {fileName} &middot; {target === 'new' ? 'New tree' : MODE_LABELS[mode] || mode}
+            {preview.encoding && <> &middot; {preview.encoding}</>}
+          </p>
+          <p className="text-sm text-gray-700 mt-2">
+            <span className="font-medium">{preview.people.length - excludedPeople.size}</span> people,{' '}
+            <span className="font-medium">{selectedEvents.length}</span> events and{' '}
+            <span className="font-medium">{preview.familiesCount}</span> families will be imported.
+            {preview.sourcesCount > 0 && (
+              <> Events cite <span className="font-medium">{preview.sourcesCount}</span> sources.</>
+            )}
+          </p>
+          <div className="flex items-center gap-2 mt-2 text-sm">
+            <label htmlFor="import-tree" className="text-gray-600">Import into</label>
+            <select
+              id="import-tree"
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              disabled={submitting}
+              className="border rounded px-2 py-1 text-sm bg-white"
+            >
+              {trees.map((tree) => (
+                <option key={tree.id} value={tree.id}>{tree.name}</option>
+              ))}
+              <option value="new">New tree</option>
+            </select>
+            {target === 'new' && (
+              <input
+                type="text"
+                value={treeName}
+                onChange={(e) => setTreeName(e.target.value)}
+                disabled={submitting}
+                maxLength={100}
+                placeholder="Tree name"
+                className="flex-1 border rounded px-2 py-1 text-sm"
+              />
+            )}
+          </div>
+          {preview.media?.referenced > 0 && (
+            <p className="text-sm text-gray-500 mt-1">
+              {preview.media.fromArchive
+                ? `${preview.media.found} of ${preview.media.referenced} pictures were found in the ZIP and will be added as photos.`
+                : `The file refers to ${preview.media.referenced} pictures. Upload a .zip with the .ged and its media folder to import them.`}
+            </p>
+          )}
+        </div>
+
+        {/* Tabs */}
+        <div className="flex border-b px-4">
+          {tabs.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`px-3 py-2 text-sm border-b-2 -mb-px ${
+                tab === t.id
+                  ? 'border-green-600 text-green-700 font-medium'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Tab content */}
+        <div className="flex-1 overflow-auto p-4 text-sm">
+          {tab === 'people' && (
+            <>
+              <div className="flex gap-3 mb-2 text-xs">
+                <button onClick={() => setAllPeople(true)} className="text-blue-600 hover:text-blue-800">Select all</button>
+                <button onClick={() => setAllPeople(false)} className="text-blue-600 hover:text-blue-800">Select none</button>
+              </div>
+              <div className="space-y-1">
+                {preview.people.map((person) => (
+                  <label key={person.gedcomId} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!excludedPeople.has(person.gedcomId)}
+                      onChange={() => toggle(setExcludedPeople, person.gedcomId)}
+                      className="rounded"
+                    />
+                    <span className="text-gray-800">{person.name}</span>
+                    <span className="text-xs text-gray-400">
+                      {person.birthDate ? person.birthDate.substring(0, 4) : '?'}
+                      {' - '}
+                      {person.deathDate ? person.deathDate.substring(0, 4) : ''}
+                    </span>
+                    <span className="text-xs text-gray-500 ml-auto">
+                      {person.eventCount} event{person.eventCount !== 1 ? 's' : ''}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          {tab === 'events' && (
+            <div className="space-y-1">
+              {preview.events.length === 0 && <p className="text-gray-500">No events with a date and place were found.</p>}
+              {preview.events.map((evt) => {
+                const excludedPerson = excludedPersonOf(evt);
+                const personExcluded = Boolean(excludedPerson);
+                return (
+                  <label
+                    key={evt.key}
+                    className={`flex items-center gap-2 ${personExcluded ? 'opacity-50' : 'cursor-pointer'}`}
+                    title={personExcluded ? `${peopleById[excludedPerson]?.name || 'This person'} is not selected` : ''}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!personExcluded && !excludedEvents.has(evt.key)}
+                      disabled={personExcluded}
+                      onChange={() => toggle(setExcludedEvents, evt.key)}
+                      className="rounded"
+                    />
+                    <span
+                      className="inline-block w-2 h-2 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: getCategoryColor(evt.category) }}
+                    />
+                    <span className="text-gray-800">{evt.title}</span>
+                    <span className="text-xs text-gray-400">{evt.rawDate}</span>
+                    {evt.mediaCount > 0 && (
+                      <span className="text-xs text-gray-400" title="Pictures attached in the file">
+                        {evt.mediaCount} photo{evt.mediaCount !== 1 ? 's' : ''}
+                      </span>
+                    )}
+                    <span className="text-xs text-gray-500 ml-auto truncate max-w-[40%]">{evt.place}</span>
+                  </label>
+                );
+              })}
+            </div>
+          )}
+
+          {tab === 'places' && (
+            <>
+              <p className="text-gray-500 mb-2">
+                These places have no coordinates in the file and will be looked up during import.
+              </p>
+              <ul className="space-y-1 text-gray-700">
+                {preview.places.map((place) => (
+                  <li key={place}>{place}</li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {tab === 'problems' && (
+            <div className="space-y-4">
+              <div>
+                <h4 className="font-medium text-gray-700 mb-1">Dates that could not be read</h4>
+                {preview.unparsedDates.length === 0 ? (
+                  <p className="text-gray-400">None</p>
+                ) : (
+                  <ul className="space-y-1 text-gray-600">
+                    {preview.unparsedDates.map((d) => (
+                      <li key={`${d.gedcomId}:${d.type}`}>
+                        {d.name} ({d.type}): <span className="font-mono text-xs">{d.date}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div>
+                <h4 className="font-medium text-gray-700 mb-1">Individuals without a name (skipped)</h4>
+                {preview.unnamed.length === 0 ? (
+                  <p className="text-gray-400">None</p>
+                ) : (
+                  <p className="text-gray-600 font-mono text-xs">{preview.unnamed.join(', ')}</p>
+                )}
+              </div>
+              {preview.media?.fromArchive && (
+                <div>
+                  <h4 className="font-medium text-gray-700 mb-1">Pictures that can't be imported</h4>
+                  {missingMedia.length === 0 ? (
+                    <p className="text-gray-400">None</p>
+                  ) : (
+                    <ul className="space-y-1 text-gray-600">
+                      {missingMedia.map((m) => (
+                        <li key={m.name}>
+                          <span className="font-mono text-xs">{m.name}</span> ({m.reason})
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {tab === 'validation' && preview.validation && (
+            <ValidationReport report={preview.validation} fileName={fileName} />
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            disabled={submitting}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={submitting || preview.people.length === excludedPeople.size || (target === 'new' && !treeName.trim())}
+            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            {submitting ? 'Starting...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
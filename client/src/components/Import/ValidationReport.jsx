@@ -0,0 +1,99 @@
+function Section({ title, items, render }) {
+  return (
+    <div>
+      <h4 className="font-medium text-gray-700 mb-1">
+        {title} {items.length > 0 && <span className="text-gray-400 font-normal">({items.length})</span>}
+      </h4>
+      {items.length === 0 ? (
+        <p className="text-gray-400">None</p>
+      ) : (
+        <ul className="space-y-1 text-gray-600">
+          {items.map(render)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function LineNumber({ line }) {
+  return <span className="font-mono text-xs text-gray-400">line {line}</span>;
+}
+
+export default function ValidationReport({ report, fileName }) {
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(fileName || 'gedcom').replace(/\.[^.]+$/, '')}-validation.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3">
+        <p className="text-gray-700">
+          {report.issueCount === 0
+            ? 'No problems found.'
+            : `${report.issueCount} problem${report.issueCount !== 1 ? 's' : ''} found in ${report.counts.lines} lines.`}
+        </p>
+        <button onClick={handleDownload} className="ml-auto text-xs text-blue-600 hover:text-blue-800">
+          Download report (JSON)
+        </button>
+      </div>
+
+      <Section
+        title="Broken references"
+        items={report.brokenXrefs}
+        render={(x) => (
+          <li key={`${x.line}:${x.xref}`}>
+            <LineNumber line={x.line} /> {x.record}: {x.tag} points to <span className="font-mono text-xs">{x.xref}</span>
+            {x.found ? `, which is a ${x.found} record, not ${x.expected}` : `, but there is no such ${x.expected} record`}
+          </li>
+        )}
+      />
+
+      <Section
+        title="Impossible dates"
+        items={report.chronology}
+        render={(c) => (
+          <li key={`${c.type}:${c.gedcomId}:${c.message}`}>
+            <span className="text-gray-800">{c.name || c.gedcomId}</span>: {c.message}
+          </li>
+        )}
+      />
+
+      <Section
+        title="Dates that could not be read"
+        items={report.unparsedDates}
+        render={(d) => (
+          <li key={d.line}>
+            <LineNumber line={d.line} /> {d.name || d.record || 'Header'}{d.event && ` (${d.event})`}:{' '}
+            <span className="font-mono text-xs">{d.date}</span>
+          </li>
+        )}
+      />
+
+      <Section
+        title="Individuals in no family"
+        items={report.unlinkedIndividuals}
+        render={(p) => (
+          <li key={p.gedcomId}>
+            {p.name || 'Unnamed'} <span className="font-mono text-xs text-gray-400">{p.gedcomId}</span>
+          </li>
+        )}
+      />
+
+      <Section
+        title="Unknown tags (ignored on import)"
+        items={report.unknownTags}
+        render={(t) => (
+          <li key={t.tag}>
+            <span className="font-mono text-xs">{t.tag}</span> &times; {t.count}, first on <LineNumber line={t.line} />
+          </li>
+        )}
+      />
+    </div>
+  );
+}
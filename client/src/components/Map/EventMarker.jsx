@@ -1,6 +1,8 @@
-import { Marker, Popup } from 'react-leaflet';
+import { Marker, Circle, Popup } from 'react-leaflet';
 import L from 'leaflet';
 import { getCategoryColor, getCategoryLabel } from '../../constants/categories';
+import { formatEventDate } from '../../constants/dates';
+import { isApproximate, getUncertaintyRadius, getPrecisionLabel } from '../../constants/locations';
 
 function createNumberedIcon(number, category = 'other', isSelected = false) {
   const baseColor = getCategoryColor(category);
@@ -34,37 +36,70 @@ function createNumberedIcon(number, category = 'other', isSelected = false) {
 }
 
 export default function EventMarker({ event, index, isSelected, onClick }) {
-  const icon = createNumberedIcon(index + 1, event.category, isSelected);
-  const formattedDate = new Date(event.event_date).toLocaleDateString();
-  const endDate = event.end_date ? ` - ${new Date(event.end_date).toLocaleDateString()}` : '';
+  const formattedDate = formatEventDate(event, 'short');
+  const radius = getUncertaintyRadius(event);
+  const precisionLabel = getPrecisionLabel(event.location_precision);
 
-  return (
+  const popup = (
+    <Popup>
+      <div className="min-w-[150px]">
+        <div className="flex items-center gap-1 mb-1">
+          <span
+            className="inline-block w-3 h-3 rounded-full"
+            style={{ backgroundColor: getCategoryColor(event.category) }}
+          />
+          <span className="text-xs text-gray-500">{getCategoryLabel(event.category)}</span>
+        </div>
+        <h3 className="font-bold text-lg">{event.title}</h3>
+        <p className="text-gray-600 text-sm">{formattedDate}</p>
+        {isApproximate(event) && (
+          <p className="text-xs text-gray-500">
+            Somewhere in {event.place_name || 'this area'} ({precisionLabel.toLowerCase()})
+          </p>
+        )}
+        {event.description && (
+          <p className="mt-2 text-sm">{event.description}</p>
+        )}
+        {event.user_name && (
+          <p className="mt-2 text-xs text-purple-600">By {event.user_name}</p>
+        )}
+      </div>
+    </Popup>
+  );
+
+  const marker = (
     <Marker
       position={[event.latitude, event.longitude]}
-      icon={icon}
+      icon={createNumberedIcon(index + 1, event.category, isSelected)}
       eventHandlers={{
         click: () => onClick(event),
       }}
     >
-      <Popup>
-        <div className="min-w-[150px]">
-          <div className="flex items-center gap-1 mb-1">
-            <span
-              className="inline-block w-3 h-3 rounded-full"
-              style={{ backgroundColor: getCategoryColor(event.category) }}
-            />
-            <span className="text-xs text-gray-500">{getCategoryLabel(event.category)}</span>
-          </div>
-          <h3 className="font-bold text-lg">{event.title}</h3>
-          <p className="text-gray-600 text-sm">{formattedDate}{endDate}</p>
-          {event.description && (
-            <p className="mt-2 text-sm">{event.description}</p>
-          )}
-          {event.user_name && (
-            <p className="mt-2 text-xs text-purple-600">By {event.user_name}</p>
-          )}
-        </div>
-      </Popup>
+      {popup}
     </Marker>
   );
+
+  if (!radius) return marker;
+
+  // A county, region or country is shaded over about the area's size, so the pin at its
+  // centre doesn't look like an exact spot. The shading isn't clickable: a country-sized
+  // circle would otherwise cover the pins and map clicks inside it
+  const color = isSelected ? '#dc2626' : getCategoryColor(event.category);
+  return (
+    <>
+      <Circle
+        center={[event.latitude, event.longitude]}
+        radius={radius}
+        interactive={false}
+        pathOptions={{
+          color,
+          weight: isSelected ? 3 : 1.5,
+          dashArray: '4 4',
+          fillColor: getCategoryColor(event.category),
+          fillOpacity: isSelected ? 0.3 : 0.15,
+        }}
+      />
+      {marker}
+    </>
+  );
 }
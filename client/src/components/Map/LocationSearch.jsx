@@ -1,4 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
+import { precisionFromPlaceRank } from '../../constants/locations';
 
 const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
 
@@ -66,7 +67,7 @@ export default function LocationSearch({ onLocationSelect }) {
     const lon = parseFloat(result.lon);
     setQuery(result.display_name);
     setShowDropdown(false);
-    onLocationSelect({ lat, lon, displayName: result.display_name });
+    onLocationSelect({ lat, lon, displayName: result.display_name, precision: precisionFromPlaceRank(result.place_rank) });
   };
 
   return (
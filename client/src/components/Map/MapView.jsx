@@ -101,6 +101,7 @@ export default function MapView({
   onEventClick,
   onMapClick,
   isAddingEvent,
+  addingHint = 'Click on the map to place your event',
   mapCenter,
   mapZoom,
   searchLocation,
@@ -161,7 +162,7 @@ export default function MapView({
 
       {isAddingEvent && (
         <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-lg z-[1000]">
-          Click on the map to place your event
+          {addingHint}
         </div>
       )}
     </div>
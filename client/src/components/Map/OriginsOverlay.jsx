@@ -1,47 +1,6 @@
-import { useEffect, useState } from 'react';
-import { GeoJSON, useMap } from 'react-leaflet';
-
-// Map place name fragments to ISO country names used in GeoJSON
-const COUNTRY_MAPPINGS = {
-  'australia': 'Australia',
-  'new south wales': 'Australia',
-  'nsw': 'Australia',
-  'sydney': 'Australia',
-  'england': 'United Kingdom',
-  'wales': 'United Kingdom',
-  'warwickshire': 'United Kingdom',
-  'staffordshire': 'United Kingdom',
-  'berkshire': 'United Kingdom',
-  'hampshire': 'United Kingdom',
-  'sri lanka': 'Sri Lanka',
-  'ceylon': 'Sri Lanka',
-  'colombo': 'Sri Lanka',
-  'trincomalee': 'Sri Lanka',
-  'galle': 'Sri Lanka',
-  'jaffna': 'Sri Lanka',
-  'india': 'India',
-  'madras': 'India',
-  'tamil nadu': 'India',
-  'cuddalore': 'India',
-  'vepery': 'India',
-  'belgium': 'Belgium',
-  'belgique': 'Belgium',
-  'brugge': 'Belgium',
-  'bruges': 'Belgium',
-  'west-vlaanderen': 'Belgium',
-  'france': 'France',
-  'aquitaine': 'France',
-  'gironde': 'France',
-  'germany': 'Germany',
-  'north rhine-westphalia': 'Germany',
-  'minden': 'Germany',
-  'kolberg': 'Germany',
-  'ireland': 'Ireland',
-  'antrim': 'Ireland',
-  'cork': 'Ireland',
-  'westmeath': 'Ireland',
-  'county down': 'Ireland',
-};
+import { useEffect, useRef, useState } from 'react';
+import { GeoJSON, useMap, useMapEvents } from 'react-leaflet';
+import { placeNamesApi, boundariesApi } from '../../hooks/useApi';
 
 // Colors for different countries
 const COUNTRY_COLORS = [
@@ -58,90 +17,88 @@ const COUNTRY_COLORS = [
 ];
 
 /**
- * Extract country from a place string
+ * Country of an event from the place name dictionary: the first entry (in use in the
+ * event's year) with a country whose old or modern name is in the event's place
  */
-function extractCountry(place) {
-  if (!place) return null;
-  const lower = place.toLowerCase();
-
-  for (const [fragment, country] of Object.entries(COUNTRY_MAPPINGS)) {
-    if (lower.includes(fragment)) {
-      return country;
+function countryFromPlaceNames(event, placeNames) {
+  if (!event.place_name) return null;
+  const place = event.place_name.toLowerCase();
+  const year = parseInt(event.event_date?.slice(0, 4)) || null;
+
+  for (const entry of placeNames) {
+    if (!entry.country) continue;
+    if (year && ((entry.from_year !== null && year < entry.from_year) || (entry.to_year !== null && year > entry.to_year))) continue;
+    if (place.includes(entry.old_name.toLowerCase()) || place.includes(entry.modern_name.toLowerCase())) {
+      return entry.country;
     }
   }
   return null;
 }
 
-/**
- * Analyze events to get country counts
- */
-function getCountryCounts(events) {
-  const counts = {};
-  for (const event of events) {
-    // Try the event title for person name context, but use description or place-based extraction
-    const place = event.title || event.description || '';
-    // We also parse from lat/lon isn't practical, so we rely on the place data
-    // embedded in the description or title
-
-    // For GEDCOM events, titles are like "John Smith - Birth" with descriptions like "Born: 12 Oct 1982"
-    // The place info was geocoded but we don't store the original place name in the event.
-    // Instead, we can reverse-map from coordinates to approximate country
-  }
-  return counts;
+// Outline detail for a zoom level: the whole world needs little, a county-level view more
+function resolutionForZoom(zoom) {
+  if (zoom <= 3) return 'low';
+  if (zoom <= 6) return 'medium';
+  return 'high';
 }
 
-// GeoJSON data URL - Natural Earth low-res countries
-const GEOJSON_URL = 'https://raw.githubusercontent.com/datasets/geo-countries/master/data/countries.geojson';
-
-// Smaller alternative - just the boundaries we need
-const COUNTRIES_URL = 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json';
-
 export default function OriginsOverlay({ events = [] }) {
-  const [geoData, setGeoData] = useState(null);
+  const map = useMap();
+  const [outlines, setOutlines] = useState({});
   const [countryCounts, setCountryCounts] = useState({});
   const [loading, setLoading] = useState(false);
   const [showOverlay, setShowOverlay] = useState(true);
-  const map = useMap();
+  const [placeNames, setPlaceNames] = useState([]);
+  const [resolution, setResolution] = useState(() => resolutionForZoom(map.getZoom()));
+  const requested = useRef(new Set());
+
+  useMapEvents({
+    zoomend: () => setResolution(resolutionForZoom(map.getZoom())),
+  });
+
+  // Historical names (Ceylon, Kolberg) tell the country where coordinates can't
+  useEffect(() => {
+    placeNamesApi.getAll()
+      .then(res => setPlaceNames(res.data.placeNames))
+      .catch(err => console.error('Failed to load place names:', err));
+  }, []);
 
-  // Determine which countries are represented using reverse geocoding from coordinates
+  // Determine which countries are represented: from the country the server found at the
+  // event's coordinates, else (for events it couldn't place) from the place name dictionary
   useEffect(() => {
     if (events.length === 0) {
       setCountryCounts({});
       return;
     }
 
-    // Group events by approximate country using coordinate bounding boxes
+    // Group events by country
     const counts = {};
 
     for (const event of events) {
-      const lat = event.latitude;
-      const lon = event.longitude;
-      const country = getCountryFromCoords(lat, lon);
+      const country = event.country || countryFromPlaceNames(event, placeNames);
       if (country) {
         counts[country] = (counts[country] || 0) + 1;
       }
     }
 
     setCountryCounts(counts);
-  }, [events]);
+  }, [events, placeNames]);
 
-  // Fetch GeoJSON data when we have countries to show
+  // Fetch the outlines at this zoom's resolution (from our server, cached by the browser)
+  // once there are countries to show
   useEffect(() => {
-    const countries = Object.keys(countryCounts);
-    if (countries.length === 0 || geoData) return;
+    if (Object.keys(countryCounts).length === 0 || requested.current.has(resolution)) return;
+    requested.current.add(resolution);
 
     setLoading(true);
-    fetch(GEOJSON_URL)
-      .then(res => res.json())
-      .then(data => {
-        setGeoData(data);
-        setLoading(false);
-      })
+    boundariesApi.getCountries(resolution)
+      .then(res => setOutlines(prev => ({ ...prev, [resolution]: res.data })))
       .catch(err => {
-        console.error('Failed to load GeoJSON:', err);
-        setLoading(false);
-      });
-  }, [countryCounts, geoData]);
+        console.error('Failed to load country outlines:', err);
+        requested.current.delete(resolution);
+      })
+      .finally(() => setLoading(false));
+  }, [countryCounts, resolution]);
 
   if (!showOverlay || events.length === 0) return null;
 
@@ -154,6 +111,10 @@ export default function OriginsOverlay({ events = [] }) {
     colorMap[country] = COUNTRY_COLORS[i % COUNTRY_COLORS.length];
   });
 
+  // Until this zoom's outlines arrive, draw whichever level is already loaded
+  const shownResolution = outlines[resolution] ? resolution : ['medium', 'low', 'high'].find(r => outlines[r]);
+  const geoData = shownResolution ? outlines[shownResolution] : null;
+
   // Filter GeoJSON to only include our countries
   const filteredGeo = geoData ? {
     type: 'FeatureCollection',
@@ -188,7 +149,7 @@ export default function OriginsOverlay({ events = [] }) {
     <>
       {filteredGeo && filteredGeo.features.length > 0 && (
         <GeoJSON
-          key={countries.join(',')}
+          key={`${shownResolution}:${countries.join(',')}`}
           data={filteredGeo}
           style={styleFeature}
           onEachFeature={onEachFeature}
@@ -229,39 +190,3 @@ export default function OriginsOverlay({ events = [] }) {
     </>
   );
 }
-
-/**
- * Approximate country from lat/lon using bounding boxes
- * This avoids needing reverse geocoding API calls
- */
-function getCountryFromCoords(lat, lon) {
-  // Bounding boxes: [minLat, maxLat, minLon, maxLon]
-  const boxes = [
-    { name: 'Australia', bounds: [-44, -10, 112, 154] },
-    { name: 'Sri Lanka', bounds: [5.9, 9.9, 79.5, 82] },
-    { name: 'India', bounds: [6, 37, 68, 97] },
-    { name: 'United Kingdom', bounds: [49.5, 61, -8.5, 2] },
-    { name: 'Ireland', bounds: [51, 55.5, -11, -5.5] },
-    { name: 'Belgium', bounds: [49.4, 51.6, 2.5, 6.5] },
-    { name: 'France', bounds: [41, 51.2, -5.5, 9.5] },
-    { name: 'Germany', bounds: [47, 55.1, 5.8, 15.1] },
-    { name: 'Poland', bounds: [49, 55, 14, 24.2] },
-  ];
-
-  // Check smaller/more specific countries first to avoid overlap
-  // Sort by area (smaller boxes first) for better precision
-  const sorted = [...boxes].sort((a, b) => {
-    const areaA = (a.bounds[1] - a.bounds[0]) * (a.bounds[3] - a.bounds[2]);
-    const areaB = (b.bounds[1] - b.bounds[0]) * (b.bounds[3] - b.bounds[2]);
-    return areaA - areaB;
-  });
-
-  for (const { name, bounds } of sorted) {
-    const [minLat, maxLat, minLon, maxLon] = bounds;
-    if (lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon) {
-      return name;
-    }
-  }
-
-  return null;
-}
@@ -1,4 +1,5 @@
 import { useMemo } from 'react';
+import { formatEventDate, isApproximateDate } from '../../constants/dates';
 
 export default function TimelineSlider({ events, currentIndex, onIndexChange }) {
   const sortedEvents = useMemo(() => {
@@ -13,14 +14,6 @@ export default function TimelineSlider({ events, currentIndex, onIndexChange })
   const maxYear = new Date(sortedEvents[sortedEvents.length - 1].event_date).getFullYear();
   const currentEvent = sortedEvents[currentIndex];
 
-  const formatDate = (dateStr) => {
-    return new Date(dateStr).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    });
-  };
-
   return (
     <div className="bg-white border-t border-gray-200 p-4">
       <div className="max-w-4xl mx-auto">
@@ -30,7 +23,7 @@ export default function TimelineSlider({ events, currentIndex, onIndexChange })
             {currentEvent?.title || 'Select an event'}
           </h3>
           {currentEvent && (
-            <p className="text-sm text-gray-500">{formatDate(currentEvent.event_date)}</p>
+            <p className="text-sm text-gray-500">{formatEventDate(currentEvent, 'short')}</p>
           )}
         </div>
 
@@ -56,17 +49,23 @@ export default function TimelineSlider({ events, currentIndex, onIndexChange })
         <div className="relative h-6 mt-2">
           {sortedEvents.map((event, index) => {
             const position = (index / (sortedEvents.length - 1)) * 100 || 0;
+            // Approximate dates are drawn as hollow rings
+            const approximate = isApproximateDate(event);
             return (
               <button
                 key={event.id}
                 onClick={() => onIndexChange(index)}
                 className={`absolute w-3 h-3 rounded-full transform -translate-x-1/2 transition-all ${
-                  index === currentIndex
-                    ? 'bg-blue-600 scale-150'
-                    : 'bg-gray-400 hover:bg-blue-400'
+                  approximate
+                    ? index === currentIndex
+                      ? 'border-2 border-blue-600 bg-white scale-150'
+                      : 'border-2 border-gray-400 bg-white hover:border-blue-400'
+                    : index === currentIndex
+                      ? 'bg-blue-600 scale-150'
+                      : 'bg-gray-400 hover:bg-blue-400'
                 }`}
                 style={{ left: `${position}%` }}
-                title={`${event.title} - ${formatDate(event.event_date)}`}
+                title={`${event.title} - ${formatEventDate(event, 'short')}`}
               />
             );
           })}
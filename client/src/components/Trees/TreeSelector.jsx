@@ -0,0 +1,78 @@
+import { useTrees } from '../../hooks/useTrees';
+
+export default function TreeSelector({ disabled }) {
+  const { trees, selectedTree, selectTree, createTree, renameTree, deleteTree } = useTrees();
+
+  const handleCreate = async () => {
+    const name = prompt('Name of the new tree:');
+    if (!name?.trim()) return;
+    try {
+      await createTree(name.trim());
+    } catch (err) {
+      alert('Failed to create tree: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleRename = async () => {
+    const name = prompt('New name for this tree:', selectedTree.name);
+    if (!name?.trim() || name.trim() === selectedTree.name) return;
+    try {
+      await renameTree(selectedTree.id, name.trim());
+    } catch (err) {
+      alert('Failed to rename tree: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete "${selectedTree.name}" with its ${selectedTree.people_count} people and ${selectedTree.event_count} events?`)) return;
+    try {
+      await deleteTree(selectedTree.id);
+    } catch (err) {
+      alert('Failed to delete tree: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={selectedTree?.id ?? ''}
+        onChange={(e) => selectTree(Number(e.target.value))}
+        disabled={disabled || trees.length === 0}
+        title="Tree shown on this page"
+        className="px-2 py-2 border border-gray-300 rounded text-sm bg-white max-w-[14rem]"
+      >
+        {trees.length === 0 && <option value="">No trees yet</option>}
+        {trees.map((tree) => (
+          <option key={tree.id} value={tree.id}>
+            {tree.name} ({tree.people_count} people)
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={handleCreate}
+        disabled={disabled}
+        className="px-2 py-2 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+      >
+        New
+      </button>
+      {selectedTree && (
+        <>
+          <button
+            onClick={handleRename}
+            disabled={disabled}
+            className="px-2 py-2 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            Rename
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={disabled}
+            className="px-2 py-2 text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Delete
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import LocationSearch from '../Map/LocationSearch';
+
+// Queue of imported places that couldn't be geocoded. Placing one (by search or a map
+// click) moves every event at that place onto the map.
+export default function UnplacedPlaces({ places, resolving, position, saving, onStart, onCancel, onSearchSelect, onSave }) {
+  if (places.length === 0) return null;
+
+  const eventTotal = places.reduce((sum, p) => sum + p.events.length, 0);
+
+  return (
+    <div className="p-4 border-b border-gray-200">
+      <h2 className="font-semibold text-gray-800 mb-1">Unplaced Places ({places.length})</h2>
+      <p className="text-xs text-gray-500 mb-3">
+        {eventTotal} imported events have a place that couldn't be found on the map.
+      </p>
+      <div className="space-y-2 max-h-[30vh] overflow-auto">
+        {places.map(({ place, events }) => (
+          <div
+            key={place}
+            className={`p-2 rounded border text-sm ${
+              resolving === place ? 'bg-amber-50 border-amber-400' : 'bg-white border-gray-200'
+            }`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 break-words">{place}</p>
+                <p className="text-xs text-gray-500 truncate" title={events.map((e) => e.title).join('\n')}>
+                  {events.length} {events.length === 1 ? 'event' : 'events'}: {events.map((e) => e.title).join(', ')}
+                </p>
+              </div>
+              {resolving !== place && (
+                <button
+                  onClick={() => onStart(place)}
+                  disabled={saving}
+                  className="flex-shrink-0 text-amber-700 hover:text-amber-900 disabled:opacity-50"
+                >
+                  Place
+                </button>
+              )}
+            </div>
+
+            {resolving === place && (
+              <div className="mt-2 space-y-2">
+                <LocationSearch onLocationSelect={onSearchSelect} />
+                <p className="text-xs text-gray-600">
+                  {position
+                    ? `Selected: ${position.lat.toFixed(4)}, ${position.lon.toFixed(4)}`
+                    : 'Search for the place, or click it on the map.'}
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={onSave}
+                    disabled={!position || saving}
+                    className="px-3 py-1 rounded bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : `Place ${events.length} ${events.length === 1 ? 'event' : 'events'} here`}
+                  </button>
+                  <button onClick={onCancel} disabled={saving} className="px-3 py-1 text-gray-600 hover:text-gray-800">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+// GEDCOM QUAY (certainty assessment) values, 0-3
+export const CITATION_QUALITIES = [
+  { value: 0, label: 'Unreliable', className: 'bg-red-50 text-red-700' },
+  { value: 1, label: 'Questionable', className: 'bg-amber-50 text-amber-700' },
+  { value: 2, label: 'Secondary evidence', className: 'bg-blue-50 text-blue-700' },
+  { value: 3, label: 'Direct evidence', className: 'bg-green-50 text-green-700' },
+];
+
+export function getCitationQuality(quality) {
+  return CITATION_QUALITIES.find(q => q.value === quality) || null;
+}
@@ -0,0 +1,63 @@
+export const DATE_PRECISIONS = [
+  { value: 'day', label: 'Exact day' },
+  { value: 'month', label: 'Month only' },
+  { value: 'year', label: 'Year only' },
+];
+
+// Qualifiers for a single date; ranges (with end_date) are either a period or 'between'
+export const DATE_QUALIFIERS = [
+  { value: '', label: 'Exact' },
+  { value: 'about', label: 'About' },
+  { value: 'estimated', label: 'Estimated' },
+  { value: 'calculated', label: 'Calculated' },
+  { value: 'before', label: 'Before' },
+  { value: 'after', label: 'After' },
+  { value: 'from', label: 'From' },
+  { value: 'to', label: 'Until' },
+];
+
+const QUALIFIER_WORDS = {
+  long: { about: 'About', estimated: 'Estimated', calculated: 'Calculated', before: 'Before', after: 'After', from: 'From', to: 'Until' },
+  short: { about: 'c.', estimated: 'est.', calculated: 'cal.', before: 'bef.', after: 'aft.', from: 'from', to: 'until' },
+};
+
+const FORMAT_OPTIONS = {
+  long: { day: { year: 'numeric', month: 'long', day: 'numeric' }, month: { year: 'numeric', month: 'long' } },
+  short: { day: { year: 'numeric', month: 'short', day: 'numeric' }, month: { year: 'numeric', month: 'short' } },
+};
+
+// Parse "YYYY-MM-DD" as a local date so the day doesn't shift with the timezone
+function toLocalDate(dateStr) {
+  const match = String(dateStr).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return new Date(dateStr);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+export function isApproximateDate(event) {
+  return Boolean(event.date_qualifier) || (event.date_precision && event.date_precision !== 'day');
+}
+
+// Format a single date at a precision ('day' | 'month' | 'year')
+export function formatDateAt(dateStr, precision = 'day', style = 'long') {
+  const date = toLocalDate(dateStr);
+  if (precision === 'year') return String(date.getFullYear());
+  return date.toLocaleDateString('en-US', FORMAT_OPTIONS[style][precision] || FORMAT_OPTIONS[style].day);
+}
+
+// Format an event's date (and end date) without claiming more accuracy than it has,
+// e.g. "About 1884", "Between 1850 and 1860", "March 1900", "May 2, 1900 - June 1, 1900"
+export function formatEventDate(event, style = 'long') {
+  if (!event?.event_date) return '';
+  const precision = event.date_precision || 'day';
+  const qualifier = event.date_qualifier;
+  const start = formatDateAt(event.event_date, precision, style);
+  const end = event.end_date ? formatDateAt(event.end_date, precision, style) : null;
+
+  if (end && qualifier === 'between') {
+    return style === 'short' ? `bet. ${start} and ${end}` : `Between ${start} and ${end}`;
+  }
+  if (end) return `${start} - ${end}`;
+
+  const word = qualifier && QUALIFIER_WORDS[style][qualifier];
+  return word ? `${word} ${start}` : start;
+}
@@ -0,0 +1,46 @@
+// How precise an event's location is (location_precision). Locations vaguer than a town are
+// shaded with a circle of about the area's size around their pin; radius is in metres
+export const LOCATION_PRECISIONS = [
+  { value: 'address', label: 'Address', radius: null, zoom: 16 },
+  { value: 'town', label: 'Town', radius: null, zoom: 12 },
+  { value: 'county', label: 'County', radius: 25000, zoom: 9 },
+  { value: 'region', label: 'State or region', radius: 120000, zoom: 7 },
+  { value: 'country', label: 'Country', radius: 350000, zoom: 5 },
+];
+
+// Exact points (picked on the map, or given in an imported file) and unknown precision
+const EXACT_ZOOM = 13;
+
+function findPrecision(precision) {
+  return LOCATION_PRECISIONS.find(p => p.value === precision);
+}
+
+// Whether an event's location is an area (a town or larger) rather than an exact spot
+export function isApproximate(event) {
+  return Boolean(event.location_precision) && event.location_precision !== 'address';
+}
+
+// Radius of the circle to shade around an event's pin, or null for none
+export function getUncertaintyRadius(event) {
+  return findPrecision(event.location_precision)?.radius ?? null;
+}
+
+// Zoom that shows an event's whole area
+export function getLocationZoom(event) {
+  return findPrecision(event?.location_precision)?.zoom ?? EXACT_ZOOM;
+}
+
+export function getPrecisionLabel(precision) {
+  return findPrecision(precision)?.label ?? null;
+}
+
+// Nominatim's place_rank (on search results) as a precision: 4 country, 5-9 state,
+// 10-12 county, 13-25 city down to neighbourhood, 26+ street and house
+export function precisionFromPlaceRank(rank) {
+  if (rank === undefined || rank === null) return null;
+  if (rank <= 4) return 'country';
+  if (rank <= 9) return 'region';
+  if (rank <= 12) return 'county';
+  if (rank <= 25) return 'town';
+  return 'address';
+}
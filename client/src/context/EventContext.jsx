@@ -3,7 +3,7 @@ import { eventsApi, familyApi } from '../hooks/useApi';
 
 const EventContext = createContext(null);
 
-export function EventProvider({ children, source }) {
+export function EventProvider({ children, source, treeId }) {
   const [events, setEvents] = useState([]);
   const [familyEvents, setFamilyEvents] = useState([]);
   const [selectedEvent, setSelectedEvent] = useState(null);
@@ -13,14 +13,14 @@ export function EventProvider({ children, source }) {
   const fetchEvents = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await eventsApi.getAll(source);
+      const response = await eventsApi.getAll(source, treeId);
       setEvents(response.data.events);
     } catch (error) {
       console.error('Failed to fetch events:', error);
     } finally {
       setLoading(false);
     }
-  }, [source]);
+  }, [source, treeId]);
 
   const fetchFamilyEvents = useCallback(async () => {
     try {
@@ -0,0 +1,81 @@
+import { useState, useCallback, useEffect } from 'react';
+import { treesApi } from '../hooks/useApi';
+import { TreeContext } from '../hooks/useTrees';
+
+// The selected tree is remembered so the map and tree pages open on the same one
+const SELECTED_TREE_KEY = 'selectedTreeId';
+
+export function TreeProvider({ children }) {
+  const [trees, setTrees] = useState([]);
+  const [storedTreeId, setStoredTreeId] = useState(() => Number(localStorage.getItem(SELECTED_TREE_KEY)) || null);
+  const [loading, setLoading] = useState(true);
+
+  // Fall back to the first tree when the remembered one is gone
+  const selectedTree = trees.find((t) => t.id === storedTreeId) || trees[0] || null;
+
+  const selectTree = useCallback((id) => {
+    setStoredTreeId(id);
+    if (id) localStorage.setItem(SELECTED_TREE_KEY, id);
+    else localStorage.removeItem(SELECTED_TREE_KEY);
+  }, []);
+
+  const fetchTrees = useCallback(async () => {
+    try {
+      const response = await treesApi.getAll();
+      setTrees(response.data.trees);
+    } catch (error) {
+      console.error('Failed to fetch trees:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrees();
+  }, [fetchTrees]);
+
+  const createTree = useCallback(async (name) => {
+    const response = await treesApi.create(name);
+    const { tree } = response.data;
+    setTrees((prev) => [...prev, { ...tree, people_count: 0, event_count: 0 }]);
+    selectTree(tree.id);
+    return tree;
+  }, [selectTree]);
+
+  const renameTree = useCallback(async (id, name) => {
+    const response = await treesApi.rename(id, name);
+    setTrees((prev) => prev.map((t) => (t.id === id ? { ...t, name: response.data.tree.name } : t)));
+  }, []);
+
+  const deleteTree = useCallback(async (id) => {
+    await treesApi.delete(id);
+    setTrees((prev) => prev.filter((t) => t.id !== id));
+    if (storedTreeId === id) selectTree(null);
+  }, [storedTreeId, selectTree]);
+
+  // Wait for the list so pages don't load data for a tree that is about to change
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin h-8 w-8 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    );
+  }
+
+  return (
+    <TreeContext.Provider
+      value={{
+        trees,
+        selectedTree,
+        selectedTreeId: selectedTree?.id ?? null,
+        selectTree,
+        fetchTrees,
+        createTree,
+        renameTree,
+        deleteTree,
+      }}
+    >
+      {children}
+    </TreeContext.Provider>
+  );
+}
@@ -41,7 +41,7 @@ export const authApi = {
 
 // Events API
 export const eventsApi = {
-  getAll: (source) => api.get('/events', { params: source ? { source } : {} }),
+  getAll: (source, treeId) => api.get('/events', { params: { ...(source && { source }), ...(treeId && { treeId }) } }),
   create: (data) => api.post('/events', data),
   update: (id, data) => api.put(`/events/${id}`, data),
   delete: (id) => api.delete(`/events/${id}`),
@@ -50,14 +50,60 @@ export const eventsApi = {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
   deletePhoto: (eventId, photoId) => api.delete(`/events/${eventId}/photos/${photoId}`),
+  getCitations: (eventId) => api.get(`/events/${eventId}/citations`),
   getComments: (eventId) => api.get(`/events/${eventId}/comments`),
   addComment: (eventId, text) => api.post(`/events/${eventId}/comments`, { text }),
   deleteComment: (eventId, commentId) => api.delete(`/events/${eventId}/comments/${commentId}`),
-  importGedcom: (formData) => api.post('/events/import-gedcom', formData, {
+  previewGedcom: (formData) => api.post('/events/import-gedcom/preview', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
-    timeout: 300000, // 5 min timeout for geocoding
   }),
-  getGedcomTree: () => api.get('/events/gedcom-tree'),
+  confirmGedcomImport: (data) => api.post('/events/import-gedcom', data),
+  getImportJob: (jobId) => api.get(`/events/import-jobs/${jobId}`),
+  getGedcomTree: (treeId) => api.get('/events/gedcom-tree', { params: treeId ? { treeId } : {} }),
+  exportGedcom: (format = 'gedcom', treeId) => api.get('/events/export-gedcom', {
+    params: { format, ...(treeId && { treeId }) },
+    responseType: 'blob',
+  }),
+  previewCsv: (formData) => api.post('/events/import-csv/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  importCsv: (formData) => api.post('/events/import-csv', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  exportCsv: (scope = 'user') => api.get('/events/export-csv', { params: { scope }, responseType: 'blob' }),
+  getUnplaced: (treeId) => api.get('/events/unplaced', { params: treeId ? { treeId } : {} }),
+  resolveUnplaced: (place, latitude, longitude, locationPrecision) =>
+    api.post('/events/unplaced/resolve', { place, latitude, longitude, location_precision: locationPrecision || null }),
+};
+
+// Trees API (named GEDCOM trees)
+export const treesApi = {
+  getAll: () => api.get('/trees'),
+  create: (name) => api.post('/trees', { name }),
+  rename: (id, name) => api.put(`/trees/${id}`, { name }),
+  delete: (id) => api.delete(`/trees/${id}`),
+};
+
+// Place names API (historical place name dictionary)
+export const placeNamesApi = {
+  getAll: () => api.get('/place-names'),
+  create: (data) => api.post('/place-names', data),
+  update: (id, data) => api.put(`/place-names/${id}`, data),
+  delete: (id) => api.delete(`/place-names/${id}`),
+};
+
+// Places API (the places of a user's events and GEDCOM people)
+export const placesApi = {
+  getAll: (within) => api.get('/places', { params: { within: within || undefined } }),
+  getPeople: (within, event) => api.get('/places/people', { params: { within, event: event || undefined } }),
+  rename: (id, name) => api.put(`/places/${id}`, { name }),
+  setCoordinates: (id, latitude, longitude) => api.put(`/places/${id}/coordinates`, { latitude, longitude }),
+  geocode: (id) => api.post(`/places/${id}/geocode`),
+};
+
+// Boundaries API (country outlines for the map: low, medium or high resolution)
+export const boundariesApi = {
+  getCountries: (resolution) => api.get('/boundaries/countries', { params: { resolution } }),
 };
 
 // Family API
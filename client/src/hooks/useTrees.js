@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by TreeProvider (context/TreeContext.jsx); kept out of that file so it only exports components
+export const TreeContext = createContext(null);
+
+export function useTrees() {
+  const context = useContext(TreeContext);
+  if (!context) {
+    throw new Error('useTrees must be used within a TreeProvider');
+  }
+  return context;
+}
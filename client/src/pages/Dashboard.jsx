@@ -9,7 +9,9 @@ import EventForm from '../components/Events/EventForm';
 import EventCard from '../components/Events/EventCard';
 import EventDetail from '../components/Events/EventDetail';
 import FamilyPanel from '../components/Family/FamilyPanel';
+import CsvImport from '../components/Import/CsvImport';
 import { notificationsApi, eventsApi } from '../hooks/useApi';
+import { getLocationZoom } from '../constants/locations';
 
 export default function Dashboard() {
   const { user, logout } = useAuth();
@@ -45,6 +47,7 @@ export default function Dashboard() {
   const [showNotifications, setShowNotifications] = useState(false);
   const [showAllFamily, setShowAllFamily] = useState(false);
   const [searchLocation, setSearchLocation] = useState(null);
+  const [showCsvImport, setShowCsvImport] = useState(false);
 
   // Fetch user's events on mount
   useEffect(() => {
@@ -107,7 +110,7 @@ export default function Dashboard() {
     if (sortedEvents.length > 0 && sortedEvents[timelineIndex]) {
       const event = sortedEvents[timelineIndex];
       setMapCenter([event.latitude, event.longitude]);
-      setMapZoom(13);
+      setMapZoom(getLocationZoom(event));
       setSelectedEvent(event);
     }
   }, [timelineIndex, sortedEvents, setSelectedEvent]);
@@ -128,7 +131,7 @@ export default function Dashboard() {
       setTimelineIndex(index);
     }
     setMapCenter([event.latitude, event.longitude]);
-    setMapZoom(13);
+    setMapZoom(getLocationZoom(event));
     setShowEventDetail(true);
   };
 
@@ -175,6 +178,21 @@ export default function Dashboard() {
     }
   };
 
+  // Download the user's (or the whole family's) events as a spreadsheet
+  const handleCsvExport = async (scope) => {
+    try {
+      const response = await eventsApi.exportCsv(scope);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = scope === 'family' ? 'ancestry-atlas-family-events.csv' : 'ancestry-atlas-events.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export CSV: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   const handleEditEvent = (event) => {
     setEditingEvent(event);
     setShowEventForm(true);
@@ -330,6 +348,21 @@ export default function Dashboard() {
               <h2 className="font-semibold text-gray-800 mb-3">
                 {viewingMember ? `${viewingMember.name}'s Events` : 'Your Events'}
               </h2>
+              {!selectedMemberId && (
+                <div className="flex gap-3 mb-3 text-xs">
+                  <button onClick={() => setShowCsvImport(true)} className="text-blue-600 hover:text-blue-800">
+                    Import CSV
+                  </button>
+                  <button onClick={() => handleCsvExport('user')} className="text-blue-600 hover:text-blue-800">
+                    Export CSV
+                  </button>
+                  {user?.familyId && (
+                    <button onClick={() => handleCsvExport('family')} className="text-blue-600 hover:text-blue-800">
+                      Export family CSV
+                    </button>
+                  )}
+                </div>
+              )}
               {loading ? (
                 <p className="text-gray-500">Loading events...</p>
               ) : sortedEvents.length === 0 ? (
@@ -419,6 +452,14 @@ export default function Dashboard() {
         />
       )}
 
+      {/* CSV Import Modal */}
+      {showCsvImport && (
+        <CsvImport
+          onClose={() => setShowCsvImport(false)}
+          onImported={fetchEvents}
+        />
+      )}
+
       {/* Event Detail Modal */}
       {showEventDetail && selectedEvent && (
         <EventDetail
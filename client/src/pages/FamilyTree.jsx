@@ -1,17 +1,47 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useEvents } from '../context/EventContext';
+import { useTrees } from '../hooks/useTrees';
 import MapView from '../components/Map/MapView';
 import LocationSearch from '../components/Map/LocationSearch';
 import TimelineSlider from '../components/Timeline/TimelineSlider';
 import EventCard from '../components/Events/EventCard';
 import EventDetail from '../components/Events/EventDetail';
 import FamilyPanel from '../components/Family/FamilyPanel';
+import ImportPreview from '../components/Import/ImportPreview';
+import TreeSelector from '../components/Trees/TreeSelector';
+import UnplacedPlaces from '../components/Trees/UnplacedPlaces';
 import { eventsApi } from '../hooks/useApi';
+import { getLocationZoom } from '../constants/locations';
+
+const IMPORT_JOB_KEY = 'gedcomImportJob';
+
+const IMPORT_PHASES = {
+  queued: 'Waiting to start...',
+  parsing: 'Reading family tree file...',
+  people: 'Storing people...',
+  families: 'Storing family links...',
+  sources: 'Storing sources...',
+  geocoding: 'Geocoding locations...',
+  events: 'Saving events...',
+  media: 'Saving photos...',
+  done: 'Finishing up...',
+};
+
+// Download formats offered by the export button (GET /events/export-gedcom?format=)
+const EXPORT_FORMATS = {
+  gedcom: { label: 'GEDCOM (.ged)', fileName: 'ancestry-atlas.ged' },
+  gramps: { label: 'Gramps XML (.gramps)', fileName: 'ancestry-atlas.gramps' },
+  gedcomx: { label: 'GEDCOM X (.json)', fileName: 'ancestry-atlas.gedcomx.json' },
+};
 
 export default function FamilyTree() {
   const { user } = useAuth();
+  const { trees, selectedTree, selectedTreeId, selectTree, fetchTrees } = useTrees();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // ?person=<gedcom_people id> (from the tree view) limits the map to that person's events
+  const personFilter = Number(searchParams.get('person')) || null;
   const {
     events,
     familyEvents,
@@ -34,42 +64,145 @@ export default function FamilyTree() {
   const [showSidebar, setShowSidebar] = useState(true);
   const [showAllFamily, setShowAllFamily] = useState(false);
   const [searchLocation, setSearchLocation] = useState(null);
-  const [importLoading, setImportLoading] = useState(false);
+  const [activeJobId, setActiveJobId] = useState(() => localStorage.getItem(IMPORT_JOB_KEY));
+  const [importJob, setImportJob] = useState(null);
+  const [showImportProgress, setShowImportProgress] = useState(true);
   const [importResult, setImportResult] = useState(null);
+  const [importMode, setImportMode] = useState('replace');
+  const [exportFormat, setExportFormat] = useState('gedcom');
+  const [importPreview, setImportPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [confirmingImport, setConfirmingImport] = useState(false);
+  const [unplacedPlaces, setUnplacedPlaces] = useState([]);
+  // Place being placed from the queue, and the position picked for it
+  const [resolvingPlace, setResolvingPlace] = useState(null);
+  const [resolvePosition, setResolvePosition] = useState(null);
+  const [savingPlace, setSavingPlace] = useState(false);
   const gedcomInputRef = useRef(null);
+  const importLoading = Boolean(activeJobId);
 
-  // Handle GEDCOM file import
+  // Handle GEDCOM file selection: parse on the server and show the review screen
   const handleGedcomImport = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     e.target.value = '';
 
-    setImportLoading(true);
     setImportResult(null);
+    setPreviewLoading(true);
 
     try {
       const formData = new FormData();
       formData.append('gedcom', file);
-      const response = await eventsApi.importGedcom(formData);
-      setImportResult(response.data);
-      fetchEvents();
+      const response = await eventsApi.previewGedcom(formData);
+      setImportPreview({ ...response.data, fileName: file.name });
     } catch (err) {
       setImportResult({
         error: err.response?.data?.error || err.message || 'Import failed'
       });
     } finally {
-      setImportLoading(false);
+      setPreviewLoading(false);
     }
   };
 
-  // Handle clear all GEDCOM events
-  const handleClearAll = async () => {
-    if (!confirm('Are you sure you want to delete all your imported GEDCOM events?')) return;
+  // Confirm the reviewed import (runs as a background job on the server)
+  // (into an existing tree, or a new one when treeName is set)
+  const handleConfirmImport = async ({ excludePeople, excludeEvents, treeId, treeName }) => {
+    setConfirmingImport(true);
     try {
-      await eventsApi.clearGedcom();
-      fetchEvents();
+      const response = await eventsApi.confirmGedcomImport({
+        previewId: importPreview.previewId,
+        mode: importMode,
+        treeId,
+        treeName,
+        excludePeople,
+        excludeEvents,
+      });
+      const { job } = response.data;
+      localStorage.setItem(IMPORT_JOB_KEY, job.id);
+      setImportPreview(null);
+      setImportJob(job);
+      setActiveJobId(job.id);
+      setShowImportProgress(true);
+    } catch (err) {
+      setImportPreview(null);
+      setImportResult({
+        error: err.response?.data?.error || err.message || 'Import failed'
+      });
+    } finally {
+      setConfirmingImport(false);
+    }
+  };
+
+  const fetchUnplaced = useCallback(async () => {
+    try {
+      const response = await eventsApi.getUnplaced(selectedTreeId);
+      setUnplacedPlaces(response.data.places);
+    } catch (error) {
+      console.error('Failed to fetch unplaced places:', error);
+    }
+  }, [selectedTreeId]);
+
+  useEffect(() => {
+    fetchUnplaced();
+  }, [fetchUnplaced]);
+
+  // Poll the running import job until it finishes (resumes after leaving the page)
+  useEffect(() => {
+    if (!activeJobId) return;
+    let cancelled = false;
+
+    const finish = (result) => {
+      localStorage.removeItem(IMPORT_JOB_KEY);
+      setActiveJobId(null);
+      setImportJob(null);
+      if (result) setImportResult(result);
+    };
+
+    const poll = async () => {
+      try {
+        const response = await eventsApi.getImportJob(activeJobId);
+        if (cancelled) return;
+        const { job } = response.data;
+        setImportJob(job);
+        if (job.status === 'completed') {
+          finish(job.result);
+          fetchTrees();
+          // Switching trees refetches its events; otherwise reload the tree imported into
+          if (job.result.treeId && job.result.treeId !== selectedTreeId) selectTree(job.result.treeId);
+          else {
+            fetchEvents();
+            fetchUnplaced();
+          }
+        } else if (job.status === 'failed') {
+          finish({ error: job.error || 'Import failed' });
+        }
+      } catch (err) {
+        if (cancelled) return;
+        // Job expired or server restarted: nothing left to wait for
+        if (err.response?.status === 404) finish(null);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, 1500);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [activeJobId, fetchEvents, fetchUnplaced, fetchTrees, selectTree, selectedTreeId]);
+
+  // Handle export (download as .ged, .gramps or GEDCOM X .json file)
+  const handleGedcomExport = async () => {
+    try {
+      const response = await eventsApi.exportGedcom(exportFormat, selectedTreeId);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = EXPORT_FORMATS[exportFormat].fileName;
+      link.click();
+      URL.revokeObjectURL(url);
     } catch (err) {
-      alert('Failed to clear GEDCOM events: ' + (err.response?.data?.error || err.message));
+      alert('Failed to export GEDCOM: ' + (err.response?.data?.error || err.message));
     }
   };
 
@@ -90,8 +223,25 @@ export default function FamilyTree() {
     if (selectedMemberId && memberEvents.length > 0) {
       return memberEvents;
     }
+    if (personFilter) {
+      return events.filter(e => e.people?.some(p => p.id === personFilter));
+    }
     return events;
-  }, [selectedMemberId, memberEvents, events]);
+  }, [selectedMemberId, memberEvents, events, personFilter]);
+
+  const filteredPerson = useMemo(() => {
+    if (!personFilter) return null;
+    for (const e of events) {
+      const person = e.people?.find(p => p.id === personFilter);
+      if (person) return person;
+    }
+    return null;
+  }, [events, personFilter]);
+
+  const clearPersonFilter = () => {
+    setSearchParams({});
+    setTimelineIndex(0);
+  };
 
   const sortedEvents = useMemo(() => {
     return [...displayEvents].filter(e => e != null).sort((a, b) => new Date(a.event_date) - new Date(b.event_date));
@@ -110,7 +260,7 @@ export default function FamilyTree() {
     if (sortedEvents.length > 0 && sortedEvents[timelineIndex]) {
       const event = sortedEvents[timelineIndex];
       setMapCenter([event.latitude, event.longitude]);
-      setMapZoom(13);
+      setMapZoom(getLocationZoom(event));
       setSelectedEvent(event);
     }
   }, [timelineIndex, sortedEvents, setSelectedEvent]);
@@ -123,7 +273,7 @@ export default function FamilyTree() {
       setTimelineIndex(index);
     }
     setMapCenter([event.latitude, event.longitude]);
-    setMapZoom(13);
+    setMapZoom(getLocationZoom(event));
     setShowEventDetail(true);
   };
 
@@ -133,6 +283,39 @@ export default function FamilyTree() {
     setSearchLocation({ lat, lon, _t: Date.now() });
   };
 
+  const startResolving = (place) => {
+    setResolvingPlace(place);
+    setResolvePosition(null);
+  };
+
+  const cancelResolving = () => {
+    setResolvingPlace(null);
+    setResolvePosition(null);
+  };
+
+  // A search result or map click picks the position for the place being placed; a search
+  // result for a whole county or country keeps that precision, a map click is exact
+  const handleResolvePosition = ({ lat, lon, precision = null }) => {
+    setResolvePosition({ lat, lon, precision });
+    setMapCenter([lat, lon]);
+    setMapZoom(12);
+    setSearchLocation({ lat, lon, _t: Date.now() });
+  };
+
+  const handleSavePlace = async () => {
+    setSavingPlace(true);
+    try {
+      await eventsApi.resolveUnplaced(resolvingPlace, resolvePosition.lat, resolvePosition.lon, resolvePosition.precision);
+      cancelResolving();
+      fetchUnplaced();
+      fetchEvents();
+    } catch (err) {
+      alert('Failed to place events: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSavingPlace(false);
+    }
+  };
+
   const handleMemberSelect = async (memberId) => {
     if (memberId === null) {
       setSelectedMemberId(null);
@@ -163,34 +346,62 @@ export default function FamilyTree() {
           </div>
           <div className="flex items-center gap-4">
             <LocationSearch onLocationSelect={handleLocationSelect} />
-            <button
-              onClick={() => gedcomInputRef.current?.click()}
+            <TreeSelector disabled={importLoading} />
+            <select
+              value={importMode}
+              onChange={(e) => setImportMode(e.target.value)}
               disabled={importLoading}
+              title="How an import treats GEDCOM data you already have"
+              className="px-2 py-2 border border-gray-300 rounded text-sm bg-white"
+            >
+              <option value="replace">Replace</option>
+              <option value="merge">Merge</option>
+              <option value="add">Add only</option>
+            </select>
+            <button
+              onClick={() => (importLoading ? setShowImportProgress(true) : gedcomInputRef.current?.click())}
+              disabled={previewLoading}
               className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 text-sm"
             >
-              {importLoading ? 'Importing...' : 'Import GEDCOM'}
+              {importLoading
+                ? (importJob?.total ? `Importing ${importJob.geocoded}/${importJob.total}` : 'Importing...')
+                : previewLoading ? 'Reading file...' : 'Import GEDCOM'}
             </button>
             <input
               ref={gedcomInputRef}
               type="file"
-              accept=".ged,.gedcom"
+              accept=".ged,.gedcom,.gramps,.xml,.json,.zip"
               onChange={handleGedcomImport}
               className="hidden"
             />
-            {events.length > 0 && (
-              <button
-                onClick={handleClearAll}
-                className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-red-500 text-white hover:bg-red-600 text-sm"
-              >
-                Clear All
-              </button>
-            )}
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              title="File format for Export"
+              className="px-2 py-2 border border-gray-300 rounded text-sm bg-white"
+            >
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleGedcomExport}
+              className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-teal-600 text-white hover:bg-teal-700 text-sm"
+            >
+              Export
+            </button>
             <Link
               to="/tree"
               className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-indigo-600 text-white hover:bg-indigo-700 text-sm"
             >
               Tree View
             </Link>
+            <Link
+              to="/places"
+              className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-amber-600 text-white hover:bg-amber-700 text-sm"
+            >
+              Places
+            </Link>
             <Link
               to="/dashboard"
               className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-blue-600 text-white hover:bg-blue-700 text-sm"
@@ -225,6 +436,23 @@ export default function FamilyTree() {
               </div>
             )}
 
+            {/* Person filter (from the tree view) */}
+            {personFilter && !selectedMemberId && (
+              <div className="mx-4 mt-3 p-2 bg-indigo-50 border border-indigo-100 rounded text-sm flex items-center justify-between gap-2">
+                <span className="text-indigo-800 truncate">
+                  Events for <span className="font-medium">{filteredPerson?.name || 'this person'}</span>
+                </span>
+                <span className="flex gap-2 flex-shrink-0">
+                  <Link to={`/tree?person=${personFilter}`} className="text-indigo-600 hover:text-indigo-800">
+                    Tree
+                  </Link>
+                  <button onClick={clearPersonFilter} className="text-gray-500 hover:text-gray-700">
+                    Show all
+                  </button>
+                </span>
+              </div>
+            )}
+
             {/* Events List */}
             <div className="p-4 border-b border-gray-200">
               <h2 className="font-semibold text-gray-800 mb-3">
@@ -232,9 +460,11 @@ export default function FamilyTree() {
               </h2>
               {loading ? (
                 <p className="text-gray-500">Loading events...</p>
+              ) : sortedEvents.length === 0 && personFilter && events.length > 0 ? (
+                <p className="text-gray-500 text-sm">None of the imported events are linked to this person.</p>
               ) : sortedEvents.length === 0 ? (
                 <p className="text-gray-500 text-sm">
-                  No GEDCOM events yet. Click "Import GEDCOM" to upload a .ged file.
+                  No GEDCOM events yet. Click "Import GEDCOM" to upload a .ged, Gramps .gramps or GEDCOM X .json file (or a .zip with its media folder).
                 </p>
               ) : (
                 <div className="space-y-2 max-h-[40vh] overflow-auto">
@@ -254,6 +484,20 @@ export default function FamilyTree() {
               )}
             </div>
 
+            {/* Places that couldn't be geocoded on import */}
+            {!selectedMemberId && (
+              <UnplacedPlaces
+                places={unplacedPlaces}
+                resolving={resolvingPlace}
+                position={resolvePosition}
+                saving={savingPlace}
+                onStart={startResolving}
+                onCancel={cancelResolving}
+                onSearchSelect={handleResolvePosition}
+                onSave={handleSavePlace}
+              />
+            )}
+
             {/* Family Panel */}
             <FamilyPanel
               onMemberSelect={handleMemberSelect}
@@ -282,8 +526,9 @@ export default function FamilyTree() {
               }
               selectedEvent={selectedEvent}
               onEventClick={handleEventClick}
-              onMapClick={() => {}}
-              isAddingEvent={false}
+              onMapClick={(latlng) => handleResolvePosition({ lat: latlng.lat, lon: latlng.lng })}
+              isAddingEvent={Boolean(resolvingPlace)}
+              addingHint={`Click on the map to place "${resolvingPlace}"`}
               mapCenter={mapCenter}
               mapZoom={mapZoom}
               searchLocation={searchLocation}
@@ -312,13 +557,48 @@ export default function FamilyTree() {
         />
       )}
 
-      {/* GEDCOM Import Loading Overlay */}
-      {importLoading && (
+      {/* GEDCOM Import Review */}
+      {importPreview && (
+        <ImportPreview
+          preview={importPreview.preview}
+          fileName={importPreview.fileName}
+          mode={importMode}
+          trees={trees}
+          selectedTree={selectedTree}
+          submitting={confirmingImport}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setImportPreview(null)}
+        />
+      )}
+
+      {/* GEDCOM Import Progress Overlay */}
+      {importLoading && showImportProgress && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center" style={{ zIndex: 10001 }}>
-          <div className="bg-white rounded-lg p-8 max-w-sm mx-4 text-center">
+          <div className="bg-white rounded-lg p-8 max-w-sm mx-4 w-full text-center">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto mb-4"></div>
             <h3 className="text-lg font-semibold text-gray-800 mb-2">Importing GEDCOM</h3>
-            <p className="text-gray-500 text-sm">Geocoding locations... this may take a minute.</p>
+            <p className="text-gray-500 text-sm">
+              {IMPORT_PHASES[importJob?.phase] || IMPORT_PHASES.queued}
+            </p>
+            {importJob?.total > 0 && (
+              <div className="mt-4">
+                <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-green-600 transition-all"
+                    style={{ width: `${Math.round((importJob.geocoded / importJob.total) * 100)}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {importJob.geocoded} of {importJob.total} places geocoded
+                </p>
+              </div>
+            )}
+            <button
+              onClick={() => setShowImportProgress(false)}
+              className="mt-4 text-sm text-green-700 hover:text-green-900"
+            >
+              Continue in background
+            </button>
           </div>
         </div>
       )}
@@ -337,9 +617,39 @@ export default function FamilyTree() {
                 <h3 className="text-lg font-semibold text-green-600 mb-2">Import Complete</h3>
                 <div className="space-y-2 mb-4">
                   <p className="text-gray-700">
-                    <span className="font-medium">{importResult.imported}</span> events imported,{' '}
-                    <span className="font-medium">{importResult.skipped}</span> skipped (no location found)
+                    <span className="font-medium">{importResult.imported}</span> events imported
+                    {importResult.photosAdded > 0 && (
+                      <>, <span className="font-medium">{importResult.photosAdded}</span> photos added</>
+                    )}
                   </p>
+                  {importResult.unplaced > 0 && (
+                    <p className="text-sm text-amber-700">
+                      {importResult.unplaced} events have a place that couldn't be found on the map.
+                      Place them from the Unplaced Places list.
+                    </p>
+                  )}
+                  {importResult.counts && (
+                    <table className="w-full text-sm text-gray-600">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="font-medium"></th>
+                          <th className="font-medium">Added</th>
+                          <th className="font-medium">Updated</th>
+                          <th className="font-medium">Removed</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {['people', 'events'].map((kind) => (
+                          <tr key={kind}>
+                            <td className="capitalize">{kind}</td>
+                            <td>{importResult.counts[kind].added}</td>
+                            <td>{importResult.counts[kind].updated}</td>
+                            <td>{importResult.counts[kind].removed}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
                   {importResult.people?.length > 0 && (
                     <div>
                       <p className="text-sm font-medium text-gray-600 mb-1">
@@ -0,0 +1,236 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { placesApi } from '../hooks/useApi';
+
+const SOURCE_LABELS = { file: 'from file', geocoder: 'geocoded', manual: 'placed by you' };
+
+// Places grouped by country, then state
+function groupPlaces(places) {
+  const countries = new Map();
+  for (const place of places) {
+    const country = place.country || 'No country';
+    if (!countries.has(country)) countries.set(country, new Map());
+    const states = countries.get(country);
+    const state = place.state || '';
+    if (!states.has(state)) states.set(state, []);
+    states.get(state).push(place);
+  }
+  return [...countries].map(([country, states]) => ({ country, states: [...states] }));
+}
+
+// The places of your events and GEDCOM people. Renaming or re-geocoding a place changes
+// every event at it; picking an area lists the people born or died there.
+export default function Places() {
+  const [places, setPlaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [within, setWithin] = useState('');
+  const [peopleEvent, setPeopleEvent] = useState('birth');
+  const [people, setPeople] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadPlaces = useCallback(() => {
+    placesApi.getAll(within)
+      .then((res) => setPlaces(res.data.places))
+      .catch((err) => console.error('Failed to load places:', err))
+      .finally(() => setLoading(false));
+  }, [within]);
+
+  useEffect(() => {
+    loadPlaces();
+  }, [loadPlaces]);
+
+  useEffect(() => {
+    if (!within) return;
+    placesApi.getPeople(within, peopleEvent)
+      .then((res) => setPeople(res.data.people))
+      .catch((err) => console.error('Failed to load people:', err));
+  }, [within, peopleEvent]);
+
+  const showArea = (area) => {
+    setSearch(area);
+    setWithin(area);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setWithin(search.trim());
+  };
+
+  const handleRename = async (place) => {
+    const name = prompt('New name for this place (renaming to another place\'s name merges them):', place.name);
+    if (!name?.trim() || name.trim() === place.name) return;
+    setBusyId(place.id);
+    try {
+      const res = await placesApi.rename(place.id, name.trim());
+      if (res.data.merged) alert(`Merged into "${res.data.place.name}"`);
+      loadPlaces();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to rename place');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleGeocode = async (place) => {
+    if (place.source === 'manual' && !confirm(`Replace the position you picked for "${place.name}" with the geocoder's?`)) return;
+    setBusyId(place.id);
+    try {
+      await placesApi.geocode(place.id);
+      loadPlaces();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to look up place');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const areaButton = (area) => area && (
+    <button onClick={() => showArea(area)} className="text-amber-700 hover:underline">
+      {area}
+    </button>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white shadow-sm">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex justify-between items-center">
+          <h1 className="text-xl font-bold text-amber-700">Places</h1>
+          <div className="flex items-center gap-4">
+            <Link to="/family-tree" className="text-blue-600 hover:underline text-sm">
+              Family Tree
+            </Link>
+            <Link to="/dashboard" className="text-blue-600 hover:underline text-sm">
+              Dashboard
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Area, e.g. County Cork or Ireland"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-amber-500"
+          />
+          <button type="submit" className="px-4 py-2 bg-amber-600 text-white rounded text-sm hover:bg-amber-700">
+            Show
+          </button>
+          {within && (
+            <button
+              type="button"
+              onClick={() => showArea('')}
+              className="px-4 py-2 text-gray-600 text-sm hover:text-gray-800"
+            >
+              All places
+            </button>
+          )}
+        </form>
+
+        {within && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold text-gray-800">People in {within}</h2>
+              <select
+                value={peopleEvent}
+                onChange={(e) => setPeopleEvent(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+              >
+                <option value="birth">Born here</option>
+                <option value="death">Died here</option>
+                <option value="">Born or died here</option>
+              </select>
+            </div>
+            {people.length === 0 ? (
+              <p className="text-sm text-gray-500">Nobody in your trees.</p>
+            ) : (
+              <ul className="text-sm divide-y divide-gray-100">
+                {people.map((person) => (
+                  <li key={person.id} className="py-1 flex justify-between gap-4">
+                    <span className="text-gray-800">{person.name}</span>
+                    <span className="text-gray-500 text-right">
+                      {peopleEvent !== 'death' && person.birth_place && (
+                        <span className="block">b. {person.birth_date?.slice(0, 4) || '?'} {person.birth_place}</span>
+                      )}
+                      {peopleEvent !== 'birth' && person.death_place && (
+                        <span className="block">d. {person.death_date?.slice(0, 4) || '?'} {person.death_place}</span>
+                      )}
+                      {person.tree_name && <span className="block text-xs text-gray-400">{person.tree_name}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-1">
+            {within ? `Places in ${within}` : 'Your places'} ({places.length})
+          </h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Renaming or looking up a place changes every event at it. Click an area to see who was born there.
+          </p>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : places.length === 0 ? (
+            <p className="text-sm text-gray-500">No places yet. Import a GEDCOM or CSV file to add some.</p>
+          ) : (
+            groupPlaces(places).map(({ country, states }) => (
+              <div key={country} className="mb-4">
+                <h3 className="font-semibold text-gray-700 border-b border-gray-200 pb-1 mb-2">
+                  {country === 'No country' ? country : areaButton(country)}
+                </h3>
+                {states.map(([state, statePlaces]) => (
+                  <div key={state} className="ml-2 mb-2">
+                    {state && <h4 className="text-sm font-medium text-gray-600 mb-1">{areaButton(state)}</h4>}
+                    <ul className="text-sm space-y-1">
+                      {statePlaces.map((place) => (
+                        <li key={place.id} className="flex items-start justify-between gap-4">
+                          <div className="min-w-0">
+                            <p className="text-gray-800 break-words">
+                              {place.city}
+                              {place.county && <span className="text-gray-500">, {areaButton(place.county)}</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {place.event_count} {place.event_count === 1 ? 'event' : 'events'}, {place.people_count} {place.people_count === 1 ? 'person' : 'people'}
+                              {' · '}
+                              {place.latitude === null
+                                ? 'not on the map'
+                                : `${place.latitude.toFixed(4)}, ${place.longitude.toFixed(4)}` +
+                                  (SOURCE_LABELS[place.source] ? ` (${SOURCE_LABELS[place.source]})` : '')}
+                            </p>
+                          </div>
+                          <div className="flex-shrink-0 whitespace-nowrap">
+                            <button
+                              onClick={() => handleRename(place)}
+                              disabled={busyId !== null}
+                              className="text-blue-600 hover:underline mr-3 disabled:opacity-50"
+                            >
+                              Rename
+                            </button>
+                            <button
+                              onClick={() => handleGeocode(place)}
+                              disabled={busyId !== null}
+                              className="text-amber-700 hover:underline disabled:opacity-50"
+                            >
+                              {busyId === place.id ? 'Looking up...' : 'Look up again'}
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
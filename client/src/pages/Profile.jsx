@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { profileApi, familyApi } from '../hooks/useApi';
+import PlaceNames from '../components/Family/PlaceNames';
 
 export default function Profile() {
   const { user, logout } = useAuth();
@@ -287,6 +288,8 @@ export default function Profile() {
             </p>
           )}
         </div>
+
+        <PlaceNames hasFamily={Boolean(family)} />
       </main>
     </div>
   );
@@ -1,8 +1,10 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import Tree from 'react-d3-tree';
 import { eventsApi, familyApi } from '../hooks/useApi';
 import { useAuth } from '../context/AuthContext';
+import { useTrees } from '../hooks/useTrees';
+import TreeSelector from '../components/Trees/TreeSelector';
 
 // Build a hierarchical tree from GEDCOM people + families
 function buildGedcomTree(people, families) {
@@ -20,6 +22,12 @@ function buildGedcomTree(people, families) {
         deathPlace: p.death_place || '',
         birthDate: p.birth_date || '',
         deathDate: p.death_date || '',
+        nickname: p.nickname || '',
+        alternateNames: (p.alternate_names || [])
+          .map((alt) => (alt.type ? `${alt.name} (${alt.type})` : alt.name))
+          .join(', '),
+        personId: p.id,
+        eventCount: (p.event_ids || []).length,
       },
       gedcomId: p.gedcom_id,
       children: [],
@@ -122,8 +130,19 @@ function buildFamilyTree(members, relationships) {
   };
 }
 
+// Depth-first search for the node of a GEDCOM person
+function findPersonNode(node, personId) {
+  if (!node) return null;
+  if (node.attributes?.personId === personId) return node;
+  for (const child of node.children || []) {
+    const found = findPersonNode(child, personId);
+    if (found) return found;
+  }
+  return null;
+}
+
 // Custom node renderer
-function renderCustomNode({ nodeDatum, toggleNode }) {
+function renderCustomNode({ nodeDatum, toggleNode, isSelected }) {
   const sex = nodeDatum.attributes?.sex;
   const born = nodeDatum.attributes?.born;
   const died = nodeDatum.attributes?.died;
@@ -149,7 +168,7 @@ function renderCustomNode({ nodeDatum, toggleNode }) {
         rx={8}
         fill="white"
         stroke={fillColor}
-        strokeWidth={2}
+        strokeWidth={isSelected ? 4 : 2}
         style={{ filter: 'drop-shadow(0 1px 3px rgba(0,0,0,0.15))' }}
       />
       {/* Sex indicator dot */}
@@ -184,6 +203,10 @@ function renderCustomNode({ nodeDatum, toggleNode }) {
 
 export default function TreePage() {
   const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  // ?person=<gedcom_people id> (from an event on the map) opens on that person
+  const focusPersonId = Number(searchParams.get('person')) || null;
+  const { selectedTreeId } = useTrees();
   const [activeTab, setActiveTab] = useState('gedcom');
   const [gedcomTree, setGedcomTree] = useState(null);
   const [familyTree, setFamilyTree] = useState(null);
@@ -202,14 +225,16 @@ export default function TreePage() {
 
   const fetchGedcomTree = useCallback(async () => {
     try {
-      const response = await eventsApi.getGedcomTree();
+      const response = await eventsApi.getGedcomTree(selectedTreeId);
       const { people, families } = response.data;
       const tree = buildGedcomTree(people || [], families || []);
       setGedcomTree(tree);
+      // A different tree's people aren't in this one
+      setSelectedNode(focusPersonId ? findPersonNode(tree, focusPersonId) : null);
     } catch (err) {
       console.error('Failed to fetch GEDCOM tree:', err);
     }
-  }, []);
+  }, [focusPersonId, selectedTreeId]);
 
   const fetchFamilyTree = useCallback(async () => {
     try {
@@ -265,6 +290,7 @@ export default function TreePage() {
             </div>
           </div>
           <div className="flex items-center gap-3">
+            {activeTab === 'gedcom' && <TreeSelector />}
             <Link
               to="/dashboard"
               className="px-4 py-2 rounded transition-colors whitespace-nowrap bg-blue-600 text-white hover:bg-blue-700 text-sm"
@@ -324,6 +350,8 @@ export default function TreePage() {
               renderCustomNode({
                 ...rd3tProps,
                 toggleNode: () => handleNodeClick(rd3tProps.nodeDatum),
+                isSelected: Boolean(selectedNode?.attributes?.personId) &&
+                  selectedNode.attributes.personId === rd3tProps.nodeDatum.attributes?.personId,
               })
             }
             onNodeClick={(node) => handleNodeClick(node.data)}
@@ -347,6 +375,17 @@ export default function TreePage() {
             </div>
             {selectedNode.attributes && (
               <div className="space-y-2 text-sm">
+                {(selectedNode.attributes.nickname || selectedNode.attributes.alternateNames) && (
+                  <div className="flex gap-2">
+                    <span className="text-gray-500">Also known as:</span>
+                    <span className="text-xs">
+                      {[
+                        selectedNode.attributes.nickname && `"${selectedNode.attributes.nickname}"`,
+                        selectedNode.attributes.alternateNames,
+                      ].filter(Boolean).join(', ')}
+                    </span>
+                  </div>
+                )}
                 {selectedNode.attributes.sex && (
                   <div className="flex gap-2">
                     <span className="text-gray-500">Sex:</span>
@@ -389,6 +428,18 @@ export default function TreePage() {
                     <span>{selectedNode.children.length}</span>
                   </div>
                 )}
+                {selectedNode.attributes.personId && (
+                  selectedNode.attributes.eventCount > 0 ? (
+                    <Link
+                      to={`/family-tree?person=${selectedNode.attributes.personId}`}
+                      className="mt-2 inline-block px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 text-xs"
+                    >
+                      Show {selectedNode.attributes.eventCount} event{selectedNode.attributes.eventCount !== 1 ? 's' : ''} on map
+                    </Link>
+                  ) : (
+                    <p className="text-xs text-gray-400 pt-1">No events on the map</p>
+                  )
+                )}
               </div>
             )}
           </div>
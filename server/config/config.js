@@ -1,9 +1,21 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   port: process.env.PORT || 3001,
   jwtSecret: process.env.JWT_SECRET || 'default-secret-change-me',
   nodeEnv: process.env.NODE_ENV || 'development',
   googleClientId: process.env.GOOGLE_CLIENT_ID,
-  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173'
+  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
+  uploadsDir: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  // Geocoding providers tried in order until one finds a place: nominatim, photon, gazetteer
+  geocoders: (process.env.GEOCODERS || 'nominatim,gazetteer').split(',').map(g => g.trim().toLowerCase()).filter(Boolean),
+  // Self-hosted servers; the public ones are used when these aren't set
+  nominatimUrl: process.env.NOMINATIM_URL || null,
+  photonUrl: process.env.PHOTON_URL || null,
+  // Offline place file in the GeoNames format
+  gazetteerPath: process.env.GAZETTEER_PATH || path.join(__dirname, '..', 'data', 'gazetteer.txt'),
+  // Country and region (admin-1) boundaries in GeoJSON, for telling which country an event is in
+  countryBoundariesPath: process.env.COUNTRY_BOUNDARIES_PATH || path.join(__dirname, '..', 'data', 'countries.geojson'),
+  regionBoundariesPath: process.env.REGION_BOUNDARIES_PATH || path.join(__dirname, '..', 'data', 'regions.geojson')
 };
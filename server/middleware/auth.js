@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { jwtSecret } = require('../config/config');
+const { userQueries } = require('../models/database');
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -18,4 +19,18 @@ function authenticateToken(req, res, next) {
   }
 }
 
-module.exports = { authenticateToken };
+// Admins are flagged on their user row (npm run admin grant <email>). The flag is read
+// on each request, not taken from the token, so revoking it applies at once.
+function isAdmin(user) {
+  return userQueries.isAdmin(user.id);
+}
+
+// Use after authenticateToken
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+module.exports = { authenticateToken, requireAdmin, isAdmin };
@@ -0,0 +1,162 @@
+/**
+ * Users, families, events with their photos and comments, invites, notifications, and the
+ * people and families read from GEDCOM files
+ */
+
+module.exports = {
+  up({ run, addColumn, hasColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS families (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        host_user_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT,
+        name TEXT NOT NULL,
+        family_id INTEGER,
+        google_id TEXT UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (family_id) REFERENCES families(id)
+      )
+    `);
+    // SQLite can't add a UNIQUE column, so databases from before Google sign-in get a unique index
+    if (!hasColumn('users', 'google_id')) {
+      run('ALTER TABLE users ADD COLUMN google_id TEXT');
+      run('CREATE UNIQUE INDEX users_google_id ON users (google_id)');
+    }
+
+    run(`
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        event_date DATE NOT NULL,
+        end_date DATE,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        category TEXT DEFAULT 'other',
+        source TEXT DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    addColumn('events', 'end_date', 'DATE');
+    addColumn('events', 'category', "TEXT DEFAULT 'other'");
+    addColumn('events', 'source', "TEXT DEFAULT 'manual'");
+
+    run(`
+      CREATE TABLE IF NOT EXISTS event_photos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Requests to join a family (the invite system)
+    run(`
+      CREATE TABLE IF NOT EXISTS family_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        requester_id INTEGER NOT NULL,
+        family_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (requester_id) REFERENCES users(id),
+        FOREIGN KEY (family_id) REFERENCES families(id)
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        data TEXT,
+        read INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Individuals parsed from .ged files
+    run(`
+      CREATE TABLE IF NOT EXISTS gedcom_people (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        gedcom_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        birth_date TEXT, birth_place TEXT,
+        death_date TEXT, death_place TEXT,
+        sex TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // FAM records (parent/spouse links) and the children in them
+    run(`
+      CREATE TABLE IF NOT EXISTS gedcom_families (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        gedcom_fam_id TEXT NOT NULL,
+        husband_gedcom_id TEXT,
+        wife_gedcom_id TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    run(`
+      CREATE TABLE IF NOT EXISTS gedcom_children (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        gedcom_family_id INTEGER NOT NULL,
+        child_gedcom_id TEXT NOT NULL,
+        FOREIGN KEY (gedcom_family_id) REFERENCES gedcom_families(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Live relationships between users
+    run(`
+      CREATE TABLE IF NOT EXISTS family_relationships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        family_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        related_user_id INTEGER NOT NULL,
+        relationship TEXT NOT NULL,
+        FOREIGN KEY (family_id) REFERENCES families(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (related_user_id) REFERENCES users(id)
+      )
+    `);
+  },
+
+  down({ run }) {
+    for (const table of [
+      'family_relationships', 'gedcom_children', 'gedcom_families', 'gedcom_people', 'notifications',
+      'family_requests', 'comments', 'event_photos', 'events', 'users', 'families'
+    ]) {
+      run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * The place name an event was imported with, and how exact its date is
+ */
+
+module.exports = {
+  up({ addColumn }) {
+    addColumn('events', 'place_name', 'TEXT');
+    // Date precision ('day' | 'month' | 'year', NULL = day) and qualifier ('about', 'before', 'between', ...)
+    addColumn('events', 'date_precision', 'TEXT');
+    addColumn('events', 'date_qualifier', 'TEXT');
+  },
+
+  down({ dropColumn }) {
+    dropColumn('events', 'date_qualifier');
+    dropColumn('events', 'date_precision');
+    dropColumn('events', 'place_name');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Name parts of GEDCOM people
+ */
+
+const COLUMNS = ['given_name', 'surname', 'name_prefix', 'name_suffix', 'nickname', 'alternate_names'];
+
+module.exports = {
+  up({ addColumn }) {
+    // alternate_names is a JSON array of { name, given, surname, type } (maiden/married/aka)
+    for (const column of COLUMNS) addColumn('gedcom_people', column, 'TEXT');
+  },
+
+  down({ dropColumn }) {
+    for (const column of [...COLUMNS].reverse()) dropColumn('gedcom_people', column);
+  }
+};
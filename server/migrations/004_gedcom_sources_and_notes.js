@@ -0,0 +1,52 @@
+/**
+ * GEDCOM sources, the citations linking them to events, and notes on events and people
+ */
+
+module.exports = {
+  up({ run, addColumn }) {
+    // SOUR records, with the REPO name they are held in
+    run(`
+      CREATE TABLE IF NOT EXISTS gedcom_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        gedcom_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        author TEXT,
+        publication TEXT,
+        repository TEXT,
+        text TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // The evidence for an event: a source, where in it, and how reliable it is.
+    // quality is the GEDCOM QUAY value: 0 unreliable .. 3 direct evidence
+    run(`
+      CREATE TABLE IF NOT EXISTS event_citations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        source_id INTEGER,
+        page TEXT,
+        quality INTEGER,
+        text TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (source_id) REFERENCES gedcom_sources(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Free-text notes (GEDCOM NOTE records attached to the event or person)
+    addColumn('events', 'notes', 'TEXT');
+    addColumn('gedcom_people', 'notes', 'TEXT');
+  },
+
+  down({ run, dropColumn }) {
+    dropColumn('gedcom_people', 'notes');
+    dropColumn('events', 'notes');
+    run('DROP TABLE IF EXISTS event_citations');
+    run('DROP TABLE IF EXISTS gedcom_sources');
+  }
+};
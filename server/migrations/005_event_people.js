@@ -0,0 +1,21 @@
+/**
+ * Links from imported events to the GEDCOM people they describe (both spouses for family events)
+ */
+
+module.exports = {
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS event_people (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        person_id INTEGER NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (person_id) REFERENCES gedcom_people(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down({ run }) {
+    run('DROP TABLE IF EXISTS event_people');
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Named GEDCOM trees; a user can research each side of the family in its own tree.
+ * GEDCOM people, families, sources and imported events belong to one tree (tree_id)
+ */
+
+const TREE_TABLES = ['gedcom_people', 'gedcom_families', 'gedcom_sources', 'events'];
+
+module.exports = {
+  up({ run, getAll, getOne, addColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS trees (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    for (const table of TREE_TABLES) addColumn(table, 'tree_id', 'INTEGER REFERENCES trees(id)');
+
+    // GEDCOM data imported before trees existed goes into a "Family Tree" per user
+    const untreed = getAll(`
+      SELECT user_id FROM gedcom_people WHERE tree_id IS NULL
+      UNION SELECT user_id FROM gedcom_families WHERE tree_id IS NULL
+      UNION SELECT user_id FROM gedcom_sources WHERE tree_id IS NULL
+      UNION SELECT user_id FROM events WHERE source = 'gedcom' AND tree_id IS NULL
+    `);
+    for (const { user_id: userId } of untreed) {
+      run('INSERT INTO trees (user_id, name) VALUES (?, ?)', [userId, 'Family Tree']);
+      const treeId = getOne('SELECT last_insert_rowid() as id').id;
+      for (const table of ['gedcom_people', 'gedcom_families', 'gedcom_sources']) {
+        run(`UPDATE ${table} SET tree_id = ? WHERE user_id = ? AND tree_id IS NULL`, [treeId, userId]);
+      }
+      run("UPDATE events SET tree_id = ? WHERE user_id = ? AND source = 'gedcom' AND tree_id IS NULL", [treeId, userId]);
+    }
+  },
+
+  // Everything a user imported stays theirs, but which tree it was in is lost
+  down({ run, dropColumn }) {
+    for (const table of [...TREE_TABLES].reverse()) dropColumn(table, 'tree_id');
+    run('DROP TABLE IF EXISTS trees');
+  }
+};
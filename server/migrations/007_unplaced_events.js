@@ -0,0 +1,33 @@
+/**
+ * Imported events whose place couldn't be geocoded are kept with NULL coordinates
+ * ("unplaced") until the user places them. SQLite can't drop NOT NULL in place, so events
+ * are copied into a table created from the stored schema with the constraint changed.
+ */
+
+function rebuildEvents({ run, getOne }, change) {
+  const { sql } = getOne("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'events'");
+  const changed = change(sql);
+  if (changed === sql) return;
+
+  run(changed.replace(/CREATE TABLE (IF NOT EXISTS )?"?events"?/, 'CREATE TABLE events_new'));
+  run('INSERT INTO events_new SELECT * FROM events');
+  run('DROP TABLE events');
+  run('ALTER TABLE events_new RENAME TO events');
+}
+
+module.exports = {
+  up(schema) {
+    rebuildEvents(schema, sql => sql
+      .replace('latitude REAL NOT NULL', 'latitude REAL')
+      .replace('longitude REAL NOT NULL', 'longitude REAL'));
+  },
+
+  down(schema) {
+    const { count } = schema.getOne('SELECT COUNT(*) as count FROM events WHERE latitude IS NULL OR longitude IS NULL');
+    if (count > 0) throw new Error(`${count} events have no coordinates; place or delete them first`);
+
+    rebuildEvents(schema, sql => sql
+      .replace(/latitude REAL(?! NOT NULL)/, 'latitude REAL NOT NULL')
+      .replace(/longitude REAL(?! NOT NULL)/, 'longitude REAL NOT NULL'));
+  }
+};
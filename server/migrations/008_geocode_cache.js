@@ -0,0 +1,28 @@
+/**
+ * Geocoding results, shared by every import and kept across restarts. Places that weren't
+ * found (or failed) are cached too and looked up again after retry_after;
+ * status: 'found' | 'not_found' | 'failed' | 'manual' (corrected by an admin, never looked up again)
+ */
+
+module.exports = {
+  up({ run, addColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS geocode_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query TEXT UNIQUE NOT NULL,
+        latitude REAL,
+        longitude REAL,
+        status TEXT NOT NULL,
+        retry_after DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // Which geocoder answered a 'found' entry (nominatim, photon, gazetteer)
+    addColumn('geocode_cache', 'provider', 'TEXT');
+  },
+
+  down({ run }) {
+    run('DROP TABLE IF EXISTS geocode_cache');
+  }
+};
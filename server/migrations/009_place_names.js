@@ -0,0 +1,44 @@
+/**
+ * Historical place name dictionary, applied to imported places before geocoding
+ * (Ceylon -> Sri Lanka). Entries without a family_id are shared by everyone; a family's
+ * own entries are applied first. from_year / to_year bound the years the old name was in
+ * use (NULL = open); country is the modern country, added to a bare town name
+ */
+
+// Shared entries for the names imports used to fix in code
+const DEFAULTS = [
+  ['Ceylon', 'Sri Lanka', null, 1972, 'Sri Lanka'],
+  ['Western Prov.', 'Western Province', null, null, null],
+  ['Engnd', 'England', null, null, 'United Kingdom'],
+  ['Belgique', 'Belgium', null, null, 'Belgium'],
+  ['Brugge', 'Brugge', null, null, 'Belgium'],
+  ['Kolberg', 'Kołobrzeg', null, 1945, 'Poland']
+];
+
+module.exports = {
+  up({ run, hasTable }) {
+    // A database that already has the table keeps its entries as the admins left them
+    const existed = hasTable('place_names');
+    run(`
+      CREATE TABLE IF NOT EXISTS place_names (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        family_id INTEGER,
+        old_name TEXT NOT NULL,
+        modern_name TEXT NOT NULL,
+        from_year INTEGER,
+        to_year INTEGER,
+        country TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (family_id) REFERENCES families(id) ON DELETE CASCADE
+      )
+    `);
+    if (existed) return;
+    for (const entry of DEFAULTS) {
+      run('INSERT INTO place_names (old_name, modern_name, from_year, to_year, country) VALUES (?, ?, ?, ?, ?)', entry);
+    }
+  },
+
+  down({ run }) {
+    run('DROP TABLE IF EXISTS place_names');
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Places: one row per distinct place name in a user's events and GEDCOM people, so a place
+ * is renamed or re-geocoded once for everything that happened there. city/county/state/country
+ * split the name; source says where the coordinates came from: 'file' (the imported file),
+ * 'geocoder', 'manual' (placed by the user), NULL while unplaced (or for places linked from
+ * events stored before places existed)
+ */
+
+// The split as models/database splitPlaceName made it when this migration was written
+// (largest area last), kept here so later changes to it don't change what this migration does
+function splitPlaceName(name) {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  const levels = { city: null, county: null, state: null, country: null };
+  if (parts.length > 1) levels.country = parts.pop();
+  if (parts.length > 1) levels.state = parts.pop();
+  if (parts.length > 1) levels.county = parts.pop();
+  levels.city = parts.join(', ') || null;
+  return levels;
+}
+
+module.exports = {
+  up({ run, getAll, addColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS places (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        city TEXT,
+        county TEXT,
+        state TEXT,
+        country TEXT,
+        latitude REAL,
+        longitude REAL,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    addColumn('events', 'place_id', 'INTEGER REFERENCES places(id)');
+    addColumn('gedcom_people', 'birth_place_id', 'INTEGER REFERENCES places(id)');
+    addColumn('gedcom_people', 'death_place_id', 'INTEGER REFERENCES places(id)');
+
+    // Link the events and people already stored; a place takes the coordinates of one of its events
+    run(`
+      INSERT OR IGNORE INTO places (user_id, name)
+      SELECT user_id, place_name FROM events WHERE place_name IS NOT NULL AND place_id IS NULL
+      UNION SELECT user_id, birth_place FROM gedcom_people WHERE birth_place IS NOT NULL AND birth_place_id IS NULL
+      UNION SELECT user_id, death_place FROM gedcom_people WHERE death_place IS NOT NULL AND death_place_id IS NULL
+    `);
+    for (const place of getAll('SELECT id, name FROM places WHERE COALESCE(city, county, state, country) IS NULL')) {
+      const { city, county, state, country } = splitPlaceName(place.name);
+      run('UPDATE places SET city = ?, county = ?, state = ?, country = ? WHERE id = ?',
+        [city, county, state, country, place.id]);
+    }
+    run(`UPDATE events SET place_id = (SELECT id FROM places p WHERE p.user_id = events.user_id AND p.name = events.place_name)
+      WHERE place_name IS NOT NULL AND place_id IS NULL`);
+    run(`UPDATE gedcom_people SET birth_place_id = (SELECT id FROM places p WHERE p.user_id = gedcom_people.user_id AND p.name = gedcom_people.birth_place)
+      WHERE birth_place IS NOT NULL AND birth_place_id IS NULL`);
+    run(`UPDATE gedcom_people SET death_place_id = (SELECT id FROM places p WHERE p.user_id = gedcom_people.user_id AND p.name = gedcom_people.death_place)
+      WHERE death_place IS NOT NULL AND death_place_id IS NULL`);
+    run(`UPDATE places SET
+        latitude = (SELECT latitude FROM events e WHERE e.place_id = places.id AND e.latitude IS NOT NULL LIMIT 1),
+        longitude = (SELECT longitude FROM events e WHERE e.place_id = places.id AND e.latitude IS NOT NULL LIMIT 1)
+      WHERE latitude IS NULL`);
+  },
+
+  // Events and people keep their place names (renames were copied to them), so nothing is lost
+  // but coordinates given to a place with no events
+  down({ run, dropColumn }) {
+    dropColumn('gedcom_people', 'death_place_id');
+    dropColumn('gedcom_people', 'birth_place_id');
+    dropColumn('events', 'place_id');
+    run('DROP TABLE IF EXISTS places');
+  }
+};
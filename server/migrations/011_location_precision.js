@@ -0,0 +1,19 @@
+/**
+ * How precise a location is: 'address', 'town', 'county', 'region' or 'country'
+ * (utils/coordinates LOCATION_PRECISIONS), NULL for exact or unknown. Geocoder results
+ * record it, and events and places carry the precision of their coordinates
+ */
+
+module.exports = {
+  up({ addColumn }) {
+    addColumn('geocode_cache', 'precision', 'TEXT');
+    addColumn('events', 'location_precision', 'TEXT');
+    addColumn('places', 'location_precision', 'TEXT');
+  },
+
+  down({ dropColumn }) {
+    dropColumn('places', 'location_precision');
+    dropColumn('events', 'location_precision');
+    dropColumn('geocode_cache', 'precision');
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * How exact a person's birth and death dates are, as for events (see 002): a range end,
+ * the precision ('day' | 'month' | 'year', NULL = day) and the qualifier ('about', 'before', ...)
+ */
+
+const COLUMNS = [
+  ['birth_end_date', 'TEXT'], ['birth_date_precision', 'TEXT'], ['birth_date_qualifier', 'TEXT'],
+  ['death_end_date', 'TEXT'], ['death_date_precision', 'TEXT'], ['death_date_qualifier', 'TEXT']
+];
+
+module.exports = {
+  up({ addColumn }) {
+    for (const [column, definition] of COLUMNS) addColumn('gedcom_people', column, definition);
+  },
+
+  down({ dropColumn }) {
+    for (const [column] of [...COLUMNS].reverse()) dropColumn('gedcom_people', column);
+  }
+};
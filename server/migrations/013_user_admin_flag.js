@@ -0,0 +1,14 @@
+/**
+ * Admin rights (the /api/admin endpoints and shared place names) as a flag on the user,
+ * granted with "npm run admin grant <email>"
+ */
+
+module.exports = {
+  up({ addColumn }) {
+    addColumn('users', 'is_admin', 'INTEGER NOT NULL DEFAULT 0');
+  },
+
+  down({ dropColumn }) {
+    dropColumn('users', 'is_admin');
+  }
+};
@@ -1,6 +1,7 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const { migrateUp } = require('./migrator');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'ancestry-atlas.db');
 
@@ -21,8 +22,8 @@ function saveDatabase() {
   }
 }
 
-// Initialize database
-async function initializeDatabase() {
+// Load the database file, or create an empty database
+async function openDatabase() {
   const SQL = await initSqlJs();
 
   // Try to load existing database
@@ -39,160 +40,35 @@ async function initializeDatabase() {
     console.log('Creating new database:', err.message);
     db = new SQL.Database();
   }
+  return db;
+}
 
-  // Create tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS families (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      host_user_id INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      email TEXT UNIQUE NOT NULL,
-      password_hash TEXT,
-      name TEXT NOT NULL,
-      family_id INTEGER,
-      google_id TEXT UNIQUE,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (family_id) REFERENCES families(id)
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      description TEXT,
-      event_date DATE NOT NULL,
-      end_date DATE,
-      latitude REAL NOT NULL,
-      longitude REAL NOT NULL,
-      category TEXT DEFAULT 'other',
-      source TEXT DEFAULT 'manual',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Migrations for existing DBs
-  try { db.run("ALTER TABLE events ADD COLUMN end_date DATE"); } catch (e) {}
-  try { db.run("ALTER TABLE events ADD COLUMN category TEXT DEFAULT 'other'"); } catch (e) {}
-  try { db.run("ALTER TABLE events ADD COLUMN source TEXT DEFAULT 'manual'"); } catch (e) {}
-  try { db.run("ALTER TABLE users ADD COLUMN google_id TEXT UNIQUE"); } catch (e) {}
-
-  // Photos table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS event_photos (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      event_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      original_name TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Comments table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS comments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      event_id INTEGER NOT NULL,
-      user_id INTEGER NOT NULL,
-      text TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // Create family_requests table for invite system
-  db.run(`
-    CREATE TABLE IF NOT EXISTS family_requests (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      requester_id INTEGER NOT NULL,
-      family_id INTEGER NOT NULL,
-      status TEXT NOT NULL DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (requester_id) REFERENCES users(id),
-      FOREIGN KEY (family_id) REFERENCES families(id)
-    )
-  `);
-
-  // Create notifications table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      type TEXT NOT NULL,
-      message TEXT NOT NULL,
-      data TEXT,
-      read INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // GEDCOM people table (parsed individuals from .ged files)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS gedcom_people (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      gedcom_id TEXT NOT NULL,
-      name TEXT NOT NULL,
-      birth_date TEXT, birth_place TEXT,
-      death_date TEXT, death_place TEXT,
-      sex TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // GEDCOM families table (FAM records — parent/spouse links)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS gedcom_families (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      gedcom_fam_id TEXT NOT NULL,
-      husband_gedcom_id TEXT,
-      wife_gedcom_id TEXT,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // GEDCOM children table (links children to FAM records)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS gedcom_children (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      gedcom_family_id INTEGER NOT NULL,
-      child_gedcom_id TEXT NOT NULL,
-      FOREIGN KEY (gedcom_family_id) REFERENCES gedcom_families(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Family relationships table (live user relationships)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS family_relationships (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      family_id INTEGER NOT NULL,
-      user_id INTEGER NOT NULL,
-      related_user_id INTEGER NOT NULL,
-      relationship TEXT NOT NULL,
-      FOREIGN KEY (family_id) REFERENCES families(id) ON DELETE CASCADE,
-      FOREIGN KEY (user_id) REFERENCES users(id),
-      FOREIGN KEY (related_user_id) REFERENCES users(id)
-    )
-  `);
-
+// Initialize database: open it and bring its schema up to date (see migrations/). Refuses
+// to start on a database migrated by a newer version of the code
+async function initializeDatabase() {
+  await openDatabase();
+  migrateUp(db, { save: saveDatabase });
   saveDatabase();
   console.log('Database initialized successfully');
 }
 
+/**
+ * Split a place name into its hierarchy. GEDCOM writes the largest area last
+ * ("Cork, County Cork, Munster, Ireland"), so parts are taken from the right:
+ * country, then state, then county; whatever is left is the city.
+ * "Faringdon, Berkshire, England" has no county.
+ * @returns {{ city: string|null, county: string|null, state: string|null, country: string|null }}
+ */
+function splitPlaceName(name) {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  const levels = { city: null, county: null, state: null, country: null };
+  if (parts.length > 1) levels.country = parts.pop();
+  if (parts.length > 1) levels.state = parts.pop();
+  if (parts.length > 1) levels.county = parts.pop();
+  levels.city = parts.join(', ') || null;
+  return levels;
+}
+
 // Helper to get single row with params
 function getOne(sql, params = []) {
   const stmt = db.prepare(sql);
@@ -257,7 +133,14 @@ const userQueries = {
     run('UPDATE users SET google_id = ? WHERE id = ?', [googleId, userId]),
   createGoogleUser: (email, name, googleId) =>
     run('INSERT INTO users (email, password_hash, name, google_id) VALUES (?, NULL, ?, ?)',
-      [email, name, googleId])
+      [email, name, googleId]),
+  isAdmin: (id) => {
+    const row = getOne('SELECT is_admin FROM users WHERE id = ?', [id]);
+    return Boolean(row && row.is_admin);
+  },
+  findAdmins: () => getAll('SELECT id, email, name, created_at FROM users WHERE is_admin = 1 ORDER BY email'),
+  setAdmin: (isAdmin, userId) =>
+    run('UPDATE users SET is_admin = ? WHERE id = ?', [isAdmin ? 1 : 0, userId])
 };
 
 // Family queries
@@ -278,6 +161,10 @@ const eventQueries = {
     getAll('SELECT * FROM events WHERE user_id = ? ORDER BY event_date ASC', [userId]),
   findByUserIdAndSource: (userId, source) =>
     getAll('SELECT * FROM events WHERE user_id = ? AND source = ? ORDER BY event_date ASC', [userId, source]),
+  findByTreeId: (treeId) =>
+    getAll('SELECT * FROM events WHERE tree_id = ? ORDER BY event_date ASC', [treeId]),
+  findUnplacedByTreeId: (treeId) =>
+    getAll('SELECT * FROM events WHERE tree_id = ? AND latitude IS NULL ORDER BY place_name, event_date ASC', [treeId]),
   findByFamilyId: (familyId) =>
     getAll(`
       SELECT e.*, u.name as user_name
@@ -294,18 +181,38 @@ const eventQueries = {
       WHERE u.family_id = ? AND e.source = ?
       ORDER BY e.event_date ASC
     `, [familyId, source]),
-  create: (userId, title, description, eventDate, endDate, latitude, longitude, category) =>
-    run('INSERT INTO events (user_id, title, description, event_date, end_date, latitude, longitude, category) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [userId, title, description, eventDate, endDate, latitude, longitude, category || 'other']),
-  createWithSource: (userId, title, description, eventDate, endDate, latitude, longitude, category, source) =>
-    run('INSERT INTO events (user_id, title, description, event_date, end_date, latitude, longitude, category, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [userId, title, description, eventDate, endDate, latitude, longitude, category || 'other', source]),
-  update: (title, description, eventDate, endDate, latitude, longitude, category, id) =>
-    run('UPDATE events SET title = ?, description = ?, event_date = ?, end_date = ?, latitude = ?, longitude = ?, category = ? WHERE id = ?',
-      [title, description, eventDate, endDate, latitude, longitude, category || 'other', id]),
-  delete: (id) => run('DELETE FROM events WHERE id = ?', [id]),
-  deleteByUserIdAndSource: (userId, source) =>
-    run('DELETE FROM events WHERE user_id = ? AND source = ?', [userId, source])
+  create: (userId, title, description, eventDate, endDate, latitude, longitude, category, datePrecision, dateQualifier, locationPrecision) =>
+    run('INSERT INTO events (user_id, title, description, event_date, end_date, latitude, longitude, category, date_precision, date_qualifier, location_precision) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, title, description, eventDate, endDate, latitude, longitude, category || 'other', datePrecision || null, dateQualifier || null, locationPrecision || null]),
+  createWithSource: (userId, title, description, eventDate, endDate, latitude, longitude, category, source, placeName, datePrecision, dateQualifier, notes, treeId, placeId, locationPrecision) =>
+    run('INSERT INTO events (user_id, title, description, event_date, end_date, latitude, longitude, category, source, place_name, date_precision, date_qualifier, notes, tree_id, place_id, location_precision) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, title, description, eventDate, endDate, latitude, longitude, category || 'other', source, placeName || null, datePrecision || null, dateQualifier || null, notes || null, treeId || null, placeId || null, locationPrecision || null]),
+  update: (title, description, eventDate, endDate, latitude, longitude, category, datePrecision, dateQualifier, locationPrecision, id) =>
+    run('UPDATE events SET title = ?, description = ?, event_date = ?, end_date = ?, latitude = ?, longitude = ?, category = ?, date_precision = ?, date_qualifier = ?, location_precision = ? WHERE id = ?',
+      [title, description, eventDate, endDate, latitude, longitude, category || 'other', datePrecision || null, dateQualifier || null, locationPrecision || null, id]),
+  updateImported: (description, eventDate, endDate, datePrecision, dateQualifier, latitude, longitude, locationPrecision, placeName, notes, id) =>
+    run('UPDATE events SET description = ?, event_date = ?, end_date = ?, date_precision = ?, date_qualifier = ?, latitude = ?, longitude = ?, location_precision = ?, place_name = ?, notes = ? WHERE id = ?',
+      [description, eventDate, endDate || null, datePrecision || null, dateQualifier || null, latitude, longitude, locationPrecision || null, placeName || null, notes || null, id]),
+  setPlace: (placeId, id) => run('UPDATE events SET place_id = ? WHERE id = ?', [placeId, id]),
+  // Give all of a user's unplaced events at a place the coordinates picked for it
+  placeUnplaced: (latitude, longitude, locationPrecision, userId, placeName) =>
+    run('UPDATE events SET latitude = ?, longitude = ?, location_precision = ? WHERE user_id = ? AND place_name = ? AND latitude IS NULL',
+      [latitude, longitude, locationPrecision || null, userId, placeName]),
+  delete: (id) => {
+    // Delete citations, person links, comments and photo rows first (referencing events);
+    // callers remove the photo files
+    run('DELETE FROM event_citations WHERE event_id = ?', [id]);
+    run('DELETE FROM event_people WHERE event_id = ?', [id]);
+    run('DELETE FROM comments WHERE event_id = ?', [id]);
+    run('DELETE FROM event_photos WHERE event_id = ?', [id]);
+    return run('DELETE FROM events WHERE id = ?', [id]);
+  },
+  deleteByTreeId: (treeId) => {
+    run('DELETE FROM event_citations WHERE event_id IN (SELECT id FROM events WHERE tree_id = ?)', [treeId]);
+    run('DELETE FROM event_people WHERE event_id IN (SELECT id FROM events WHERE tree_id = ?)', [treeId]);
+    run('DELETE FROM comments WHERE event_id IN (SELECT id FROM events WHERE tree_id = ?)', [treeId]);
+    return run('DELETE FROM events WHERE tree_id = ?', [treeId]);
+  }
 };
 
 // Family request queries
@@ -371,35 +278,278 @@ const commentQueries = {
 };
 
 // GEDCOM people queries
+const encodeNames = (alternateNames) =>
+  alternateNames && alternateNames.length > 0 ? JSON.stringify(alternateNames) : null;
+const decodePerson = (row) => ({
+  ...row,
+  alternate_names: row.alternate_names ? JSON.parse(row.alternate_names) : []
+});
+
+const personDateDetails = (details) => Array.from({ length: 6 }, (_, i) => details[i] || null);
+
 const gedcomPeopleQueries = {
-  create: (userId, gedcomId, name, birthDate, birthPlace, deathDate, deathPlace, sex) =>
-    run('INSERT INTO gedcom_people (user_id, gedcom_id, name, birth_date, birth_place, death_date, death_place, sex) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [userId, gedcomId, name, birthDate || null, birthPlace || null, deathDate || null, deathPlace || null, sex || null]),
-  findByUserId: (userId) =>
-    getAll('SELECT * FROM gedcom_people WHERE user_id = ? ORDER BY name ASC', [userId]),
-  deleteByUserId: (userId) =>
-    run('DELETE FROM gedcom_people WHERE user_id = ?', [userId])
+  // dateDetails: [birthEndDate, birthPrecision, birthQualifier, deathEndDate, deathPrecision, deathQualifier]
+  create: (userId, treeId, gedcomId, name, birthDate, birthPlace, deathDate, deathPlace, sex,
+    givenName, surname, namePrefix, nameSuffix, nickname, alternateNames, notes, dateDetails = []) =>
+    run(`INSERT INTO gedcom_people (user_id, tree_id, gedcom_id, name, birth_date, birth_place, death_date, death_place, sex,
+      given_name, surname, name_prefix, name_suffix, nickname, alternate_names, notes,
+      birth_end_date, birth_date_precision, birth_date_qualifier, death_end_date, death_date_precision, death_date_qualifier)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, treeId, gedcomId, name, birthDate || null, birthPlace || null, deathDate || null, deathPlace || null, sex || null,
+        givenName || null, surname || null, namePrefix || null, nameSuffix || null, nickname || null, encodeNames(alternateNames),
+        notes || null, ...personDateDetails(dateDetails)]),
+  update: (id, gedcomId, name, birthDate, birthPlace, deathDate, deathPlace, sex,
+    givenName, surname, namePrefix, nameSuffix, nickname, alternateNames, notes, dateDetails = []) =>
+    run(`UPDATE gedcom_people SET gedcom_id = ?, name = ?, birth_date = ?, birth_place = ?, death_date = ?, death_place = ?, sex = ?,
+      given_name = ?, surname = ?, name_prefix = ?, name_suffix = ?, nickname = ?, alternate_names = ?, notes = ?,
+      birth_end_date = ?, birth_date_precision = ?, birth_date_qualifier = ?,
+      death_end_date = ?, death_date_precision = ?, death_date_qualifier = ? WHERE id = ?`,
+      [gedcomId, name, birthDate || null, birthPlace || null, deathDate || null, deathPlace || null, sex || null,
+        givenName || null, surname || null, namePrefix || null, nameSuffix || null, nickname || null, encodeNames(alternateNames),
+        notes || null, ...personDateDetails(dateDetails), id]),
+  findByTreeId: (treeId) =>
+    getAll('SELECT * FROM gedcom_people WHERE tree_id = ? ORDER BY name ASC', [treeId]).map(decodePerson),
+  setPlaces: (birthPlaceId, deathPlaceId, id) =>
+    run('UPDATE gedcom_people SET birth_place_id = ?, death_place_id = ? WHERE id = ?', [birthPlaceId, deathPlaceId, id]),
+  delete: (id) => {
+    run('DELETE FROM event_people WHERE person_id = ?', [id]);
+    return run('DELETE FROM gedcom_people WHERE id = ?', [id]);
+  },
+  deleteByTreeId: (treeId) => {
+    run('DELETE FROM event_people WHERE person_id IN (SELECT id FROM gedcom_people WHERE tree_id = ?)', [treeId]);
+    return run('DELETE FROM gedcom_people WHERE tree_id = ?', [treeId]);
+  }
+};
+
+// Event <-> GEDCOM person link queries
+const eventPeopleQueries = {
+  create: (eventId, personId) =>
+    run('INSERT INTO event_people (event_id, person_id) VALUES (?, ?)', [eventId, personId]),
+  findByEventId: (eventId) =>
+    getAll(`
+      SELECT p.id, p.gedcom_id, p.name
+      FROM event_people ep
+      JOIN gedcom_people p ON ep.person_id = p.id
+      WHERE ep.event_id = ?
+      ORDER BY ep.id ASC
+    `, [eventId]),
+  findByTreeId: (treeId) =>
+    getAll(`
+      SELECT ep.event_id, ep.person_id
+      FROM event_people ep
+      JOIN gedcom_people p ON ep.person_id = p.id
+      WHERE p.tree_id = ?
+    `, [treeId]),
+  deleteByEventId: (eventId) => run('DELETE FROM event_people WHERE event_id = ?', [eventId])
 };
 
 // GEDCOM family queries
 const gedcomFamilyQueries = {
-  create: (userId, gedcomFamId, husbandGedcomId, wifeGedcomId) =>
-    run('INSERT INTO gedcom_families (user_id, gedcom_fam_id, husband_gedcom_id, wife_gedcom_id) VALUES (?, ?, ?, ?)',
-      [userId, gedcomFamId, husbandGedcomId || null, wifeGedcomId || null]),
+  create: (userId, treeId, gedcomFamId, husbandGedcomId, wifeGedcomId) =>
+    run('INSERT INTO gedcom_families (user_id, tree_id, gedcom_fam_id, husband_gedcom_id, wife_gedcom_id) VALUES (?, ?, ?, ?, ?)',
+      [userId, treeId, gedcomFamId, husbandGedcomId || null, wifeGedcomId || null]),
   createChild: (gedcomFamilyId, childGedcomId) =>
     run('INSERT INTO gedcom_children (gedcom_family_id, child_gedcom_id) VALUES (?, ?)',
       [gedcomFamilyId, childGedcomId]),
-  findByUserId: (userId) =>
-    getAll('SELECT * FROM gedcom_families WHERE user_id = ?', [userId]),
+  findByTreeId: (treeId) =>
+    getAll('SELECT * FROM gedcom_families WHERE tree_id = ?', [treeId]),
   findChildrenByFamilyId: (gedcomFamilyId) =>
     getAll('SELECT * FROM gedcom_children WHERE gedcom_family_id = ?', [gedcomFamilyId]),
-  deleteByUserId: (userId) => {
+  deleteByTreeId: (treeId) => {
     // Delete children first (referencing gedcom_families)
-    const families = getAll('SELECT id FROM gedcom_families WHERE user_id = ?', [userId]);
+    const families = getAll('SELECT id FROM gedcom_families WHERE tree_id = ?', [treeId]);
     for (const fam of families) {
       run('DELETE FROM gedcom_children WHERE gedcom_family_id = ?', [fam.id]);
     }
-    return run('DELETE FROM gedcom_families WHERE user_id = ?', [userId]);
+    return run('DELETE FROM gedcom_families WHERE tree_id = ?', [treeId]);
+  }
+};
+
+// GEDCOM source queries
+const gedcomSourceQueries = {
+  create: (userId, treeId, gedcomId, title, author, publication, repository, text, note) =>
+    run('INSERT INTO gedcom_sources (user_id, tree_id, gedcom_id, title, author, publication, repository, text, note) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, treeId, gedcomId, title, author || null, publication || null, repository || null, text || null, note || null]),
+  update: (id, title, author, publication, repository, text, note) =>
+    run('UPDATE gedcom_sources SET title = ?, author = ?, publication = ?, repository = ?, text = ?, note = ? WHERE id = ?',
+      [title, author || null, publication || null, repository || null, text || null, note || null, id]),
+  findByTreeId: (treeId) =>
+    getAll('SELECT * FROM gedcom_sources WHERE tree_id = ? ORDER BY title ASC', [treeId]),
+  delete: (id) => {
+    run('UPDATE event_citations SET source_id = NULL WHERE source_id = ?', [id]);
+    return run('DELETE FROM gedcom_sources WHERE id = ?', [id]);
+  },
+  deleteByTreeId: (treeId) => {
+    run('UPDATE event_citations SET source_id = NULL WHERE source_id IN (SELECT id FROM gedcom_sources WHERE tree_id = ?)', [treeId]);
+    return run('DELETE FROM gedcom_sources WHERE tree_id = ?', [treeId]);
+  }
+};
+
+// Event citation queries
+const citationQueries = {
+  create: (eventId, sourceId, page, quality, text, note) =>
+    run('INSERT INTO event_citations (event_id, source_id, page, quality, text, note) VALUES (?, ?, ?, ?, ?, ?)',
+      [eventId, sourceId || null, page || null, quality ?? null, text || null, note || null]),
+  findByEventId: (eventId) =>
+    getAll(`
+      SELECT c.*, s.gedcom_id as source_gedcom_id, s.title as source_title, s.author as source_author,
+        s.publication as source_publication, s.repository as source_repository
+      FROM event_citations c
+      LEFT JOIN gedcom_sources s ON c.source_id = s.id
+      WHERE c.event_id = ?
+      ORDER BY c.id ASC
+    `, [eventId]),
+  deleteByEventId: (eventId) => run('DELETE FROM event_citations WHERE event_id = ?', [eventId])
+};
+
+// Geocode cache queries
+const geocodeCacheQueries = {
+  findById: (id) => getOne('SELECT * FROM geocode_cache WHERE id = ?', [id]),
+  // The entry for a place unless it is a negative result that is due to be retried
+  findUsable: (query) =>
+    getOne("SELECT * FROM geocode_cache WHERE query = ? AND (retry_after IS NULL OR retry_after > datetime('now'))", [query]),
+  // retryDelay is an SQLite date modifier such as '+30 days', or null for results that don't expire
+  save: (query, latitude, longitude, status, retryDelay, provider, precision) =>
+    run(`INSERT INTO geocode_cache (query, latitude, longitude, status, retry_after, provider, precision) VALUES (?, ?, ?, ?, datetime('now', ?), ?, ?)
+      ON CONFLICT(query) DO UPDATE SET latitude = excluded.latitude, longitude = excluded.longitude,
+        status = excluded.status, retry_after = excluded.retry_after, provider = excluded.provider,
+        precision = excluded.precision, updated_at = CURRENT_TIMESTAMP`,
+      [query, latitude, longitude, status, retryDelay, provider, precision || null]),
+  // status and pattern (a LIKE pattern on the place) are optional filters
+  find: (status, pattern, limit, offset) =>
+    getAll(`SELECT * FROM geocode_cache WHERE (? IS NULL OR status = ?) AND (? IS NULL OR query LIKE ?)
+      ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [status, status, pattern, pattern, limit, offset]),
+  count: (status, pattern) =>
+    getOne('SELECT COUNT(*) as count FROM geocode_cache WHERE (? IS NULL OR status = ?) AND (? IS NULL OR query LIKE ?)',
+      [status, status, pattern, pattern]).count,
+  correct: (latitude, longitude, precision, id) =>
+    run("UPDATE geocode_cache SET latitude = ?, longitude = ?, precision = ?, status = 'manual', retry_after = NULL, provider = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [latitude, longitude, precision || null, id]),
+  delete: (id) => run('DELETE FROM geocode_cache WHERE id = ?', [id]),
+  deleteByStatus: (status) =>
+    run('DELETE FROM geocode_cache WHERE (? IS NULL OR status = ?)', [status, status])
+};
+
+// Historical place name queries
+const placeNameQueries = {
+  findById: (id) => getOne('SELECT * FROM place_names WHERE id = ?', [id]),
+  // A family's entries (first, so they win over shared ones) and the shared entries;
+  // familyId null gives just the shared entries
+  findForFamily: (familyId) =>
+    getAll(`SELECT * FROM place_names WHERE family_id IS NULL OR family_id = ?
+      ORDER BY family_id IS NULL, old_name COLLATE NOCASE, from_year`, [familyId]),
+  create: (familyId, oldName, modernName, fromYear, toYear, country) =>
+    run('INSERT INTO place_names (family_id, old_name, modern_name, from_year, to_year, country) VALUES (?, ?, ?, ?, ?, ?)',
+      [familyId, oldName, modernName, fromYear, toYear, country]),
+  update: (oldName, modernName, fromYear, toYear, country, id) =>
+    run('UPDATE place_names SET old_name = ?, modern_name = ?, from_year = ?, to_year = ?, country = ? WHERE id = ?',
+      [oldName, modernName, fromYear, toYear, country, id]),
+  delete: (id) => run('DELETE FROM place_names WHERE id = ?', [id])
+};
+
+// Place queries. A place is "within" an area when the area is its full name or any level
+// of its hierarchy ("County Cork" matches "Cork, County Cork, Munster, Ireland")
+const PLACE_WITHIN = `(p.name = ? COLLATE NOCASE OR p.city = ? COLLATE NOCASE OR p.county = ? COLLATE NOCASE
+  OR p.state = ? COLLATE NOCASE OR p.country = ? COLLATE NOCASE)`;
+
+const placeQueries = {
+  findById: (id) => getOne('SELECT * FROM places WHERE id = ?', [id]),
+  findByUserIdAndName: (userId, name) =>
+    getOne('SELECT * FROM places WHERE user_id = ? AND name = ?', [userId, name]),
+  // The user's places that something still happens at, with how many events and people
+  // (born or died there) each has; within (optional) narrows them to an area
+  findByUserId: (userId, within) =>
+    getAll(`
+      SELECT * FROM (
+        SELECT p.*,
+          (SELECT COUNT(*) FROM events e WHERE e.place_id = p.id) as event_count,
+          (SELECT COUNT(*) FROM gedcom_people gp WHERE gp.birth_place_id = p.id OR gp.death_place_id = p.id) as people_count
+        FROM places p
+        WHERE p.user_id = ? AND (? IS NULL OR ${PLACE_WITHIN})
+      )
+      WHERE event_count > 0 OR people_count > 0
+      ORDER BY country COLLATE NOCASE, state COLLATE NOCASE, county COLLATE NOCASE, name COLLATE NOCASE
+    `, [userId, within, within, within, within, within, within]),
+  // The user's GEDCOM people born ('birth'), died ('death') or either (null) within an area
+  findPeopleWithin: (userId, within, event) =>
+    getAll(`
+      SELECT gp.*, t.name as tree_name
+      FROM gedcom_people gp
+      LEFT JOIN trees t ON t.id = gp.tree_id
+      WHERE gp.user_id = ? AND EXISTS (
+        SELECT 1 FROM places p
+        WHERE ((? != 'death' AND p.id = gp.birth_place_id) OR (? != 'birth' AND p.id = gp.death_place_id))
+          AND ${PLACE_WITHIN}
+      )
+      ORDER BY gp.surname COLLATE NOCASE, gp.name COLLATE NOCASE
+    `, [userId, event || '', event || '', within, within, within, within, within]).map(decodePerson),
+  create: (userId, name, latitude, longitude, source, precision) => {
+    const { city, county, state, country } = splitPlaceName(name);
+    return run(`INSERT INTO places (user_id, name, city, county, state, country, latitude, longitude, source, location_precision)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, name, city, county, state, country, latitude, longitude, latitude === null ? null : source, precision || null]);
+  },
+  // Rename a place, and the place name kept on its events and people
+  rename: (name, id) => {
+    const { city, county, state, country } = splitPlaceName(name);
+    run('UPDATE events SET place_name = ? WHERE place_id = ?', [name, id]);
+    run('UPDATE gedcom_people SET birth_place = ? WHERE birth_place_id = ?', [name, id]);
+    run('UPDATE gedcom_people SET death_place = ? WHERE death_place_id = ?', [name, id]);
+    return run('UPDATE places SET name = ?, city = ?, county = ?, state = ?, country = ? WHERE id = ?',
+      [name, city, county, state, country, id]);
+  },
+  // Move everything at a place to another place (with its name) and drop the first one
+  merge: (id, intoId) => {
+    const into = placeQueries.findById(intoId);
+    run('UPDATE events SET place_id = ?, place_name = ? WHERE place_id = ?', [intoId, into.name, id]);
+    run('UPDATE gedcom_people SET birth_place_id = ?, birth_place = ? WHERE birth_place_id = ?', [intoId, into.name, id]);
+    run('UPDATE gedcom_people SET death_place_id = ?, death_place = ? WHERE death_place_id = ?', [intoId, into.name, id]);
+    return run('DELETE FROM places WHERE id = ?', [id]);
+  },
+  // Drop the user's places that no event or person is at any more (after a replace import)
+  deleteUnused: (userId) =>
+    run(`DELETE FROM places WHERE user_id = ?
+      AND NOT EXISTS (SELECT 1 FROM events e WHERE e.place_id = places.id)
+      AND NOT EXISTS (SELECT 1 FROM gedcom_people gp WHERE gp.birth_place_id = places.id OR gp.death_place_id = places.id)`,
+      [userId]),
+  // Coordinates for a place that has none yet (its events keep their own)
+  fillCoordinates: (latitude, longitude, source, precision, id) =>
+    run('UPDATE places SET latitude = ?, longitude = ?, source = ?, location_precision = ? WHERE id = ? AND latitude IS NULL',
+      [latitude, longitude, source, precision || null, id]),
+  // Move a place, and every event at it
+  setCoordinates: (latitude, longitude, source, precision, id) => {
+    run('UPDATE events SET latitude = ?, longitude = ?, location_precision = ? WHERE place_id = ?',
+      [latitude, longitude, precision || null, id]);
+    return run('UPDATE places SET latitude = ?, longitude = ?, source = ?, location_precision = ? WHERE id = ?',
+      [latitude, longitude, source, precision || null, id]);
+  }
+};
+
+// GEDCOM tree queries
+const treeQueries = {
+  create: (userId, name) =>
+    run('INSERT INTO trees (user_id, name) VALUES (?, ?)', [userId, name]),
+  findById: (id) => getOne('SELECT * FROM trees WHERE id = ?', [id]),
+  findByUserId: (userId) =>
+    getAll(`
+      SELECT t.*,
+        (SELECT COUNT(*) FROM gedcom_people p WHERE p.tree_id = t.id) as people_count,
+        (SELECT COUNT(*) FROM events e WHERE e.tree_id = t.id) as event_count
+      FROM trees t
+      WHERE t.user_id = ?
+      ORDER BY t.created_at ASC, t.id ASC
+    `, [userId]),
+  findByUserIdAndName: (userId, name) =>
+    getOne('SELECT * FROM trees WHERE user_id = ? AND name = ? COLLATE NOCASE', [userId, name]),
+  rename: (name, id) => run('UPDATE trees SET name = ? WHERE id = ?', [name, id]),
+  delete: (id) => {
+    // Delete the tree's events, families, people and sources first (referencing trees)
+    eventQueries.deleteByTreeId(id);
+    gedcomFamilyQueries.deleteByTreeId(id);
+    gedcomPeopleQueries.deleteByTreeId(id);
+    gedcomSourceQueries.deleteByTreeId(id);
+    return run('DELETE FROM trees WHERE id = ?', [id]);
   }
 };
 
@@ -423,6 +573,8 @@ const familyRelationshipQueries = {
 
 module.exports = {
   initializeDatabase,
+  openDatabase,
+  saveDatabase,
   userQueries,
   familyQueries,
   eventQueries,
@@ -431,7 +583,14 @@ module.exports = {
   photoQueries,
   commentQueries,
   gedcomPeopleQueries,
+  eventPeopleQueries,
   gedcomFamilyQueries,
+  gedcomSourceQueries,
+  citationQueries,
+  treeQueries,
+  geocodeCacheQueries,
+  placeNameQueries,
+  placeQueries,
   familyRelationshipQueries,
   getDb: () => db
 };
@@ -0,0 +1,180 @@
+/**
+ * Versioned schema migrations. Each file in migrations/ is named NNN_description.js and
+ * exports up(schema) and, where it can be undone, down(schema); schema is the helper set
+ * from createSchemaHelpers. Applied versions are recorded in schema_migrations, and each
+ * migration runs in a transaction, so a failing one leaves the database as it was before it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Read the migration files, in version order
+ * @returns {Array<{version: number, name: string, up: Function, down: Function|undefined}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const { up, down } = require(path.join(dir, file));
+    if (typeof up !== 'function') throw new Error(`Migration ${file} has no up()`);
+    migrations.push({ version: Number(match[1]), name: `${match[1]}_${match[2]}`, up, down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} have the same version`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Query and schema helpers over a sql.js database, for migrations. Unlike the model helpers
+ * these don't save the file: the runner saves once a migration has committed.
+ */
+function createSchemaHelpers(db) {
+  const getAll = (sql, params = []) => {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    stmt.free();
+    return rows;
+  };
+  const getOne = (sql, params = []) => getAll(sql, params)[0] || null;
+  const hasTable = (table) =>
+    getOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]) !== null;
+  const hasColumn = (table, column) =>
+    getAll(`PRAGMA table_info(${table})`).some(info => info.name === column);
+
+  return {
+    run: (sql, params = []) => db.run(sql, params),
+    getOne,
+    getAll,
+    hasTable,
+    hasColumn,
+    // Databases created before migrations may already have a column, so these check
+    // rather than ignore the error (which would hide real failures)
+    addColumn: (table, column, definition) => {
+      if (!hasColumn(table, column)) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    },
+    dropColumn: (table, column) => {
+      if (hasColumn(table, column)) db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  };
+}
+
+function ensureMigrationsTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Compare the migrations applied to a database with the ones in the code
+ * @returns {{current: number, latest: number, applied: Array, pending: Array, unknown: Array}}
+ *   current and latest are version numbers (0 for none); applied rows have version, name,
+ *   applied_at; unknown are applied versions with no migration file (the database is ahead)
+ */
+function getMigrationStatus(db, migrations = loadMigrations()) {
+  ensureMigrationsTable(db);
+  const applied = createSchemaHelpers(db).getAll('SELECT * FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !known.has(row.version))
+  };
+}
+
+function aheadError(status) {
+  const versions = status.unknown.map(row => row.name).join(', ');
+  return new Error(`The database has migrations this code doesn't know (${versions}): it was last run `
+    + `by a newer version. Run that version, or roll back with its "npm run migrate down ${status.latest}".`);
+}
+
+// Run one step in a transaction and record it, or roll it back and rethrow
+function runInTransaction(db, migration, step, record) {
+  db.run('BEGIN');
+  try {
+    step(createSchemaHelpers(db));
+    record();
+    db.run('COMMIT');
+  } catch (err) {
+    db.run('ROLLBACK');
+    err.message = `Migration ${migration.name} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Apply the pending migrations in order
+ * @param {Object} db - sql.js database
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version (default: all)
+ * @param {Function} [options.save] - Called after each migration commits
+ * @returns {Array<string>} Names of the migrations applied
+ */
+function migrateUp(db, { to = Infinity, save = () => {}, migrations = loadMigrations() } = {}) {
+  const status = getMigrationStatus(db, migrations);
+  if (status.unknown.length > 0) throw aheadError(status);
+
+  const applied = [];
+  for (const migration of status.pending) {
+    if (migration.version > to) break;
+    runInTransaction(db, migration, migration.up, () =>
+      db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]));
+    save();
+    console.log(`Applied migration ${migration.name}`);
+    applied.push(migration.name);
+  }
+  return applied;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} db - sql.js database
+ * @param {Object} [options]
+ * @param {number} [options.to] - Version to go back to (default: the one before the current version)
+ * @param {Function} [options.save] - Called after each migration is rolled back
+ * @returns {Array<string>} Names of the migrations rolled back
+ */
+function migrateDown(db, { to, save = () => {}, migrations = loadMigrations() } = {}) {
+  const status = getMigrationStatus(db, migrations);
+  if (status.unknown.length > 0) throw aheadError(status);
+
+  const appliedVersions = new Set(status.applied.map(row => row.version));
+  const applied = migrations.filter(migration => appliedVersions.has(migration.version));
+  const target = to ?? (applied.length > 1 ? applied[applied.length - 2].version : 0);
+  const rollback = applied.filter(migration => migration.version > target).reverse();
+
+  // Check the whole way down before changing anything
+  const irreversible = rollback.find(migration => typeof migration.down !== 'function');
+  if (irreversible) throw new Error(`Migration ${irreversible.name} can't be rolled back`);
+
+  const rolledBack = [];
+  for (const migration of rollback) {
+    runInTransaction(db, migration, migration.down, () =>
+      db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]));
+    save();
+    console.log(`Rolled back migration ${migration.name}`);
+    rolledBack.push(migration.name);
+  }
+  return rolledBack;
+}
+
+module.exports = { loadMigrations, getMigrationStatus, migrateUp, migrateDown };
@@ -0,0 +1,100 @@
+const express = require('express');
+const { geocodeCacheQueries } = require('../models/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { cleanPlaceName } = require('../utils/geocoder');
+const { validateCoordinates, validateLocationPrecision } = require('../utils/coordinates');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+const GEOCODE_STATUSES = ['found', 'not_found', 'failed', 'manual'];
+
+// GET /api/admin/geocode-cache - List cached geocoding results, most recent first
+// (?status=found|not_found|failed|manual, ?q= part of the place name, ?limit= (max 500), ?offset=)
+router.get('/geocode-cache', (req, res) => {
+  const status = req.query.status || null;
+  if (status && !GEOCODE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${GEOCODE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const pattern = req.query.q ? `%${req.query.q}%` : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({
+      entries: geocodeCacheQueries.find(status, pattern, limit, offset),
+      total: geocodeCacheQueries.count(status, pattern)
+    });
+  } catch (err) {
+    console.error('Get geocode cache error:', err);
+    res.status(500).json({ error: 'Failed to get geocode cache' });
+  }
+});
+
+// POST /api/admin/geocode-cache - Set the coordinates of a place ({ place, latitude, longitude, location_precision })
+// The place is cleaned the way imports clean it, and the entry is never looked up again
+router.post('/geocode-cache', (req, res) => {
+  try {
+    const query = cleanPlaceName(req.body.place);
+    if (!query) return res.status(400).json({ error: 'place is required' });
+    const coordError = validateCoordinates(req.body) || validateLocationPrecision(req.body);
+    if (coordError) return res.status(400).json({ error: coordError });
+
+    geocodeCacheQueries.save(query, req.body.latitude, req.body.longitude, 'manual', null, null, req.body.location_precision);
+    res.status(201).json({ entry: geocodeCacheQueries.findUsable(query) });
+  } catch (err) {
+    console.error('Add geocode cache entry error:', err);
+    res.status(500).json({ error: 'Failed to add geocode cache entry' });
+  }
+});
+
+// PUT /api/admin/geocode-cache/:id - Correct an entry's coordinates ({ latitude, longitude, location_precision })
+router.put('/geocode-cache/:id', (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id);
+    if (!geocodeCacheQueries.findById(entryId)) {
+      return res.status(404).json({ error: 'Geocode cache entry not found' });
+    }
+    const coordError = validateCoordinates(req.body) || validateLocationPrecision(req.body);
+    if (coordError) return res.status(400).json({ error: coordError });
+
+    geocodeCacheQueries.correct(req.body.latitude, req.body.longitude, req.body.location_precision, entryId);
+    res.json({ entry: geocodeCacheQueries.findById(entryId) });
+  } catch (err) {
+    console.error('Update geocode cache entry error:', err);
+    res.status(500).json({ error: 'Failed to update geocode cache entry' });
+  }
+});
+
+// DELETE /api/admin/geocode-cache/:id - Purge one entry so the place is looked up again
+router.delete('/geocode-cache/:id', (req, res) => {
+  try {
+    const result = geocodeCacheQueries.delete(parseInt(req.params.id));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Geocode cache entry not found' });
+    }
+    res.json({ message: 'Geocode cache entry deleted' });
+  } catch (err) {
+    console.error('Delete geocode cache entry error:', err);
+    res.status(500).json({ error: 'Failed to delete geocode cache entry' });
+  }
+});
+
+// DELETE /api/admin/geocode-cache?status= - Purge every entry with a status, or all entries (?status=all)
+router.delete('/geocode-cache', (req, res) => {
+  const { status } = req.query;
+  if (status !== 'all' && !GEOCODE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: all, ${GEOCODE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const result = geocodeCacheQueries.deleteByStatus(status === 'all' ? null : status);
+    res.json({ message: `Deleted ${result.changes} geocode cache entries` });
+  } catch (err) {
+    console.error('Purge geocode cache error:', err);
+    res.status(500).json({ error: 'Failed to purge geocode cache' });
+  }
+});
+
+module.exports = router;
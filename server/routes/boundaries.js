@@ -0,0 +1,32 @@
+const express = require('express');
+const fs = require('fs');
+const { countryBoundariesPath } = require('../config/config');
+const { RESOLUTIONS, getCountryBoundaries } = require('../utils/boundaries');
+
+const router = express.Router();
+
+// Outlines only change when the boundary file does, so browsers may keep them a day
+// (and revalidate with the ETag after that)
+const CACHE_CONTROL = 'public, max-age=86400';
+
+// GET /api/boundaries/countries - Country outlines as GeoJSON for the map
+// (?resolution=low|medium|high, default medium). Public: the data is the same for everyone
+router.get('/countries', (req, res) => {
+  const resolution = req.query.resolution || 'medium';
+  if (!RESOLUTIONS[resolution]) {
+    return res.status(400).json({ error: `resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` });
+  }
+  if (!fs.existsSync(countryBoundariesPath)) {
+    return res.status(404).json({ error: 'No country boundary file is installed' });
+  }
+
+  try {
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('json').send(getCountryBoundaries(resolution));
+  } catch (err) {
+    console.error('Get country boundaries error:', err);
+    res.status(500).json({ error: 'Failed to get country boundaries' });
+  }
+});
+
+module.exports = router;
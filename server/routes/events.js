@@ -2,15 +2,26 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { eventQueries, photoQueries, commentQueries, userQueries, notificationQueries, gedcomPeopleQueries, gedcomFamilyQueries } = require('../models/database');
+const zlib = require('zlib');
+const { eventQueries, photoQueries, commentQueries, userQueries, notificationQueries, gedcomPeopleQueries, eventPeopleQueries, gedcomFamilyQueries, gedcomSourceQueries, citationQueries, treeQueries, placeQueries } = require('../models/database');
 const { authenticateToken } = require('../middleware/auth');
-const { parseGedcom, parseGedcomFull } = require('../utils/gedcomParser');
-const { geocodeAll } = require('../utils/geocoder');
+const { uploadsDir } = require('../config/config');
+const { parseGedcom, parseGedcomFull, validateGedcom, DATE_PRECISIONS, DATE_QUALIFIERS } = require('../utils/gedcomParser');
+const { exportGedcom } = require('../utils/gedcomExporter');
+const { importGedcom, buildPreview, filterParsed, IMPORT_MODES } = require('../utils/gedcomImporter');
+const { startJob, getJob, findRunningJob, findRunningJobForTree } = require('../utils/importJobs');
+const { savePreview, takePreview } = require('../utils/importPreviews');
+const { isInvalidUpload, isZipArchive, readGedcomArchive, resolveArchiveMedia } = require('../utils/gedcomArchive');
+const { isGrampsXml, parseGramps, exportGramps } = require('../utils/grampsXml');
+const { isGedcomX, parseGedcomX, exportGedcomX } = require('../utils/gedcomX');
+const { validateTreeName, resolveTree, deleteTree } = require('../utils/trees');
+const { validateCoordinates, validateLocationPrecision } = require('../utils/coordinates');
+const { withLocation } = require('../utils/reverseGeocoder');
+const { readCsvFile, guessMapping, validateMapping, buildCsvPreview, importCsvEvents, exportEventsCsv } = require('../utils/csvEvents');
 
 const router = express.Router();
 
 // Configure multer for photo uploads
-const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -35,123 +46,337 @@ const upload = multer({
   }
 });
 
-// Configure multer for GEDCOM file uploads (in-memory, 10MB limit)
+// Configure multer for family tree uploads (in-memory; 100MB so a .zip can carry the media folder)
+const GEDCOM_UPLOAD_EXTENSIONS = ['.ged', '.gedcom', '.gramps', '.xml', '.json', '.zip'];
 const gedcomUpload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
+  limits: { fileSize: 100 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    if (ext === '.ged' || ext === '.gedcom') return cb(null, true);
-    cb(new Error('Only .ged files are allowed'));
+    if (GEDCOM_UPLOAD_EXTENSIONS.includes(ext)) return cb(null, true);
+    cb(new Error('Only GEDCOM (.ged), Gramps XML (.gramps), GEDCOM X (.json) files or .zip archives are allowed'));
   }
 });
 
+// Configure multer for spreadsheet (CSV) uploads
+const CSV_UPLOAD_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (CSV_UPLOAD_EXTENSIONS.includes(ext)) return cb(null, true);
+    cb(new Error('Only CSV (.csv, .tsv or .txt) files are allowed'));
+  }
+});
+
+// Export formats for GET /export-gedcom?format=
+const EXPORT_FORMATS = {
+  gedcom: { exporter: exportGedcom, fileName: 'ancestry-atlas.ged', contentType: 'text/plain; charset=utf-8' },
+  gramps: { exporter: exportGramps, fileName: 'ancestry-atlas.gramps', contentType: 'application/x-gramps-xml', gzip: true },
+  gedcomx: { exporter: exportGedcomX, fileName: 'ancestry-atlas.gedcomx.json', contentType: 'application/x-gedcomx-v1+json' }
+};
+
+/**
+ * Parse a family tree file by its content: Gramps XML, GEDCOM X JSON or GEDCOM
+ */
+function parseTreeFile(buffer) {
+  if (isGrampsXml(buffer)) return parseGramps(buffer);
+  if (isGedcomX(buffer)) return parseGedcomX(buffer);
+  return parseGedcomFull(buffer);
+}
+
+/**
+ * Parse an uploaded tree file, or a .zip holding one along with the images it refers to
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} [archive] - The upload already opened with readGedcomArchive
+ */
+function parseGedcomUpload(buffer, archive = null) {
+  if (!isZipArchive(buffer)) return parseTreeFile(buffer);
+
+  archive = archive || readGedcomArchive(buffer);
+  const parsed = parseTreeFile(archive.gedcom);
+  parsed.archiveMedia = resolveArchiveMedia(parsed, archive);
+  return parsed;
+}
+
+/**
+ * Validation report for an uploaded GEDCOM file (or a .zip holding one);
+ * null for Gramps XML and GEDCOM X, which have no GEDCOM lines to check
+ */
+function validateGedcomUpload(buffer) {
+  const content = isZipArchive(buffer) ? readGedcomArchive(buffer).gedcom : buffer;
+  if (isGrampsXml(content) || isGedcomX(content)) return null;
+  return validateGedcom(content);
+}
+
+/**
+ * Read an uploaded CSV file and the column mapping sent with it (a JSON string in the
+ * multipart body); without one, columns are matched to fields by their headers
+ * @returns {{ file: Object, mapping: Object, error: string|null }}
+ */
+function readCsvUpload(req) {
+  const file = readCsvFile(req.file.buffer);
+  let mapping;
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : guessMapping(file.headers);
+  } catch (e) {
+    return { file, mapping: null, error: 'mapping must be a JSON object' };
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { file, mapping: null, error: 'mapping must be a JSON object' };
+  }
+  return { file, mapping, error: null };
+}
+
+/**
+ * Validate optional date_precision / date_qualifier fields from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDateDetail({ date_precision, date_qualifier }) {
+  if (date_precision && !DATE_PRECISIONS.includes(date_precision)) {
+    return `date_precision must be one of: ${DATE_PRECISIONS.join(', ')}`;
+  }
+  if (date_qualifier && !DATE_QUALIFIERS.includes(date_qualifier)) {
+    return `date_qualifier must be one of: ${DATE_QUALIFIERS.join(', ')}`;
+  }
+  return null;
+}
+
 // All routes require authentication
 router.use(authenticateToken);
 
-// POST /api/events/import-gedcom - Import events from GEDCOM file
-router.post('/import-gedcom', (req, res) => {
-  gedcomUpload.single('gedcom')(req, res, async (multerErr) => {
+// POST /api/events/import-gedcom/preview - Parse a GEDCOM, Gramps XML or GEDCOM X file without storing anything
+// Returns a previewId to confirm with POST /api/events/import-gedcom
+router.post('/import-gedcom/preview', (req, res) => {
+  gedcomUpload.single('gedcom')(req, res, (multerErr) => {
     if (multerErr) {
       return res.status(400).json({ error: multerErr.message || 'File upload error' });
     }
 
     if (!req.file) {
-      return res.status(400).json({ error: 'No .ged file uploaded' });
+      return res.status(400).json({ error: 'No family tree file uploaded' });
     }
 
     try {
-      const content = req.file.buffer.toString('utf-8');
-      const { events: parsedEvents, people: parsedPeople, families: parsedFamilies } = parseGedcomFull(content);
-
-      // Clear previous GEDCOM data for this user
-      gedcomFamilyQueries.deleteByUserId(req.user.id);
-      gedcomPeopleQueries.deleteByUserId(req.user.id);
-
-      // Store people in gedcom_people table
-      for (const person of parsedPeople) {
-        gedcomPeopleQueries.create(
-          req.user.id, person.gedcomId, person.name,
-          person.birthDate, person.birthPlace,
-          person.deathDate, person.deathPlace, person.sex
-        );
-      }
+      // The parser decodes the raw bytes itself (BOM / HEAD.CHAR: ANSEL, UTF-16, ...)
+      const parsed = parseGedcomUpload(req.file.buffer);
+      const previewId = savePreview(req.user.id, parsed);
+      const validation = validateGedcomUpload(req.file.buffer);
+      res.json({ previewId, preview: { ...buildPreview(parsed), validation } });
+    } catch (err) {
+      if (isInvalidUpload(err)) return res.status(400).json({ error: err.message });
+      console.error('GEDCOM preview error:', err);
+      res.status(500).json({ error: 'Failed to read GEDCOM file: ' + err.message });
+    }
+  });
+});
 
-      // Store families in gedcom_families + gedcom_children tables
-      for (const fam of parsedFamilies) {
-        const famResult = gedcomFamilyQueries.create(
-          req.user.id, fam.gedcomFamId, fam.husbandId, fam.wifeId
-        );
-        for (const childId of fam.childIds) {
-          gedcomFamilyQueries.createChild(famResult.lastInsertRowid, childId);
-        }
-      }
+// POST /api/events/import-gedcom/validate - Check a GEDCOM file (or a .zip holding one) for broken xrefs,
+// individuals in no family, unreadable dates, impossible chronology and unknown tags
+router.post('/import-gedcom/validate', (req, res) => {
+  gedcomUpload.single('gedcom')(req, res, (multerErr) => {
+    if (multerErr) {
+      return res.status(400).json({ error: multerErr.message || 'File upload error' });
+    }
 
-      if (parsedEvents.length === 0) {
-        return res.json({
-          imported: 0, skipped: 0, people: parsedPeople.map(p => p.name).sort(),
-          peopleCount: parsedPeople.length, familiesCount: parsedFamilies.length,
-          message: `No geocodable events found. Stored ${parsedPeople.length} people and ${parsedFamilies.length} family links.`
-        });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No family tree file uploaded' });
+    }
+
+    try {
+      const report = validateGedcomUpload(req.file.buffer);
+      if (!report) {
+        return res.status(400).json({ error: 'Validation reports are only available for GEDCOM (.ged) files' });
       }
+      res.json({ report });
+    } catch (err) {
+      if (isInvalidUpload(err)) return res.status(400).json({ error: err.message });
+      console.error('GEDCOM validation error:', err);
+      res.status(500).json({ error: 'Failed to validate GEDCOM file: ' + err.message });
+    }
+  });
+});
 
-      // Collect unique places for geocoding
-      const places = parsedEvents.map(e => e.place);
-      const geocoded = await geocodeAll(places);
+// POST /api/events/import-gedcom - Start a background GEDCOM import (mode: replace | merge | add)
+// Accepts either a .ged upload or { previewId, excludePeople, excludeEvents } from a preview.
+// Imports into treeId, or into a new tree called treeName; with neither, into the user's first tree.
+// Responds 202 with a job; poll GET /api/events/import-jobs/:id for progress and the result
+router.post('/import-gedcom', (req, res) => {
+  gedcomUpload.single('gedcom')(req, res, (multerErr) => {
+    if (multerErr) {
+      return res.status(400).json({ error: multerErr.message || 'File upload error' });
+    }
 
-      let imported = 0;
-      let skipped = 0;
-      const peopleSet = new Set();
+    const { previewId } = req.body;
+    if (!req.file && !previewId) {
+      return res.status(400).json({ error: 'No family tree file uploaded' });
+    }
 
-      for (const evt of parsedEvents) {
-        const coords = geocoded.get(evt.place);
-        if (!coords) {
-          skipped++;
-          continue;
-        }
+    const mode = req.body.mode || 'replace';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Import mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
 
-        eventQueries.createWithSource(
-          req.user.id,
-          evt.title,
-          evt.description || null,
-          evt.date,
-          null,
-          coords.lat,
-          coords.lon,
-          evt.category || 'other',
-          'gedcom'
-        );
-
-        imported++;
-        peopleSet.add(evt.name);
+    const { treeId, treeName } = req.body;
+    let tree = null;
+    if (treeName) {
+      const nameError = validateTreeName(treeName);
+      if (nameError) return res.status(400).json({ error: nameError });
+      if (treeQueries.findByUserIdAndName(req.user.id, treeName.trim())) {
+        return res.status(409).json({ error: `You already have a tree called "${treeName.trim()}"` });
       }
+    } else {
+      const resolved = resolveTree(req.user.id, treeId);
+      if (resolved.error) return res.status(404).json({ error: resolved.error });
+      tree = resolved.tree;
+    }
+
+    const running = findRunningJob(req.user.id);
+    if (running) {
+      return res.status(409).json({ error: 'An import is already running', job: running });
+    }
 
-      res.json({
-        imported,
-        skipped,
-        people: [...peopleSet].sort(),
-        peopleCount: parsedPeople.length,
-        familiesCount: parsedFamilies.length,
-        message: `Successfully imported ${imported} events for ${peopleSet.size} people. Stored ${parsedPeople.length} people and ${parsedFamilies.length} family links.`
-      });
+    try {
+      const userId = req.user.id;
+      let parsed = null;
+      let content = null;
+      let archive = null;
+
+      if (req.file) {
+        content = req.file.buffer;
+        // Open a ZIP now, so a corrupt one is refused here rather than failing the job
+        if (isZipArchive(content)) archive = readGedcomArchive(content);
+      } else {
+        parsed = takePreview(previewId, userId);
+        if (!parsed) {
+          return res.status(404).json({ error: 'Import preview not found or expired. Please upload the file again.' });
+        }
+        parsed = filterParsed(parsed, {
+          excludePeople: req.body.excludePeople,
+          excludeEvents: req.body.excludeEvents
+        });
+      }
+
+      const job = startJob(userId, async (progress) => {
+        if (!parsed) {
+          progress.phase('parsing');
+          parsed = parseGedcomUpload(content, archive);
+        }
+        // A new tree is only kept when the import succeeds
+        const newTreeId = tree ? null : treeQueries.create(userId, (treeName || 'Family Tree').trim()).lastInsertRowid;
+        if (newTreeId) progress.tree(newTreeId);
+        try {
+          return await importGedcom(userId, parsed, {
+            treeId: tree ? tree.id : newTreeId,
+            mode,
+            onPhase: progress.phase,
+            onProgress: progress.geocoding
+          });
+        } catch (err) {
+          if (newTreeId) deleteTree(newTreeId);
+          throw err;
+        }
+      }, tree ? tree.id : null);
+
+      res.status(202).json({ job });
     } catch (err) {
+      if (isInvalidUpload(err)) return res.status(400).json({ error: err.message });
       console.error('GEDCOM import error:', err);
       res.status(500).json({ error: 'Failed to import GEDCOM file: ' + err.message });
     }
   });
 });
 
-// GET /api/events - Get current user's events (optional ?source= filter)
+// POST /api/events/import-csv/preview - Validate a CSV file against a column mapping without storing anything
+// (mapping: optional JSON { title: 0, date: 1, place: 2, ... }; guessed from the headers when omitted)
+router.post('/import-csv/preview', (req, res) => {
+  csvUpload.single('csv')(req, res, (multerErr) => {
+    if (multerErr) {
+      return res.status(400).json({ error: multerErr.message || 'File upload error' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    try {
+      const { file, mapping, error } = readCsvUpload(req);
+      if (error) return res.status(400).json({ error });
+
+      // An incomplete mapping is still previewed (headers only) so the user can fix it
+      res.json({ preview: buildCsvPreview(file, mapping, validateMapping(mapping, file.headers)) });
+    } catch (err) {
+      console.error('CSV preview error:', err);
+      res.status(500).json({ error: 'Failed to read CSV file: ' + err.message });
+    }
+  });
+});
+
+// POST /api/events/import-csv - Start a background import of the valid rows of a CSV file as manual events.
+// Responds 202 with a job; poll GET /api/events/import-jobs/:id for progress and the result
+router.post('/import-csv', (req, res) => {
+  csvUpload.single('csv')(req, res, (multerErr) => {
+    if (multerErr) {
+      return res.status(400).json({ error: multerErr.message || 'File upload error' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    const running = findRunningJob(req.user.id);
+    if (running) {
+      return res.status(409).json({ error: 'An import is already running', job: running });
+    }
+
+    try {
+      const { file, mapping, error } = readCsvUpload(req);
+      const mappingError = error || validateMapping(mapping, file.headers);
+      if (mappingError) return res.status(400).json({ error: mappingError });
+
+      const userId = req.user.id;
+      const job = startJob(userId, (progress) => importCsvEvents(userId, file, mapping, {
+        onPhase: progress.phase,
+        onProgress: progress.geocoding
+      }));
+
+      res.status(202).json({ job });
+    } catch (err) {
+      console.error('CSV import error:', err);
+      res.status(500).json({ error: 'Failed to import CSV file: ' + err.message });
+    }
+  });
+});
+
+// GET /api/events/import-jobs/:id - Import job status (phase, geocoded/total places, result)
+router.get('/import-jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job) return res.status(404).json({ error: 'Import job not found' });
+  res.json({ job });
+});
+
+// GET /api/events - Get current user's events for the map (optional ?source= filter, ?treeId= for one tree's events)
+// Unplaced events are left out; GET /api/events/unplaced lists them. Each event has the country,
+// country_code and region its coordinates are in (null outside the boundary files)
 router.get('/', (req, res) => {
   try {
-    const { source } = req.query;
-    const events = source
-      ? eventQueries.findByUserIdAndSource(req.user.id, source)
-      : eventQueries.findByUserId(req.user.id);
-    // Attach photos to each event
-    const eventsWithPhotos = events.map(e => ({
-      ...e,
-      photos: photoQueries.findByEventId(e.id)
+    const { source, treeId } = req.query;
+    let events;
+    if (treeId) {
+      const { tree, error } = resolveTree(req.user.id, treeId);
+      if (error) return res.status(404).json({ error });
+      events = eventQueries.findByTreeId(tree.id);
+    } else {
+      events = source
+        ? eventQueries.findByUserIdAndSource(req.user.id, source)
+        : eventQueries.findByUserId(req.user.id);
+    }
+    // Attach photos, the GEDCOM people each event describes, and the country and region it is in
+    const eventsWithPhotos = events.filter(e => e.latitude !== null).map(e => ({
+      ...withLocation(e),
+      photos: photoQueries.findByEventId(e.id),
+      people: eventPeopleQueries.findByEventId(e.id)
     }));
     res.json({ events: eventsWithPhotos });
   } catch (err) {
@@ -163,19 +388,22 @@ router.get('/', (req, res) => {
 // POST /api/events - Create new event
 router.post('/', (req, res) => {
   try {
-    const { title, description, event_date, end_date, latitude, longitude, category } = req.body;
+    const { title, description, event_date, end_date, latitude, longitude, category, date_precision, date_qualifier, location_precision } = req.body;
 
     if (!title || !event_date || latitude === undefined || longitude === undefined) {
       return res.status(400).json({ error: 'Title, event_date, latitude, and longitude are required' });
     }
+    const detailError = validateDateDetail(req.body) || validateLocationPrecision(req.body);
+    if (detailError) return res.status(400).json({ error: detailError });
 
     const result = eventQueries.create(
       req.user.id, title, description || null,
       event_date, end_date || null,
-      latitude, longitude, category || 'other'
+      latitude, longitude, category || 'other',
+      date_precision, date_qualifier, location_precision
     );
 
-    const newEvent = eventQueries.findById(result.lastInsertRowid);
+    const newEvent = withLocation(eventQueries.findById(result.lastInsertRowid));
     newEvent.photos = [];
     res.status(201).json({ event: newEvent });
   } catch (err) {
@@ -197,14 +425,26 @@ router.put('/:id', (req, res) => {
     if (!title || !event_date || latitude === undefined || longitude === undefined) {
       return res.status(400).json({ error: 'Title, event_date, latitude, and longitude are required' });
     }
+    const detailError = validateDateDetail(req.body) || validateLocationPrecision(req.body);
+    if (detailError) return res.status(400).json({ error: detailError });
+
+    // Clients that don't send date detail keep the stored precision/qualifier
+    const date_precision = req.body.date_precision !== undefined ? req.body.date_precision : existingEvent.date_precision;
+    const date_qualifier = req.body.date_qualifier !== undefined ? req.body.date_qualifier : existingEvent.date_qualifier;
+    // A location moved without a precision was placed by hand: an exact point
+    const moved = latitude !== existingEvent.latitude || longitude !== existingEvent.longitude;
+    const location_precision = req.body.location_precision !== undefined
+      ? req.body.location_precision
+      : (moved ? null : existingEvent.location_precision);
 
     eventQueries.update(
       title, description || null,
       event_date, end_date || null,
-      latitude, longitude, category || 'other', eventId
+      latitude, longitude, category || 'other',
+      date_precision, date_qualifier, location_precision, eventId
     );
 
-    const updatedEvent = eventQueries.findById(eventId);
+    const updatedEvent = withLocation(eventQueries.findById(eventId));
     updatedEvent.photos = photoQueries.findByEventId(eventId);
     res.json({ event: updatedEvent });
   } catch (err) {
@@ -213,11 +453,23 @@ router.put('/:id', (req, res) => {
   }
 });
 
-// GET /api/events/gedcom-tree - Get GEDCOM tree data for D3 rendering
+// GET /api/events/gedcom-tree - Get GEDCOM tree data for D3 rendering (?treeId=, default the user's first tree)
 router.get('/gedcom-tree', (req, res) => {
   try {
-    const people = gedcomPeopleQueries.findByUserId(req.user.id);
-    const families = gedcomFamilyQueries.findByUserId(req.user.id);
+    const { tree, error } = resolveTree(req.user.id, req.query.treeId);
+    if (error) return res.status(404).json({ error });
+    if (!tree) return res.json({ tree: null, people: [], families: [] });
+
+    const eventIdsByPerson = new Map();
+    for (const link of eventPeopleQueries.findByTreeId(tree.id)) {
+      if (!eventIdsByPerson.has(link.person_id)) eventIdsByPerson.set(link.person_id, []);
+      eventIdsByPerson.get(link.person_id).push(link.event_id);
+    }
+    const people = gedcomPeopleQueries.findByTreeId(tree.id).map(p => ({
+      ...p,
+      event_ids: eventIdsByPerson.get(p.id) || []
+    }));
+    const families = gedcomFamilyQueries.findByTreeId(tree.id);
 
     // Build children lookup for each family
     const familiesWithChildren = families.map(fam => {
@@ -230,20 +482,145 @@ router.get('/gedcom-tree', (req, res) => {
       };
     });
 
-    res.json({ people, families: familiesWithChildren });
+    res.json({ tree, people, families: familiesWithChildren });
   } catch (err) {
     console.error('Get GEDCOM tree error:', err);
     res.status(500).json({ error: 'Failed to get GEDCOM tree data' });
   }
 });
 
-// DELETE /api/events/gedcom - Clear all GEDCOM events and tree data for current user
+// GET /api/events/unplaced - A tree's events whose place couldn't be geocoded, grouped by place
+// (?treeId=, default the user's first tree)
+router.get('/unplaced', (req, res) => {
+  try {
+    const { tree, error } = resolveTree(req.user.id, req.query.treeId);
+    if (error) return res.status(404).json({ error });
+    if (!tree) return res.json({ places: [] });
+
+    const byPlace = new Map();
+    for (const e of eventQueries.findUnplacedByTreeId(tree.id)) {
+      if (!byPlace.has(e.place_name)) byPlace.set(e.place_name, []);
+      byPlace.get(e.place_name).push({ id: e.id, title: e.title, event_date: e.event_date });
+    }
+    // Places with the most events first: placing them fixes the most
+    const places = [...byPlace]
+      .map(([place, events]) => ({ place, events }))
+      .sort((a, b) => b.events.length - a.events.length || a.place.localeCompare(b.place));
+    res.json({ places });
+  } catch (err) {
+    console.error('Get unplaced events error:', err);
+    res.status(500).json({ error: 'Failed to get unplaced events' });
+  }
+});
+
+// POST /api/events/unplaced/resolve - Place every unplaced event at a place ({ place, latitude, longitude,
+// location_precision (optional; how precise the picked position is) }),
+// in all of the user's trees
+router.post('/unplaced/resolve', (req, res) => {
+  try {
+    const { place } = req.body;
+    if (!place || typeof place !== 'string') return res.status(400).json({ error: 'place is required' });
+    const coordError = validateCoordinates(req.body) || validateLocationPrecision(req.body);
+    if (coordError) return res.status(400).json({ error: coordError });
+
+    const { latitude, longitude, location_precision } = req.body;
+    const result = eventQueries.placeUnplaced(latitude, longitude, location_precision, req.user.id, place);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'No unplaced events at this place' });
+    }
+    const stored = placeQueries.findByUserIdAndName(req.user.id, place);
+    if (stored) placeQueries.fillCoordinates(latitude, longitude, 'manual', location_precision, stored.id);
+    res.json({ updated: result.changes, message: `Placed ${result.changes} events at ${place}` });
+  } catch (err) {
+    console.error('Resolve unplaced events error:', err);
+    res.status(500).json({ error: 'Failed to place events' });
+  }
+});
+
+// GET /api/events/export-gedcom - Download a tree's people, families and events along with the user's manual events
+// (?format=gedcom (default) | gramps | gedcomx, ?treeId= (default the user's first tree))
+router.get('/export-gedcom', (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format || 'gedcom'];
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const { tree, error } = resolveTree(req.user.id, req.query.treeId);
+    if (error) return res.status(404).json({ error });
+
+    const user = userQueries.findById(req.user.id);
+    const treeId = tree ? tree.id : null;
+    const people = tree ? gedcomPeopleQueries.findByTreeId(treeId) : [];
+    const families = (tree ? gedcomFamilyQueries.findByTreeId(treeId) : []).map(fam => ({
+      gedcomFamId: fam.gedcom_fam_id,
+      husbandId: fam.husband_gedcom_id,
+      wifeId: fam.wife_gedcom_id,
+      childIds: gedcomFamilyQueries.findChildrenByFamilyId(fam.id).map(c => c.child_gedcom_id)
+    }));
+    const treeEvents = tree ? eventQueries.findByTreeId(treeId) : [];
+    const events = [...treeEvents, ...eventQueries.findByUserIdAndSource(req.user.id, 'manual')].map(e => ({
+      ...e,
+      citations: citationQueries.findByEventId(e.id)
+    }));
+    const sources = tree ? gedcomSourceQueries.findByTreeId(treeId) : [];
+
+    const content = format.exporter({ user, people, families, events, sources });
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${format.fileName}"`);
+    res.send(format.gzip ? zlib.gzipSync(content) : content);
+  } catch (err) {
+    console.error('GEDCOM export error:', err);
+    res.status(500).json({ error: 'Failed to export GEDCOM file' });
+  }
+});
+
+// GET /api/events/export-csv - Download the current user's events as CSV
+// (?scope=family for everyone in the user's family, with an owner column)
+router.get('/export-csv', (req, res) => {
+  const scope = req.query.scope || 'user';
+  if (scope !== 'user' && scope !== 'family') {
+    return res.status(400).json({ error: 'scope must be one of: user, family' });
+  }
+
+  try {
+    let events;
+    if (scope === 'family') {
+      const user = userQueries.findById(req.user.id);
+      if (!user || !user.family_id) {
+        return res.status(400).json({ error: 'You are not part of a family' });
+      }
+      events = eventQueries.findByFamilyId(user.family_id);
+    } else {
+      events = eventQueries.findByUserId(req.user.id);
+    }
+
+    const content = exportEventsCsv(events, { includeOwner: scope === 'family' });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="ancestry-atlas-${scope === 'family' ? 'family-' : ''}events.csv"`);
+    // BOM so Excel reads the file as UTF-8
+    res.send('\uFEFF' + content);
+  } catch (err) {
+    console.error('CSV export error:', err);
+    res.status(500).json({ error: 'Failed to export CSV file' });
+  }
+});
+
+// DELETE /api/events/gedcom - Delete all of the current user's trees with their GEDCOM events
+// (DELETE /api/trees/:id deletes one tree)
 router.delete('/gedcom', (req, res) => {
   try {
-    gedcomFamilyQueries.deleteByUserId(req.user.id);
-    gedcomPeopleQueries.deleteByUserId(req.user.id);
-    const result = eventQueries.deleteByUserIdAndSource(req.user.id, 'gedcom');
-    res.json({ message: `Deleted ${result.changes} GEDCOM events and all tree data` });
+    const trees = treeQueries.findByUserId(req.user.id);
+    const running = trees.map(tree => findRunningJobForTree(tree.id)).find(Boolean);
+    if (running) {
+      return res.status(409).json({ error: 'An import into one of your trees is still running. Wait for it to finish, then try again.', job: running });
+    }
+
+    let eventCount = 0;
+    for (const tree of trees) {
+      eventCount += deleteTree(tree.id);
+    }
+    res.json({ message: `Deleted ${eventCount} GEDCOM events and all tree data` });
   } catch (err) {
     console.error('Clear GEDCOM events error:', err);
     res.status(500).json({ error: 'Failed to clear GEDCOM events' });
@@ -354,6 +731,30 @@ router.get('/:id/comments', (req, res) => {
   }
 });
 
+// GET /api/events/:id/citations - Sources cited for an event (from GEDCOM imports)
+router.get('/:id/citations', (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+
+    const event = eventQueries.findById(eventId);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+
+    const currentUser = userQueries.findById(req.user.id);
+    const eventOwner = userQueries.findById(event.user_id);
+
+    if (event.user_id !== req.user.id &&
+      (!currentUser.family_id || currentUser.family_id !== eventOwner.family_id)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const citations = citationQueries.findByEventId(eventId);
+    res.json({ citations });
+  } catch (err) {
+    console.error('Get citations error:', err);
+    res.status(500).json({ error: 'Failed to get citations' });
+  }
+});
+
 // POST /api/events/:id/comments - Add comment
 router.post('/:id/comments', (req, res) => {
   try {
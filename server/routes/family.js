@@ -1,6 +1,7 @@
 const express = require('express');
 const { familyQueries, eventQueries, userQueries, requestQueries, notificationQueries, photoQueries, familyRelationshipQueries } = require('../models/database');
 const { authenticateToken } = require('../middleware/auth');
+const { withLocation } = require('../utils/reverseGeocoder');
 
 const router = express.Router();
 
@@ -213,8 +214,9 @@ router.get('/members/:id/events', (req, res) => {
     const events = source
       ? eventQueries.findByUserIdAndSource(memberId, source)
       : eventQueries.findByUserId(memberId);
-    const eventsWithPhotos = events.map(e => ({
-      ...e,
+    // Unplaced events (no coordinates yet) can't be shown on the map
+    const eventsWithPhotos = events.filter(e => e.latitude !== null).map(e => ({
+      ...withLocation(e),
       photos: photoQueries.findByEventId(e.id)
     }));
     res.json({
@@ -239,8 +241,9 @@ router.get('/events', (req, res) => {
     const events = source
       ? eventQueries.findByFamilyIdAndSource(user.family_id, source)
       : eventQueries.findByFamilyId(user.family_id);
-    const eventsWithPhotos = events.map(e => ({
-      ...e,
+    // Unplaced events (no coordinates yet) can't be shown on the map
+    const eventsWithPhotos = events.filter(e => e.latitude !== null).map(e => ({
+      ...withLocation(e),
       photos: photoQueries.findByEventId(e.id)
     }));
     res.json({ events: eventsWithPhotos });
@@ -0,0 +1,109 @@
+const express = require('express');
+const { placeNameQueries, userQueries } = require('../models/database');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { validatePlaceName } = require('../utils/placeNames');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * Entry fields from a request body, in placeNameQueries.create/update argument order
+ */
+function entryFields(body) {
+  return [
+    body.old_name.trim(),
+    body.modern_name.trim(),
+    body.from_year ?? null,
+    body.to_year ?? null,
+    body.country ? body.country.trim() : null
+  ];
+}
+
+/**
+ * Find an entry the current user may change: their family's, or a shared one for admins
+ * @returns {{ entry: Object|null, status?: number, error?: string }}
+ */
+function findEditableEntry(req) {
+  const entry = placeNameQueries.findById(parseInt(req.params.id));
+  const user = userQueries.findById(req.user.id);
+  if (!entry || (entry.family_id !== null && entry.family_id !== user.family_id)) {
+    return { entry: null, status: 404, error: 'Place name not found' };
+  }
+  if (entry.family_id === null && !isAdmin(req.user)) {
+    return { entry: null, status: 403, error: 'Not authorized' };
+  }
+  return { entry };
+}
+
+// GET /api/place-names - The place name dictionary used for your imports: your family's entries, then the shared ones
+router.get('/', (req, res) => {
+  try {
+    const user = userQueries.findById(req.user.id);
+    const placeNames = placeNameQueries.findForFamily(user.family_id).map(entry => ({
+      ...entry,
+      shared: entry.family_id === null
+    }));
+    res.json({ placeNames, canEditShared: isAdmin(req.user) });
+  } catch (err) {
+    console.error('Get place names error:', err);
+    res.status(500).json({ error: 'Failed to get place names' });
+  }
+});
+
+// POST /api/place-names - Add an entry for your family ({ old_name, modern_name, from_year, to_year, country });
+// admins can add a shared entry with shared: true
+router.post('/', (req, res) => {
+  try {
+    const validationError = validatePlaceName(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    let familyId = null;
+    if (req.body.shared) {
+      if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admin access required' });
+    } else {
+      const user = userQueries.findById(req.user.id);
+      if (!user.family_id) return res.status(400).json({ error: 'You are not part of a family' });
+      familyId = user.family_id;
+    }
+
+    const result = placeNameQueries.create(familyId, ...entryFields(req.body));
+    res.status(201).json({ placeName: placeNameQueries.findById(result.lastInsertRowid) });
+  } catch (err) {
+    console.error('Create place name error:', err);
+    res.status(500).json({ error: 'Failed to create place name' });
+  }
+});
+
+// PUT /api/place-names/:id - Change one of your family's entries (or a shared one, for admins)
+router.put('/:id', (req, res) => {
+  try {
+    const { entry, status, error } = findEditableEntry(req);
+    if (!entry) return res.status(status).json({ error });
+
+    const validationError = validatePlaceName(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    placeNameQueries.update(...entryFields(req.body), entry.id);
+    res.json({ placeName: placeNameQueries.findById(entry.id) });
+  } catch (err) {
+    console.error('Update place name error:', err);
+    res.status(500).json({ error: 'Failed to update place name' });
+  }
+});
+
+// DELETE /api/place-names/:id - Delete one of your family's entries (or a shared one, for admins)
+router.delete('/:id', (req, res) => {
+  try {
+    const { entry, status, error } = findEditableEntry(req);
+    if (!entry) return res.status(status).json({ error });
+
+    placeNameQueries.delete(entry.id);
+    res.json({ message: 'Place name deleted' });
+  } catch (err) {
+    console.error('Delete place name error:', err);
+    res.status(500).json({ error: 'Failed to delete place name' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { placeQueries } = require('../models/database');
+const { authenticateToken } = require('../middleware/auth');
+const { geocode } = require('../utils/geocoder');
+const { loadPlaceNames, placeQuery } = require('../utils/placeNames');
+const { validateCoordinates, validateLocationPrecision } = require('../utils/coordinates');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const PLACE_NAME_MAX_LENGTH = 200;
+const PEOPLE_EVENTS = ['birth', 'death'];
+
+/**
+ * Find one of the current user's places from the :id parameter
+ */
+function findOwnPlace(req) {
+  const place = placeQueries.findById(parseInt(req.params.id));
+  return place && place.user_id === req.user.id ? place : null;
+}
+
+// GET /api/places - Your places with their hierarchy and how many events and people are at each,
+// ordered by country, state and county (?within= an area such as "County Cork" or "Ireland")
+router.get('/', (req, res) => {
+  try {
+    res.json({ places: placeQueries.findByUserId(req.user.id, req.query.within || null) });
+  } catch (err) {
+    console.error('Get places error:', err);
+    res.status(500).json({ error: 'Failed to get places' });
+  }
+});
+
+// GET /api/places/people?within= - Your GEDCOM people born or died within an area, in all of your trees
+// (?event=birth|death, default either)
+router.get('/people', (req, res) => {
+  const { within, event } = req.query;
+  if (!within) return res.status(400).json({ error: 'within is required' });
+  if (event && !PEOPLE_EVENTS.includes(event)) {
+    return res.status(400).json({ error: `event must be one of: ${PEOPLE_EVENTS.join(', ')}` });
+  }
+
+  try {
+    res.json({ people: placeQueries.findPeopleWithin(req.user.id, within, event || null) });
+  } catch (err) {
+    console.error('Get people within place error:', err);
+    res.status(500).json({ error: 'Failed to get people' });
+  }
+});
+
+// PUT /api/places/:id - Rename a place ({ name }), along with the place name of its events and people.
+// Renaming to the name of another of your places merges the two
+router.put('/:id', (req, res) => {
+  try {
+    const place = findOwnPlace(req);
+    if (!place) return res.status(404).json({ error: 'Place not found' });
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Place name is required' });
+    if (name.length > PLACE_NAME_MAX_LENGTH) {
+      return res.status(400).json({ error: `Place name must be at most ${PLACE_NAME_MAX_LENGTH} characters` });
+    }
+
+    const existing = placeQueries.findByUserIdAndName(req.user.id, name);
+    if (existing && existing.id !== place.id) {
+      placeQueries.merge(place.id, existing.id);
+      return res.json({ place: placeQueries.findById(existing.id), merged: true });
+    }
+    placeQueries.rename(name, place.id);
+    res.json({ place: placeQueries.findById(place.id), merged: false });
+  } catch (err) {
+    console.error('Rename place error:', err);
+    res.status(500).json({ error: 'Failed to rename place' });
+  }
+});
+
+// PUT /api/places/:id/coordinates - Move a place and every event at it ({ latitude, longitude, location_precision })
+router.put('/:id/coordinates', (req, res) => {
+  try {
+    const place = findOwnPlace(req);
+    if (!place) return res.status(404).json({ error: 'Place not found' });
+    const coordError = validateCoordinates(req.body) || validateLocationPrecision(req.body);
+    if (coordError) return res.status(400).json({ error: coordError });
+
+    placeQueries.setCoordinates(req.body.latitude, req.body.longitude, 'manual', req.body.location_precision, place.id);
+    res.json({ place: placeQueries.findById(place.id) });
+  } catch (err) {
+    console.error('Set place coordinates error:', err);
+    res.status(500).json({ error: 'Failed to move place' });
+  }
+});
+
+// POST /api/places/:id/geocode - Look a place up again (under its modern name, asking the
+// geocoders rather than the cache) and move it, with every event at it, to what they find
+router.post('/:id/geocode', async (req, res) => {
+  try {
+    const place = findOwnPlace(req);
+    if (!place) return res.status(404).json({ error: 'Place not found' });
+
+    const query = placeQuery(place.name, null, loadPlaceNames(req.user.id));
+    const coords = query ? await geocode(query, { refresh: true }) : null;
+    if (!coords) {
+      return res.status(404).json({ error: `"${place.name}" could not be found on the map` });
+    }
+    placeQueries.setCoordinates(coords.lat, coords.lon, 'geocoder', coords.precision, place.id);
+    res.json({ place: placeQueries.findById(place.id) });
+  } catch (err) {
+    console.error('Geocode place error:', err);
+    res.status(500).json({ error: 'Failed to geocode place' });
+  }
+});
+
+module.exports = router;
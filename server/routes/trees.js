@@ -0,0 +1,87 @@
+const express = require('express');
+const { treeQueries } = require('../models/database');
+const { authenticateToken } = require('../middleware/auth');
+const { validateTreeName, deleteTree } = require('../utils/trees');
+const { findRunningJobForTree } = require('../utils/importJobs');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// GET /api/trees - Get the current user's trees, with people and event counts
+router.get('/', (req, res) => {
+  try {
+    res.json({ trees: treeQueries.findByUserId(req.user.id) });
+  } catch (err) {
+    console.error('Get trees error:', err);
+    res.status(500).json({ error: 'Failed to get trees' });
+  }
+});
+
+// POST /api/trees - Create an empty tree to import into
+router.post('/', (req, res) => {
+  try {
+    const nameError = validateTreeName(req.body.name);
+    if (nameError) return res.status(400).json({ error: nameError });
+
+    const name = req.body.name.trim();
+    if (treeQueries.findByUserIdAndName(req.user.id, name)) {
+      return res.status(409).json({ error: `You already have a tree called "${name}"` });
+    }
+
+    const result = treeQueries.create(req.user.id, name);
+    res.status(201).json({ tree: treeQueries.findById(result.lastInsertRowid) });
+  } catch (err) {
+    console.error('Create tree error:', err);
+    res.status(500).json({ error: 'Failed to create tree' });
+  }
+});
+
+// PUT /api/trees/:id - Rename a tree
+router.put('/:id', (req, res) => {
+  try {
+    const treeId = parseInt(req.params.id);
+    const tree = treeQueries.findById(treeId);
+    if (!tree) return res.status(404).json({ error: 'Tree not found' });
+    if (tree.user_id !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+
+    const nameError = validateTreeName(req.body.name);
+    if (nameError) return res.status(400).json({ error: nameError });
+
+    const name = req.body.name.trim();
+    const existing = treeQueries.findByUserIdAndName(req.user.id, name);
+    if (existing && existing.id !== treeId) {
+      return res.status(409).json({ error: `You already have a tree called "${name}"` });
+    }
+
+    treeQueries.rename(name, treeId);
+    res.json({ tree: treeQueries.findById(treeId) });
+  } catch (err) {
+    console.error('Rename tree error:', err);
+    res.status(500).json({ error: 'Failed to rename tree' });
+  }
+});
+
+// DELETE /api/trees/:id - Delete a tree and everything imported into it
+router.delete('/:id', (req, res) => {
+  try {
+    const treeId = parseInt(req.params.id);
+    const tree = treeQueries.findById(treeId);
+    if (!tree) return res.status(404).json({ error: 'Tree not found' });
+    if (tree.user_id !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+
+    // An import still running into the tree would go on adding to it once it was gone
+    const running = findRunningJobForTree(treeId);
+    if (running) {
+      return res.status(409).json({ error: 'An import into this tree is still running. Wait for it to finish, then try again.', job: running });
+    }
+
+    const eventCount = deleteTree(treeId);
+    res.json({ message: `Deleted "${tree.name}" and its ${eventCount} events` });
+  } catch (err) {
+    console.error('Delete tree error:', err);
+    res.status(500).json({ error: 'Failed to delete tree' });
+  }
+});
+
+module.exports = router;
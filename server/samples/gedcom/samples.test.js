@@ -0,0 +1,55 @@
+/**
+ * Decodes the encoding samples in this folder and checks the names and places come out
+ * as README.md describes. Run with `npm test` from server/.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseGedcomFull, decodeGedcom } = require('../../utils/gedcomParser');
+
+function parseSample(file) {
+  return parseGedcomFull(fs.readFileSync(path.join(__dirname, file)));
+}
+
+// Every sample apart from conc-cont.ged holds these two people; Windows-1252 has no Ł or ź
+const NAMES = ['José Müller', 'François Lefèvre'];
+const placesFor = (birthPlace) => [birthPlace, 'Besançon, France'];
+
+const ENCODING_SAMPLES = [
+  { file: 'utf8.ged', encoding: 'UTF-8', birthPlace: 'Łódź, Polska' },
+  { file: 'utf8-bom.ged', encoding: 'UTF-8', birthPlace: 'Łódź, Polska' },
+  { file: 'utf16le-bom.ged', encoding: 'UTF-16LE', birthPlace: 'Łódź, Polska' },
+  { file: 'utf16be-bom.ged', encoding: 'UTF-16BE', birthPlace: 'Łódź, Polska' },
+  { file: 'utf16le-no-bom.ged', encoding: 'UTF-16LE', birthPlace: 'Łódź, Polska' },
+  { file: 'ansel.ged', encoding: 'ANSEL', birthPlace: 'Łódź, Polska' },
+  { file: 'ansi.ged', encoding: 'ANSI', birthPlace: 'Lodz, Polska' },
+  { file: 'undeclared-cp1252.ged', encoding: 'WINDOWS-1252', birthPlace: 'Lodz, Polska' }
+];
+
+for (const { file, encoding, birthPlace } of ENCODING_SAMPLES) {
+  test(`${file} decodes as ${encoding}`, () => {
+    const result = parseSample(file);
+    assert.equal(result.encoding, encoding);
+    assert.deepEqual(result.people.map(p => p.name), NAMES);
+    assert.deepEqual(result.events.map(e => e.place), placesFor(birthPlace));
+  });
+}
+
+test('byte order marks are stripped before the first line', () => {
+  for (const file of ['utf8-bom.ged', 'utf16le-bom.ged', 'utf16be-bom.ged']) {
+    const { text } = decodeGedcom(fs.readFileSync(path.join(__dirname, file)));
+    assert.ok(text.startsWith('0 HEAD'), file);
+  }
+});
+
+test('conc-cont.ged joins CONC and CONT lines', () => {
+  const result = parseSample('conc-cont.ged');
+  assert.deepEqual(result.people.map(p => p.name), ['Mary Kelly']);
+
+  const places = Object.fromEntries(result.events.map(e => [e.type, e.place]));
+  assert.equal(places.residence, 'Townland of Ballynonagh, Parish of Kilmore, County Roscommon, Ireland');
+  assert.equal(places.birth, 'Roscommon, Ireland');
+  assert.equal(result.people[0].notes, 'Mary emigrated in 1905.\nShe settled in Boston, Massachusetts.');
+});
@@ -0,0 +1,46 @@
+/**
+ * Grant and revoke admin rights (the /api/admin endpoints and shared place names):
+ *
+ *   npm run admin                  list the admins
+ *   npm run admin grant <email>    make the account with this email an admin
+ *   npm run admin revoke <email>   take admin rights away
+ *
+ * Email addresses aren't verified at registration, so check that the account shown is the
+ * one you mean before granting. Uses the database at DB_PATH, like the server; stop the
+ * server first, as it would overwrite the change on its next save.
+ */
+
+const { initializeDatabase, userQueries } = require('../models/database');
+
+const USAGE = 'Usage: npm run admin [list | grant <email> | revoke <email>]';
+
+function describe(user) {
+  return `${user.email} (${user.name}, id ${user.id}, registered ${user.created_at})`;
+}
+
+async function main() {
+  const [command = 'list', email, ...extra] = process.argv.slice(2);
+  const needsEmail = command === 'grant' || command === 'revoke';
+  if (!['list', 'grant', 'revoke'].includes(command) || Boolean(email) !== needsEmail || extra.length > 0) {
+    throw new Error(USAGE);
+  }
+  await initializeDatabase();
+
+  if (command === 'list') {
+    const admins = userQueries.findAdmins();
+    if (admins.length === 0) console.log('No admins yet; grant one with "npm run admin grant <email>"');
+    for (const admin of admins) console.log(`  ${describe(admin)}`);
+    return;
+  }
+
+  const user = userQueries.findPublicByEmail(email.trim());
+  if (!user) throw new Error(`No account with the email ${email}`);
+  userQueries.setAdmin(command === 'grant', user.id);
+  console.log(`${command === 'grant' ? 'Granted admin rights to' : 'Revoked admin rights from'} ${describe(user)}`);
+}
+
+// Exit explicitly, as scripts/migrate.js does
+main().then(() => process.exit(0), (err) => {
+  console.error(err.message);
+  process.exit(1);
+});
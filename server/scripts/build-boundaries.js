@@ -0,0 +1,73 @@
+/**
+ * Build the bundled boundary files from Natural Earth:
+ *
+ *   node scripts/build-boundaries.js <admin-0 countries.geojson> <admin-1 states_provinces.geojson>
+ *
+ * Takes the Natural Earth admin-0 countries and admin-1 states and provinces as GeoJSON (see
+ * data/README.md), keeps the properties the server reads and simplifies the outlines to about
+ * 1 km, well inside the coast tolerance of the lookups, to keep the files small.
+ * Writes them to COUNTRY_BOUNDARIES_PATH and REGION_BOUNDARIES_PATH (data/ by default).
+ */
+
+const fs = require('fs');
+const { countryBoundariesPath, regionBoundariesPath } = require('../config/config');
+const { simplifyPolygon } = require('../utils/boundaries');
+
+// Degrees: about 1 km at the equator, and coordinates to about 100 m
+const TOLERANCE = 0.01;
+const DECIMALS = 3;
+
+// Natural Earth uses -99 for no code (and, in some releases, for France and Norway in ISO_A2,
+// with the code in ISO_A2_EH)
+function isoCode(...codes) {
+  return codes.find(code => code && code !== '-99') || '-99';
+}
+
+function simplifyFeatures(features, pickProperties) {
+  const simplified = [];
+  for (const feature of features) {
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    const properties = pickProperties(feature.properties || {});
+    if (polygons.length === 0 || !properties) continue;
+
+    simplified.push({
+      type: 'Feature',
+      properties,
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: polygons.map(rings => simplifyPolygon(rings, TOLERANCE, DECIMALS))
+      }
+    });
+  }
+  return { type: 'FeatureCollection', features: simplified };
+}
+
+function build(inputPath, outputPath, pickProperties) {
+  const { features } = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
+  const collection = simplifyFeatures(features || [], pickProperties);
+  fs.writeFileSync(outputPath, JSON.stringify(collection));
+  console.log(`Wrote ${collection.features.length} features to ${outputPath}`);
+}
+
+const [countriesPath, regionsPath] = process.argv.slice(2);
+if (!countriesPath || !regionsPath) {
+  console.error('Usage: node scripts/build-boundaries.js <admin-0 countries.geojson> <admin-1 states_provinces.geojson>');
+  process.exit(1);
+}
+
+build(countriesPath, countryBoundariesPath, (p) => ({
+  ADMIN: p.ADMIN || p.NAME || p.name,
+  ISO_A2: isoCode(p.ISO_A2, p.ISO_A2_EH)
+}));
+
+// Unnamed regions (Natural Earth's minor islands) can't be reported, so they are left out
+build(regionsPath, regionBoundariesPath, (p) => (p.name ? {
+  name: p.name,
+  admin: p.admin,
+  iso_a2: isoCode(p.iso_a2),
+  iso_3166_2: p.iso_3166_2 || null
+} : null));
@@ -0,0 +1,58 @@
+/**
+ * Run and inspect schema migrations (see models/migrator.js):
+ *
+ *   npm run migrate                  list applied and pending migrations
+ *   npm run migrate up [version]     apply pending migrations (up to version)
+ *   npm run migrate down [version]   roll back the last migration (down to version; 0 for all)
+ *
+ * Uses the database at DB_PATH, like the server. Stop the server first: it keeps the
+ * database in memory and would overwrite the changes on its next save.
+ */
+
+const { openDatabase, saveDatabase } = require('../models/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../models/migrator');
+
+const USAGE = 'Usage: npm run migrate [status | up [version] | down [version]]';
+
+function parseVersion(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`Not a migration version: ${value}\n${USAGE}`);
+  return Number(value);
+}
+
+function printStatus(db) {
+  const { current, latest, applied, pending, unknown } = getMigrationStatus(db);
+  for (const row of applied) {
+    const marker = unknown.includes(row) ? '?' : '✓';
+    console.log(`  ${marker} ${row.name.padEnd(40)} applied ${row.applied_at}`);
+  }
+  for (const migration of pending) console.log(`    ${migration.name.padEnd(40)} pending`);
+
+  console.log(`\nSchema version ${current}, latest ${latest}`);
+  if (unknown.length > 0) console.log('The database is ahead of this code (?: migrations it doesn\'t have)');
+  else if (pending.length > 0) console.log(`${pending.length} pending; run "npm run migrate up" or start the server`);
+}
+
+async function main() {
+  const [command = 'status', version, ...extra] = process.argv.slice(2);
+  if (!['status', 'up', 'down'].includes(command) || extra.length > 0) throw new Error(USAGE);
+  const to = parseVersion(version);
+  const db = await openDatabase();
+
+  if (command === 'status') {
+    printStatus(db);
+  } else if (command === 'up') {
+    const applied = migrateUp(db, { to, save: saveDatabase });
+    if (applied.length === 0) console.log('Already up to date');
+  } else {
+    const rolledBack = migrateDown(db, { to, save: saveDatabase });
+    if (rolledBack.length === 0) console.log('Nothing to roll back');
+  }
+}
+
+// Exit explicitly: on some Node versions the process lingers after a fresh database is
+// migrated, and a CLI that doesn't return is no use in scripts
+main().then(() => process.exit(0), (err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -4,7 +4,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const { initializeDatabase } = require('./models/database');
-const { port, corsOrigin, nodeEnv } = require('./config/config');
+const { port, corsOrigin, nodeEnv, uploadsDir } = require('./config/config');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -12,6 +12,11 @@ const eventsRoutes = require('./routes/events');
 const familyRoutes = require('./routes/family');
 const notificationRoutes = require('./routes/notifications');
 const profileRoutes = require('./routes/profile');
+const treesRoutes = require('./routes/trees');
+const adminRoutes = require('./routes/admin');
+const placeNamesRoutes = require('./routes/placeNames');
+const placesRoutes = require('./routes/places');
+const boundariesRoutes = require('./routes/boundaries');
 
 const app = express();
 
@@ -46,7 +51,6 @@ app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/google', authLimiter);
 
 // Serve uploaded photos
-const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
 app.use('/uploads', express.static(uploadsDir));
 
 // API Routes
@@ -55,6 +59,11 @@ app.use('/api/events', eventsRoutes);
 app.use('/api/family', familyRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/trees', treesRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/place-names', placeNamesRoutes);
+app.use('/api/places', placesRoutes);
+app.use('/api/boundaries', boundariesRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -90,4 +99,7 @@ async function start() {
   });
 }
 
-start().catch(console.error);
+start().catch((err) => {
+  console.error('Failed to start:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * Country outlines for the map, served from the country boundary file (config.countryBoundariesPath)
+ * at a few levels of detail so the overlay needn't download the full file to draw a world view.
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+
+// Simplification tolerance (degrees) and coordinate precision (decimal places) per level
+const RESOLUTIONS = {
+  low: { tolerance: 0.25, decimals: 2 },
+  medium: { tolerance: 0.05, decimals: 3 },
+  high: { tolerance: 0, decimals: null }
+};
+
+const cache = new Map();
+
+// Squared distance from p to the segment a-b
+function segmentDistanceSq(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const length = dx * dx + dy * dy;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length));
+  const x = a[0] + t * dx - p[0];
+  const y = a[1] + t * dy - p[1];
+  return x * x + y * y;
+}
+
+/**
+ * Douglas-Peucker: drop the points of a line closer than the tolerance to the line
+ * through the points kept around them
+ */
+function simplifyLine(points, tolerance) {
+  if (tolerance <= 0 || points.length < 3) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const toleranceSq = tolerance * tolerance;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestSq = toleranceSq;
+    for (let i = first + 1; i < last; i++) {
+      const distanceSq = segmentDistanceSq(points[i], points[first], points[last]);
+      if (distanceSq > farthestSq) {
+        farthest = i;
+        farthestSq = distanceSq;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Simplify a polygon's rings. Holes that shrink to nothing are dropped; an outer ring
+ * that would is kept as it was, so small countries and islands stay on the map.
+ */
+function simplifyPolygon(rings, tolerance, decimals) {
+  const round = decimals === null
+    ? (point) => point
+    : (point) => [Number(point[0].toFixed(decimals)), Number(point[1].toFixed(decimals))];
+
+  const simplified = [];
+  rings.forEach((ring, i) => {
+    const points = simplifyLine(ring, tolerance);
+    if (points.length >= 4) simplified.push(points.map(round));
+    else if (i === 0) simplified.push(ring.map(round));
+  });
+  return simplified;
+}
+
+// Width or height of a polygon's outer ring, whichever is larger, in degrees
+function polygonExtent(rings) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  for (const [lon, lat] of rings[0]) {
+    minLon = Math.min(minLon, lon);
+    minLat = Math.min(minLat, lat);
+    maxLon = Math.max(maxLon, lon);
+    maxLat = Math.max(maxLat, lat);
+  }
+  return Math.max(maxLon - minLon, maxLat - minLat);
+}
+
+/**
+ * A country's polygons worth drawing at a tolerance: islands smaller than the tolerance
+ * would be specks, so they are left out, but a country always keeps its largest polygon
+ */
+function visiblePolygons(polygons, tolerance) {
+  if (tolerance <= 0) return polygons;
+  const extents = polygons.map(polygonExtent);
+  const largest = extents.indexOf(Math.max(...extents));
+  return polygons.filter((polygon, i) => i === largest || extents[i] >= tolerance);
+}
+
+/**
+ * Read the country file and simplify it to a level of detail
+ * @param {string} resolution - One of RESOLUTIONS
+ * @returns {Object} GeoJSON FeatureCollection of MultiPolygon countries with ADMIN and ISO_A2 properties
+ */
+function buildCountryBoundaries(resolution) {
+  const { tolerance, decimals } = RESOLUTIONS[resolution];
+  const { features } = JSON.parse(fs.readFileSync(config.countryBoundariesPath, 'utf-8'));
+
+  const countries = [];
+  for (const feature of features || []) {
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    if (polygons.length === 0) continue;
+
+    const properties = feature.properties || {};
+    countries.push({
+      type: 'Feature',
+      // Only what the map shows: Natural Earth features carry around a hundred properties
+      properties: {
+        ADMIN: properties.ADMIN || properties.NAME || properties.name || null,
+        ISO_A2: properties.ISO_A2 && properties.ISO_A2 !== '-99' ? properties.ISO_A2 : null
+      },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: visiblePolygons(polygons, tolerance).map(rings => simplifyPolygon(rings, tolerance, decimals))
+      }
+    });
+  }
+
+  return { type: 'FeatureCollection', features: countries };
+}
+
+/**
+ * Country outlines as a JSON string, built on first request for each level
+ * @param {string} resolution - One of RESOLUTIONS
+ * @returns {string}
+ */
+function getCountryBoundaries(resolution) {
+  if (!cache.has(resolution)) {
+    cache.set(resolution, JSON.stringify(buildCountryBoundaries(resolution)));
+  }
+  return cache.get(resolution);
+}
+
+module.exports = { RESOLUTIONS, simplifyPolygon, getCountryBoundaries };
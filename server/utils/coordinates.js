@@ -0,0 +1,36 @@
+/**
+ * Helpers for coordinates sent by clients (admin geocode corrections, placing unplaced events)
+ * and for how precise a location is
+ */
+
+// How precise a location is, from the most to the least: a geocoded "England" is a point in
+// the middle of the country, not the place itself. NULL (an exact point, or unknown) is
+// stored for positions picked on the map or given in an imported file
+const LOCATION_PRECISIONS = ['address', 'town', 'county', 'region', 'country'];
+
+/**
+ * Validate latitude / longitude from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCoordinates({ latitude, longitude }) {
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  return null;
+}
+
+/**
+ * Validate an optional location_precision from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLocationPrecision({ location_precision: precision }) {
+  if (precision !== undefined && precision !== null && !LOCATION_PRECISIONS.includes(precision)) {
+    return `location_precision must be one of: ${LOCATION_PRECISIONS.join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = { LOCATION_PRECISIONS, validateCoordinates, validateLocationPrecision };
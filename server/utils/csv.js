@@ -0,0 +1,136 @@
+/**
+ * CSV reading and writing for spreadsheet imports and exports
+ * Handles what Excel, LibreOffice and Google Sheets produce: quoted fields with
+ * embedded commas, quotes and line breaks, CRLF line endings, ";" or tab delimiters
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Decode an uploaded CSV file. A byte order mark wins (Excel's "Unicode text" is
+ * UTF-16LE); otherwise UTF-8, falling back to Windows-1252 when the bytes aren't valid UTF-8.
+ * @param {Buffer} buffer - Raw file bytes
+ * @returns {{ text: string, encoding: string }}
+ */
+function decodeCsv(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.subarray(3).toString('utf-8'), encoding: 'UTF-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'UTF-16LE' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'UTF-16BE' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'UTF-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'WINDOWS-1252' };
+  }
+}
+
+/**
+ * Pick the delimiter that occurs most often (outside quotes) on the first line
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  let best = ',';
+  for (const [d, count] of counts) {
+    if (count > counts.get(best)) best = d;
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180). Blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the header line when omitted
+ * @returns {{ rows: string[][], lines: number[], delimiter: string }}
+ *          lines holds the 1-based line each row starts on, for error messages
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+      lines.push(rowLine);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell.trim() === '') {
+      cell = '';
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return { rows, lines, delimiter };
+}
+
+/**
+ * Quote a cell when it contains the delimiter, quotes or line breaks. Cells that a
+ * spreadsheet would run as a formula ("=", "+", "-", "@") get a leading apostrophe,
+ * except plain numbers such as negative coordinates.
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (/^[=+\-@\t\r]/.test(str) && !/^[+-]?\d+(\.\d+)?$/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Write rows of cells as CSV with CRLF line endings
+ * @param {Array<Array<*>>} rows - The first row is usually the header
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { decodeCsv, parseCsv, toCsv };
@@ -0,0 +1,374 @@
+/**
+ * Bulk import and export of events as CSV, for life events kept in spreadsheets
+ * Rows are mapped to event fields by column; rows with a place but no coordinates
+ * are geocoded, and each row is validated on its own so one bad line doesn't stop the rest.
+ */
+
+const { eventQueries } = require('../models/database');
+const { parseDateDetailed, DATE_QUALIFIERS } = require('./gedcomParser');
+const { geocodeAll } = require('./geocoder');
+const { loadPlaceNames, placeQuery } = require('./placeNames');
+const { createPlaceLinker } = require('./places');
+const { decodeCsv, parseCsv, toCsv } = require('./csv');
+
+// Same values and labels as client/src/constants/categories.js
+const EVENT_CATEGORIES = [
+  { value: 'birth', label: 'Birth' },
+  { value: 'death', label: 'Death' },
+  { value: 'marriage', label: 'Marriage' },
+  { value: 'moved', label: 'Moved / Residence' },
+  { value: 'military', label: 'Military' },
+  { value: 'education', label: 'Education' },
+  { value: 'work', label: 'Work / Career' },
+  { value: 'other', label: 'Other' }
+];
+
+// Event fields a column can be mapped to, with the header names guessed for each
+const CSV_FIELDS = [
+  { field: 'title', label: 'Title', required: true, headers: ['title', 'event', 'event title', 'name', 'what'] },
+  { field: 'date', label: 'Date', required: true, headers: ['date', 'event date', 'start date', 'start', 'when', 'year'] },
+  { field: 'end_date', label: 'End date', headers: ['end date', 'end', 'until', 'to'] },
+  { field: 'qualifier', label: 'Date qualifier', headers: ['qualifier', 'date qualifier'] },
+  { field: 'place', label: 'Place', headers: ['place', 'place name', 'location', 'where', 'address', 'city'] },
+  { field: 'latitude', label: 'Latitude', headers: ['latitude', 'lat'] },
+  { field: 'longitude', label: 'Longitude', headers: ['longitude', 'lon', 'lng', 'long'] },
+  { field: 'category', label: 'Category', headers: ['category', 'type', 'kind'] },
+  { field: 'description', label: 'Description', headers: ['description', 'details', 'notes', 'comment'] }
+];
+
+// Columns written by exportEventsCsv; they read back in with the guessed mapping
+const EXPORT_COLUMNS = ['title', 'date', 'end_date', 'qualifier', 'place', 'latitude', 'longitude', 'category', 'description'];
+
+// How many parsed rows the preview sends back (errors are always reported for every row)
+const PREVIEW_ROWS = 20;
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} headers
+ * @returns {Object} field -> column index, or null when no header matches
+ */
+function guessMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const taken = new Set();
+  const mapping = {};
+  for (const { field, headers: names } of CSV_FIELDS) {
+    const index = normalized.findIndex((h, i) => !taken.has(i) && names.includes(h));
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) taken.add(index);
+  }
+  return mapping;
+}
+
+/**
+ * Check a column mapping sent by the client against the header row
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateMapping(mapping, headers) {
+  for (const { field, label, required } of CSV_FIELDS) {
+    const index = mapping[field];
+    if (index === null || index === undefined) {
+      if (required) return `Map a column to ${label}`;
+      continue;
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+      return `The column mapped to ${label} does not exist`;
+    }
+  }
+  const hasPlace = mapping.place !== null && mapping.place !== undefined;
+  const hasLat = mapping.latitude !== null && mapping.latitude !== undefined;
+  const hasLon = mapping.longitude !== null && mapping.longitude !== undefined;
+  if (hasLat !== hasLon) return 'Map both Latitude and Longitude, or neither';
+  if (!hasPlace && !hasLat) return 'Map a column to Place, or to Latitude and Longitude';
+  return null;
+}
+
+function isValidIsoDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+/**
+ * Read a date cell: ISO "1982", "1982-10" or "1982-10-12" (precision follows the
+ * number of parts), or anything parseDateDetailed accepts ("12 Oct 1982", "ABT 1884",
+ * "BET 1850 AND 1860"). Day/month orders like 12/10/1982 are ambiguous and rejected.
+ * @returns {{ date, endDate, precision, qualifier }|null}
+ */
+function readDate(value) {
+  const iso = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (iso) {
+    const [, year, month, day] = iso;
+    const date = `${year}-${(month || '1').padStart(2, '0')}-${(day || '1').padStart(2, '0')}`;
+    if (!isValidIsoDate(date)) return null;
+    return { date, endDate: null, precision: day ? 'day' : month ? 'month' : 'year', qualifier: null };
+  }
+
+  const parsed = parseDateDetailed(value);
+  if (!parsed || !isValidIsoDate(parsed.date) || (parsed.endDate && !isValidIsoDate(parsed.endDate))) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Read a coordinate cell, accepting a decimal comma ("51,5074") from European spreadsheets
+ */
+function readCoordinate(value) {
+  const normalized = /^[+-]?\d+,\d+$/.test(value) ? value.replace(',', '.') : value;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return NaN;
+  return parseFloat(normalized);
+}
+
+function readCategory(value) {
+  const wanted = value.toLowerCase();
+  const match = EVENT_CATEGORIES.find(c =>
+    c.value === wanted ||
+    c.label.toLowerCase() === wanted ||
+    c.label.toLowerCase().split(' / ').includes(wanted)
+  );
+  return match ? match.value : null;
+}
+
+const PRECISION_ORDER = ['day', 'month', 'year'];
+
+/**
+ * Validate one data row and turn it into an event
+ * @returns {{ event: Object|null, errors: string[] }}
+ */
+function readRow(cells, mapping) {
+  const cell = (field) => {
+    const index = mapping[field];
+    if (index === null || index === undefined) return '';
+    return (cells[index] || '').trim();
+  };
+  const errors = [];
+
+  const title = cell('title');
+  if (!title) errors.push('Title is empty');
+
+  const rawDate = cell('date');
+  const start = rawDate ? readDate(rawDate) : null;
+  if (!rawDate) errors.push('Date is empty');
+  else if (!start) errors.push(`Date "${rawDate}" is not recognised (use YYYY-MM-DD, YYYY-MM, YYYY or 12 OCT 1982)`);
+
+  let endDate = start ? start.endDate : null;
+  let precision = start ? start.precision : null;
+  const rawEnd = cell('end_date');
+  if (rawEnd) {
+    const end = readDate(rawEnd);
+    if (!end || end.endDate) {
+      errors.push(`End date "${rawEnd}" is not recognised`);
+    } else {
+      endDate = end.date;
+      if (precision) precision = PRECISION_ORDER[Math.max(PRECISION_ORDER.indexOf(precision), PRECISION_ORDER.indexOf(end.precision))];
+    }
+  }
+  if (start && endDate && endDate < start.date) errors.push('End date is before the date');
+
+  let qualifier = start ? start.qualifier : null;
+  const rawQualifier = cell('qualifier');
+  if (rawQualifier) {
+    qualifier = rawQualifier.toLowerCase();
+    if (!DATE_QUALIFIERS.includes(qualifier)) {
+      errors.push(`Date qualifier "${rawQualifier}" must be one of: ${DATE_QUALIFIERS.join(', ')}`);
+    }
+  }
+  if (qualifier === 'between' && !endDate) errors.push('A "between" date needs an end date');
+
+  const place = cell('place');
+  const rawLat = cell('latitude');
+  const rawLon = cell('longitude');
+  let lat = null;
+  let lon = null;
+  if (rawLat || rawLon) {
+    lat = readCoordinate(rawLat);
+    lon = readCoordinate(rawLon);
+    if (!rawLat || !rawLon) errors.push('Latitude and longitude must be given together');
+    else if (isNaN(lat) || lat < -90 || lat > 90) errors.push(`Latitude "${rawLat}" must be a number between -90 and 90`);
+    else if (isNaN(lon) || lon < -180 || lon > 180) errors.push(`Longitude "${rawLon}" must be a number between -180 and 180`);
+  } else if (!place) {
+    errors.push('Give a place or latitude and longitude');
+  }
+
+  const rawCategory = cell('category');
+  const category = rawCategory ? readCategory(rawCategory) : 'other';
+  if (!category) {
+    errors.push(`Category "${rawCategory}" must be one of: ${EVENT_CATEGORIES.map(c => c.value).join(', ')}`);
+  }
+
+  if (errors.length > 0) return { event: null, errors };
+
+  return {
+    event: {
+      title,
+      date: start.date,
+      endDate,
+      precision,
+      qualifier,
+      place: place || null,
+      lat: rawLat ? lat : null,
+      lon: rawLon ? lon : null,
+      category,
+      description: cell('description') || null
+    },
+    errors
+  };
+}
+
+/**
+ * Decode and parse an uploaded CSV file. The first row is the header.
+ * @param {Buffer} buffer
+ * @returns {{ headers: string[], rows: string[][], lines: number[], encoding: string }}
+ */
+function readCsvFile(buffer) {
+  const { text, encoding } = decodeCsv(buffer);
+  const { rows, lines } = parseCsv(text);
+  if (rows.length === 0) throw new Error('The CSV file is empty');
+  return { headers: rows[0].map(h => h.trim()), rows: rows.slice(1), lines: lines.slice(1), encoding };
+}
+
+/**
+ * Validate every data row against a column mapping
+ * @returns {Array<{ line: number, event: Object|null, errors: string[] }>}
+ */
+function readCsvEvents(file, mapping) {
+  return file.rows.map((cells, i) => ({ line: file.lines[i], ...readRow(cells, mapping) }));
+}
+
+/**
+ * Summarize a CSV upload for review before importing
+ * @param {Object} file - readCsvFile output
+ * @param {Object} mapping - field -> column index
+ * @param {string|null} mappingError - validateMapping result; rows aren't checked when set
+ */
+function buildCsvPreview(file, mapping, mappingError = null) {
+  const rows = mappingError ? [] : readCsvEvents(file, mapping);
+  const valid = rows.filter(r => r.event);
+  return {
+    headers: file.headers,
+    mapping,
+    mappingError,
+    fields: CSV_FIELDS.map(({ field, label, required }) => ({ field, label, required: Boolean(required) })),
+    encoding: file.encoding,
+    rowCount: file.rows.length,
+    validCount: valid.length,
+    errorCount: rows.length - valid.length,
+    geocodeCount: new Set(valid.filter(r => r.event.lat === null).map(r => r.event.place)).size,
+    rows: rows.slice(0, PREVIEW_ROWS).map(r => ({ line: r.line, event: r.event, errors: r.errors })),
+    errors: rows.filter(r => r.errors.length > 0).map(r => ({ line: r.line, errors: r.errors }))
+  };
+}
+
+/**
+ * Import the valid rows of a CSV file as the user's own events
+ * Rows with errors, or whose place can't be geocoded, are skipped and reported by line.
+ * @param {number} userId
+ * @param {Object} file - readCsvFile output
+ * @param {Object} mapping - field -> column index
+ * @param {Object} options
+ * @param {function} options.onProgress - Geocoding progress callback (completed, total)
+ * @param {function} options.onPhase - Called with the name of each phase as it starts
+ * @returns {Promise<Object>} Import summary
+ */
+async function importCsvEvents(userId, file, mapping, { onProgress, onPhase } = {}) {
+  const phase = (name) => { if (onPhase) onPhase(name); };
+  const rows = readCsvEvents(file, mapping);
+  const errors = rows.filter(r => r.errors.length > 0).map(r => ({ line: r.line, errors: r.errors }));
+  const valid = rows.filter(r => r.event);
+
+  // Places are looked up under their modern names from the place name dictionary
+  const placeNames = loadPlaceNames(userId);
+  const query = (event) => placeQuery(event.place, event.date, placeNames);
+  phase('geocoding');
+  const geocoded = await geocodeAll(valid.filter(r => r.event.lat === null).map(r => query(r.event)), onProgress);
+  phase('events');
+
+  const placeId = createPlaceLinker(userId);
+  let imported = 0;
+  for (const { line, event } of valid) {
+    const coords = event.lat !== null ? { lat: event.lat, lon: event.lon } : geocoded.get(query(event));
+    if (!coords) {
+      errors.push({ line, errors: [`Place "${event.place}" could not be found on the map`] });
+      continue;
+    }
+    eventQueries.createWithSource(
+      userId,
+      event.title,
+      event.description,
+      event.date,
+      event.endDate,
+      coords.lat,
+      coords.lon,
+      event.category,
+      'manual',
+      event.place,
+      event.precision,
+      event.qualifier,
+      null,
+      null,
+      placeId(event.place, coords, event.lat !== null ? 'file' : 'geocoder'),
+      coords.precision
+    );
+    imported++;
+  }
+  errors.sort((a, b) => a.line - b.line);
+
+  const skipped = rows.length - imported;
+  return {
+    imported,
+    skipped,
+    errors,
+    message: `Events: ${imported} imported` + (skipped > 0 ? `, ${skipped} skipped.` : '.')
+  };
+}
+
+/**
+ * Trim a stored ISO date to its precision ("1982", "1982-10" or "1982-10-12")
+ */
+function formatCsvDate(isoDate, precision) {
+  if (!isoDate) return '';
+  const length = precision === 'year' ? 4 : precision === 'month' ? 7 : 10;
+  return String(isoDate).substring(0, length);
+}
+
+/**
+ * Write events as CSV that reads back in with the guessed mapping
+ * @param {Array} events - events rows (with user_name when includeOwner is set)
+ * @param {Object} options
+ * @param {boolean} options.includeOwner - Add an "owner" column (family exports)
+ * @returns {string}
+ */
+function exportEventsCsv(events, { includeOwner = false } = {}) {
+  const header = includeOwner ? [...EXPORT_COLUMNS, 'owner'] : EXPORT_COLUMNS;
+  const rows = events.map(e => {
+    const row = [
+      e.title,
+      formatCsvDate(e.event_date, e.date_precision),
+      formatCsvDate(e.end_date, e.date_precision),
+      e.date_qualifier,
+      e.place_name,
+      e.latitude,
+      e.longitude,
+      e.category,
+      e.description
+    ];
+    if (includeOwner) row.push(e.user_name);
+    return row;
+  });
+  return toCsv([header, ...rows]);
+}
+
+module.exports = {
+  readCsvFile,
+  guessMapping,
+  validateMapping,
+  readCsvEvents,
+  buildCsvPreview,
+  importCsvEvents,
+  exportEventsCsv,
+  CSV_FIELDS
+};
@@ -0,0 +1,193 @@
+/**
+ * GEDCOM ZIP archives: a .ged file packaged with the media folder its OBJE records point at
+ * (the layout Gramps, RootsMagic and Family Tree Maker "GEDCOM with media" exports use).
+ * A Gramps XML or GEDCOM X file can stand in for the .ged file.
+ */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Family tree files an archive can carry, in order of preference
+const TREE_FILE_PATTERN = /\.(ged|gedcom|gramps|json)$/i;
+
+// Same image types and size limit as photos uploaded from the event screen
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Limit on everything unpacked from one archive, so a small upload can't unpack to gigabytes
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * An error in the uploaded file rather than the server (a corrupt archive, one that unpacks
+ * too large); routes answer these with 400
+ */
+function invalidUpload(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_UPLOAD';
+  return err;
+}
+
+function isInvalidUpload(err) {
+  return Boolean(err) && err.code === 'INVALID_UPLOAD';
+}
+
+/**
+ * Whether an uploaded file is a ZIP archive (by its "PK\x03\x04" signature)
+ */
+function isZipArchive(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Normalise a path from a FILE line or ZIP entry for comparison:
+ * forward slashes, no drive letter or leading "./", lower case
+ */
+function normalizePath(filePath) {
+  return filePath
+    .replace(/\\/g, '/')
+    .replace(/^file:\/+/i, '')
+    .replace(/^[a-z]:\//i, '')
+    .replace(/^(\.\/|\/)+/, '')
+    .toLowerCase();
+}
+
+/**
+ * Unpack an entry, counting it against the archive's MAX_UNPACKED_BYTES. The sizes in ZIP
+ * headers are only what the archive claims: adm-zip inflates an entry no further than its
+ * declared size, so an entry claiming more than is left is refused before inflating, but one
+ * declaring 0 bytes would be inflated without limit, so it is read as empty. The length of
+ * the data unpacked is what gets counted.
+ * @param {Object} archive - readGedcomArchive output; its `unpacked` total is updated
+ * @param {Object} entry - adm-zip entry
+ * @returns {Buffer}
+ */
+function unpackEntry(archive, entry) {
+  const remaining = MAX_UNPACKED_BYTES - archive.unpacked;
+  const tooLarge = () => invalidUpload(`The ZIP archive unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+  if (entry.header.size > remaining) throw tooLarge();
+
+  let data;
+  try {
+    data = entry.header.size === 0 ? Buffer.alloc(0) : entry.getData();
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw invalidUpload(`${entry.entryName} in the ZIP archive is larger than its header says`);
+    }
+    // Bad CRCs, unknown compression methods and encrypted entries
+    throw invalidUpload(`${entry.entryName} in the ZIP archive can't be read: ${err.message}`);
+  }
+  if (data.length > remaining) throw tooLarge();
+  archive.unpacked += data.length;
+  return data;
+}
+
+/**
+ * Read a ZIP upload, picking out the family tree file and the images beside it. Only the
+ * tree file is unpacked here; images are unpacked by resolveArchiveMedia as they are used.
+ * @param {Buffer} buffer - ZIP file content
+ * @returns {{ gedcom: Buffer, gedcomName: string, unpacked: number, images: Array<{ path: string, name: string, size: number, entry: Object }> }}
+ *          gedcom holds the tree file's content whatever its format; unpacked counts the bytes
+ *          unpacked so far; an image's size is the one its ZIP header declares
+ */
+function readGedcomArchive(buffer) {
+  let zipEntries;
+  try {
+    zipEntries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw invalidUpload(`The file is not a readable ZIP archive: ${err.message}`);
+  }
+  const entries = zipEntries.filter(e => !e.isDirectory && !/(^|\/)(__MACOSX|\.)/.test(e.entryName));
+
+  // Prefer a GEDCOM file, then the shallowest file if the archive holds several
+  const rank = (e) => (/\.ged(com)?$/i.test(e.entryName) ? 0 : 1);
+  const gedcomEntry = entries
+    .filter(e => TREE_FILE_PATTERN.test(e.entryName))
+    .sort((a, b) => rank(a) - rank(b) || a.entryName.split('/').length - b.entryName.split('/').length)[0];
+  if (!gedcomEntry) {
+    throw invalidUpload('The ZIP archive does not contain a .ged, .gramps or GEDCOM X .json file');
+  }
+
+  const images = entries
+    .filter(e => IMAGE_EXTENSIONS.includes(path.extname(e.entryName).toLowerCase()))
+    .map(e => ({
+      path: normalizePath(e.entryName),
+      name: path.basename(e.entryName),
+      size: e.header.size,
+      entry: e
+    }));
+
+  const archive = { gedcom: null, gedcomName: gedcomEntry.entryName, unpacked: 0, images };
+  archive.gedcom = unpackEntry(archive, gedcomEntry);
+  return archive;
+}
+
+/**
+ * Find the archive image for a multimedia reference. FILE paths are usually absolute
+ * paths from the exporting computer, so they are matched by their trailing path segments,
+ * then by file name; references without a usable FILE (e.g. Ancestry exports) are matched
+ * on their TITL.
+ * @param {Array} images - readGedcomArchive images
+ * @param {{ file: string, title: string }} media - parseGedcomFull media reference
+ * @returns {Object|null} The matching image
+ */
+function findArchiveImage(images, media) {
+  if (media.file) {
+    const wanted = normalizePath(media.file);
+    const segments = wanted.split('/');
+    for (let i = 0; i < segments.length; i++) {
+      const suffix = segments.slice(i).join('/');
+      const found = images.find(img => img.path === suffix || img.path.endsWith(`/${suffix}`));
+      if (found) return found;
+    }
+  }
+
+  if (media.title) {
+    const title = media.title.toLowerCase();
+    const found = images.find(img => {
+      const name = img.name.toLowerCase();
+      return name === title || name.slice(0, -path.extname(name).length) === title;
+    });
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a parse result's multimedia references against an archive, loading the
+ * image data so the import can run after the upload is gone
+ * @param {Object} parsed - parseGedcomFull output (media entries get `data` and `fileName`)
+ * @param {Object} archive - readGedcomArchive output
+ * @returns {{ found: number, missing: Array<string>, tooLarge: Array<string> }}
+ */
+function resolveArchiveMedia(parsed, archive) {
+  const used = new Set(parsed.events.flatMap(e => e.mediaIds));
+  const result = { found: 0, missing: [], tooLarge: [] };
+
+  for (const media of parsed.media) {
+    if (!used.has(media.id)) continue;
+    const label = media.file || media.title || media.id;
+    const image = findArchiveImage(archive.images, media);
+    if (!image) {
+      result.missing.push(label);
+      continue;
+    }
+
+    // The declared size spares unpacking images that say they are too large; the data
+    // unpacked is checked as well, since the header needn't be telling the truth
+    if (image.size <= MAX_IMAGE_BYTES && !image.data) image.data = unpackEntry(archive, image.entry);
+    if (image.size > MAX_IMAGE_BYTES || image.data.length > MAX_IMAGE_BYTES) {
+      result.tooLarge.push(label);
+    } else {
+      media.fileName = image.name;
+      media.data = image.data;
+      result.found++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_UNPACKED_BYTES, invalidUpload, isInvalidUpload, isZipArchive, readGedcomArchive, findArchiveImage, resolveArchiveMedia
+};
@@ -0,0 +1,432 @@
+/**
+ * GEDCOM 5.5.1 exporter for Ancestry Atlas
+ * Writes stored GEDCOM people, families and map events back out as a .ged file
+ */
+
+const { INDI_EVENTS, FAM_EVENTS, coupleTitle } = require('./gedcomParser');
+
+// GEDCOM 5.5.1 lines, with their level, tag and line break, are at most 255 characters
+const MAX_LINE_LENGTH = 255;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Imported event titles end in the event label ("<Name> - Residence"); map labels back to tags.
+// Any other label is written as a generic EVEN with that TYPE.
+const LABEL_TAGS = {};
+for (const [tag, def] of Object.entries(INDI_EVENTS)) {
+  if (tag !== 'EVEN') LABEL_TAGS[def.label] = tag;
+}
+
+const FAM_LABEL_TAGS = {};
+for (const [tag, def] of Object.entries(FAM_EVENTS)) FAM_LABEL_TAGS[def.label] = tag;
+
+// Stored date qualifiers -> GEDCOM modifiers (ranges are handled in formatDateValue)
+const QUALIFIER_PREFIXES = {
+  about: 'ABT',
+  estimated: 'EST',
+  calculated: 'CAL',
+  before: 'BEF',
+  after: 'AFT',
+  from: 'FROM',
+  to: 'TO'
+};
+
+/**
+ * Format an ISO date (YYYY-MM-DD) as a GEDCOM date ("12 OCT 1982"),
+ * dropping the day and month when precision is 'month' or 'year'
+ */
+function formatDate(isoDate, precision = 'day') {
+  if (!isoDate) return null;
+  const match = String(isoDate).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const parts = [];
+  if (day && month && precision === 'day') parts.push(String(parseInt(day, 10)));
+  if (month && precision !== 'year') parts.push(MONTHS[parseInt(month, 10) - 1]);
+  parts.push(year);
+  return parts.join(' ');
+}
+
+/**
+ * Format a stored event date with its precision, qualifier and range end
+ * as a GEDCOM date value ("ABT 1884", "BET 1850 AND 1860", "FROM 1850 TO 1860")
+ */
+function formatDateValue({ date, endDate, precision, qualifier }) {
+  const start = formatDate(date, precision || 'day');
+  if (!start) return null;
+  const end = formatDate(endDate, precision || 'day');
+
+  if (end && qualifier === 'between') return `BET ${start} AND ${end}`;
+  if (end) return `FROM ${start} TO ${end}`;
+  return QUALIFIER_PREFIXES[qualifier] ? `${QUALIFIER_PREFIXES[qualifier]} ${start}` : start;
+}
+
+/**
+ * Format a coordinate as a GEDCOM MAP value ("N51.507400", "W0.127800")
+ */
+function formatCoordinate(value, positive, negative) {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  const hemi = value < 0 ? negative : positive;
+  return `${hemi}${Math.abs(value).toFixed(6)}`;
+}
+
+/**
+ * Append a NAME record with its parts. Without stored parts the display
+ * name is split at the last word.
+ * @param {Object} parts - { name, given, surname, prefix, suffix, nickname, type }
+ */
+function writeName(lines, { name, given, surname, surnamePrefix, prefix, suffix, nickname, type }) {
+  if (given === undefined && surname === undefined) {
+    const words = clean(name).split(/\s+/).filter(Boolean);
+    surname = words.length > 1 ? words.pop() : '';
+    given = words.join(' ');
+  }
+  given = given ? clean(given) : '';
+  surname = surname ? clean(surname) : '';
+
+  const value = [given, surname ? `/${surname}/` : '', suffix ? clean(suffix) : ''].filter(Boolean).join(' ');
+  lines.push(`1 NAME ${value}`);
+  if (type) lines.push(`2 TYPE ${clean(type)}`);
+  if (prefix) lines.push(`2 NPFX ${clean(prefix)}`);
+  if (given) lines.push(`2 GIVN ${given}`);
+  if (surnamePrefix && surname.startsWith(`${surnamePrefix} `)) {
+    lines.push(`2 SPFX ${surnamePrefix}`);
+    lines.push(`2 SURN ${surname.slice(surnamePrefix.length + 1)}`);
+  } else if (surname) {
+    lines.push(`2 SURN ${surname}`);
+  }
+  if (suffix) lines.push(`2 NSFX ${clean(suffix)}`);
+  if (nickname) lines.push(`2 NICK ${clean(nickname)}`);
+}
+
+/**
+ * Append the primary and alternate NAME records for a gedcom_people row
+ */
+function writePersonNames(lines, person) {
+  const hasParts = person.given_name || person.surname;
+  // A lowercase particle that survived into the display name ("Johann von Berg")
+  // came from SPFX; write it back that way so it isn't capitalised on re-import
+  const particle = person.surname && person.name.includes(person.surname)
+    ? (person.surname.match(/^([a-z][\w']*) \S/) || [])[1]
+    : null;
+  writeName(lines, {
+    name: person.name,
+    given: hasParts ? person.given_name : undefined,
+    surname: hasParts ? person.surname : undefined,
+    surnamePrefix: particle,
+    prefix: person.name_prefix,
+    suffix: person.name_suffix,
+    nickname: person.nickname
+  });
+  for (const alt of person.alternate_names || []) {
+    writeName(lines, {
+      name: alt.name,
+      given: alt.given || alt.surname ? alt.given : undefined,
+      surname: alt.given || alt.surname ? alt.surname : undefined,
+      type: alt.type
+    });
+  }
+}
+
+/**
+ * Keep a value on a single GEDCOM line
+ */
+function clean(value) {
+  return String(value).replace(/\r?\n/g, ' ').trim();
+}
+
+/**
+ * Append DATE / PLAC / MAP lines for an event at the given level
+ */
+function writeEventDetail(lines, level, { date, endDate, precision, qualifier, place, lat, lon }) {
+  const gedDate = formatDateValue({ date, endDate, precision, qualifier });
+  if (gedDate) lines.push(`${level} DATE ${gedDate}`);
+
+  const lati = formatCoordinate(lat, 'N', 'S');
+  const long = formatCoordinate(lon, 'E', 'W');
+  const placeName = place ? clean(place) : (lati && long ? `${lat.toFixed(4)}, ${lon.toFixed(4)}` : null);
+  if (!placeName) return;
+
+  lines.push(`${level} PLAC ${placeName}`);
+  if (lati && long) {
+    lines.push(`${level + 1} MAP`);
+    lines.push(`${level + 2} LATI ${lati}`);
+    lines.push(`${level + 2} LONG ${long}`);
+  }
+}
+
+/**
+ * Split a line's value into pieces that fit after a prefix ("2 NOTE "), for CONC lines.
+ * Pieces break between two non-space characters, as readers may trim spaces at either end
+ * of a line, and never inside a surrogate pair.
+ */
+function splitLongValue(value, prefixLength) {
+  const room = MAX_LINE_LENGTH - prefixLength - 2;
+  const pieces = [];
+  let rest = value;
+  while (rest.length > room) {
+    let cut = room;
+    while (cut > 1 && (rest[cut - 1] === ' ' || rest[cut] === ' ' || /[\uD800-\uDBFF]/.test(rest[cut - 1]))) cut--;
+    // A run of spaces as long as the line: break inside it after all
+    if (cut <= 1) cut = /[\uD800-\uDBFF]/.test(rest[room - 1]) ? room - 1 : room;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Append a free-text value (NOTE, TEXT, ...) keeping its line breaks as CONT lines and
+ * carrying lines too long for GEDCOM on CONC lines
+ */
+function writeText(lines, level, tag, text) {
+  const concPrefix = `${level + 1} CONC `;
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    const prefix = i === 0 ? `${level} ${tag} ` : `${level + 1} CONT `;
+    const [first, ...rest] = splitLongValue(line, Math.max(prefix.length, concPrefix.length));
+    lines.push(`${prefix}${first}`.trimEnd());
+    for (const piece of rest) lines.push(`${concPrefix}${piece}`);
+  });
+}
+
+/**
+ * Append an event's NOTE and source citation lines at the given level
+ * @param {Object} evt - events row, with citations from citationQueries.findByEventId
+ */
+function writeEventEvidence(lines, level, evt) {
+  if (evt.notes) writeText(lines, level, 'NOTE', evt.notes);
+
+  for (const citation of evt.citations || []) {
+    if (citation.source_gedcom_id) {
+      lines.push(`${level} SOUR ${citation.source_gedcom_id}`);
+      if (citation.page) lines.push(`${level + 1} PAGE ${clean(citation.page)}`);
+      if (citation.text) {
+        lines.push(`${level + 1} DATA`);
+        writeText(lines, level + 2, 'TEXT', citation.text);
+      }
+    } else if (citation.text || citation.page) {
+      // A source described only in the citation
+      writeText(lines, level, 'SOUR', citation.text || citation.page);
+      if (citation.text && citation.page) lines.push(`${level + 1} PAGE ${clean(citation.page)}`);
+    } else {
+      continue;
+    }
+    if (citation.quality !== null && citation.quality !== undefined) lines.push(`${level + 1} QUAY ${citation.quality}`);
+    if (citation.note) writeText(lines, level + 1, 'NOTE', citation.note);
+  }
+}
+
+/**
+ * Append SOUR records, with a REPO record for each repository they name
+ * @param {Array} sources - gedcom_sources rows
+ */
+function writeSources(lines, sources) {
+  const repoIds = new Map();
+  for (const src of sources) {
+    if (src.repository && !repoIds.has(src.repository)) repoIds.set(src.repository, `@R${repoIds.size + 1}@`);
+  }
+
+  for (const src of sources) {
+    lines.push(`0 ${src.gedcom_id} SOUR`);
+    lines.push(`1 TITL ${clean(src.title)}`);
+    if (src.author) lines.push(`1 AUTH ${clean(src.author)}`);
+    if (src.publication) lines.push(`1 PUBL ${clean(src.publication)}`);
+    if (src.repository) lines.push(`1 REPO ${repoIds.get(src.repository)}`);
+    if (src.text) writeText(lines, 1, 'TEXT', src.text);
+    if (src.note) writeText(lines, 1, 'NOTE', src.note);
+  }
+  for (const [name, id] of repoIds) {
+    lines.push(`0 ${id} REPO`);
+    lines.push(`1 NAME ${clean(name)}`);
+  }
+}
+
+/**
+ * Date and place fields of an events row, in the shape writeEventDetail takes
+ */
+function eventDetail(evt) {
+  return {
+    date: evt.event_date,
+    endDate: evt.end_date,
+    precision: evt.date_precision,
+    qualifier: evt.date_qualifier,
+    place: evt.place_name,
+    lat: evt.latitude,
+    lon: evt.longitude
+  };
+}
+
+/**
+ * A birth or death known only from a gedcom_people row, in the shape writeEventDetail takes
+ * @param {string} kind - 'birth' or 'death'
+ */
+function personEventDetail(person, kind) {
+  return {
+    date: person[`${kind}_date`],
+    endDate: person[`${kind}_end_date`],
+    precision: person[`${kind}_date_precision`],
+    qualifier: person[`${kind}_date_qualifier`],
+    place: person[`${kind}_place`]
+  };
+}
+
+/**
+ * Sort stored events into the people and families they are written under. Imported
+ * titles ("<Name> - Residence", "<Husband> & <Wife> - Marriage") tie an event to its
+ * person or family, so edits made on the map are exported. Shared by every export format.
+ * @param {Object} data - { people, families, events } as passed to exportGedcom
+ * @returns {{ personEvents: Map<string, Array<{ evt: Object, label: string, tag: string|null }>>,
+ *             familyEvents: Map<string, Array<{ evt: Object, tag: string }>>, otherEvents: Array }}
+ *          tag is null for labels without a GEDCOM tag (written as EVEN with a TYPE)
+ */
+function groupExportEvents({ people, families, events }) {
+  const gedcomEvents = events.filter(evt => evt.source === 'gedcom');
+  const usedEventIds = new Set();
+
+  // Claim family events before the per-person pass so a one-spouse family's
+  // events aren't taken as individual events
+  const namesById = new Map(people.map(p => [p.gedcom_id, p.name]));
+  const familyEvents = new Map();
+  for (const fam of families) {
+    const spouseNames = [fam.husbandId, fam.wifeId].filter(id => namesById.has(id)).map(id => namesById.get(id));
+    if (spouseNames.length === 0) continue;
+    const prefix = `${coupleTitle(spouseNames)} - `;
+    const famEvents = gedcomEvents.filter(evt =>
+      !usedEventIds.has(evt.id) && evt.title.startsWith(prefix) && FAM_LABEL_TAGS[evt.title.slice(prefix.length)]
+    );
+    for (const evt of famEvents) usedEventIds.add(evt.id);
+    familyEvents.set(fam.gedcomFamId, famEvents.map(evt => ({ evt, tag: FAM_LABEL_TAGS[evt.title.slice(prefix.length)] })));
+  }
+
+  // People can share a name, so births and deaths must also agree with the person record
+  const personEvents = new Map();
+  for (const person of people) {
+    const prefix = `${person.name} - `;
+    const belongsToPerson = (evt) => {
+      if (usedEventIds.has(evt.id) || !evt.title.startsWith(prefix)) return false;
+      const label = evt.title.slice(prefix.length);
+      if (label === 'Birth' && person.birth_date) return evt.event_date === person.birth_date;
+      if (label === 'Death' && person.death_date) return evt.event_date === person.death_date;
+      return true;
+    };
+    const owned = gedcomEvents.filter(belongsToPerson);
+    for (const evt of owned) usedEventIds.add(evt.id);
+    personEvents.set(person.gedcom_id, owned.map(evt => {
+      const label = evt.title.slice(prefix.length);
+      return { evt, label, tag: LABEL_TAGS[label] || null };
+    }));
+  }
+
+  // Everything else: manual events and imports renamed on the map
+  const otherEvents = events.filter(evt => !usedEventIds.has(evt.id));
+  return { personEvents, familyEvents, otherEvents };
+}
+
+/**
+ * Build a GEDCOM 5.5.1 document
+ * @param {Object} data
+ * @param {Object} data.user - Account holder ({ id, name })
+ * @param {Array} data.people - gedcom_people rows
+ * @param {Array} data.families - { gedcomFamId, husbandId, wifeId, childIds }
+ * @param {Array} data.events - events rows (any source), each with its citations
+ * @param {Array} data.sources - gedcom_sources rows
+ * @returns {string} GEDCOM file content
+ */
+function exportGedcom({ user, people, families, events, sources = [] }) {
+  const lines = [
+    '0 HEAD',
+    '1 SOUR ANCESTRY_ATLAS',
+    '2 NAME Ancestry Atlas',
+    '2 VERS 1.0',
+    `1 DATE ${formatDate(new Date().toISOString())}`,
+    '1 SUBM @SUBM1@',
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '2 FORM LINEAGE-LINKED',
+    '1 CHAR UTF-8',
+    '0 @SUBM1@ SUBM',
+    `1 NAME ${clean(user.name || 'Ancestry Atlas user')}`
+  ];
+
+  const { personEvents, familyEvents, otherEvents } = groupExportEvents({ people, families, events });
+
+  // FAMS / FAMC back-links
+  const spouseOf = new Map();
+  const childOf = new Map();
+  const addLink = (map, personId, famId) => {
+    if (!personId) return;
+    if (!map.has(personId)) map.set(personId, []);
+    map.get(personId).push(famId);
+  };
+  for (const fam of families) {
+    addLink(spouseOf, fam.husbandId, fam.gedcomFamId);
+    addLink(spouseOf, fam.wifeId, fam.gedcomFamId);
+    for (const childId of fam.childIds) addLink(childOf, childId, fam.gedcomFamId);
+  }
+
+  for (const person of people) {
+    lines.push(`0 ${person.gedcom_id} INDI`);
+    writePersonNames(lines, person);
+    if (person.sex) lines.push(`1 SEX ${person.sex}`);
+
+    const owned = personEvents.get(person.gedcom_id);
+    const labels = new Set(owned.map(({ label }) => label));
+
+    // Birth/death known only from the person record (e.g. no place to map)
+    if (!labels.has('Birth') && (person.birth_date || person.birth_place)) {
+      lines.push('1 BIRT');
+      writeEventDetail(lines, 2, personEventDetail(person, 'birth'));
+    }
+    if (!labels.has('Death') && (person.death_date || person.death_place)) {
+      lines.push('1 DEAT');
+      writeEventDetail(lines, 2, personEventDetail(person, 'death'));
+    }
+
+    for (const { evt, label, tag } of owned) {
+      lines.push(`1 ${tag || 'EVEN'}`);
+      if (!tag) lines.push(`2 TYPE ${clean(label)}`);
+      writeEventDetail(lines, 2, eventDetail(evt));
+      writeEventEvidence(lines, 2, evt);
+    }
+
+    if (person.notes) writeText(lines, 1, 'NOTE', person.notes);
+    for (const famId of childOf.get(person.gedcom_id) || []) lines.push(`1 FAMC ${famId}`);
+    for (const famId of spouseOf.get(person.gedcom_id) || []) lines.push(`1 FAMS ${famId}`);
+  }
+
+  // Everything not tied to a GEDCOM person (manual events, renamed imports)
+  // is written as generic events on an individual for the account holder
+  if (otherEvents.length > 0) {
+    lines.push(`0 @U${user.id}@ INDI`);
+    writeName(lines, { name: user.name || 'Ancestry Atlas user' });
+    for (const evt of otherEvents) {
+      lines.push('1 EVEN');
+      lines.push(`2 TYPE ${clean(evt.title)}`);
+      writeEventDetail(lines, 2, eventDetail(evt));
+      if (evt.description) writeText(lines, 2, 'NOTE', evt.description);
+      writeEventEvidence(lines, 2, evt);
+    }
+  }
+
+  for (const fam of families) {
+    lines.push(`0 ${fam.gedcomFamId} FAM`);
+    if (fam.husbandId) lines.push(`1 HUSB ${fam.husbandId}`);
+    if (fam.wifeId) lines.push(`1 WIFE ${fam.wifeId}`);
+    for (const childId of fam.childIds) lines.push(`1 CHIL ${childId}`);
+    for (const { evt, tag } of familyEvents.get(fam.gedcomFamId) || []) {
+      lines.push(`1 ${tag}`);
+      writeEventDetail(lines, 2, eventDetail(evt));
+      writeEventEvidence(lines, 2, evt);
+    }
+  }
+
+  writeSources(lines, sources);
+  lines.push('0 TRLR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  exportGedcom, groupExportEvents, eventDetail, personEventDetail, formatDate, formatDateValue, formatCoordinate
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportGedcom } = require('./gedcomExporter');
+const { parseGedcomFull } = require('./gedcomParser');
+
+const user = { id: 1, name: 'Test User' };
+
+function exportAndParse({ people = [], events = [] }) {
+  const content = exportGedcom({ user, people, families: [], events });
+  return { content, parsed: parseGedcomFull(Buffer.from(content)) };
+}
+
+test('long notes are split onto CONC lines and read back whole', () => {
+  const longLine = 'Emigrated from Cobh on the SS Germanic with her two brothers, '.repeat(12).trim();
+  const notes = `${longLine}\nSettled in Boston.\n${'x'.repeat(600)}`;
+  const description = `Lived with ${'the Kellys and '.repeat(40)}their lodgers`;
+  const { content, parsed } = exportAndParse({
+    people: [{ gedcom_id: '@I1@', name: 'Mary Kelly', sex: 'F', notes }],
+    events: [{
+      id: 1, title: 'Lodgings', description, source: 'manual', event_date: '1905-01-01',
+      latitude: 42.36, longitude: -71.06, citations: []
+    }]
+  });
+
+  for (const line of content.split('\r\n')) {
+    assert.ok(line.length <= 253, `line of ${line.length} characters: ${line.slice(0, 40)}...`);
+  }
+  assert.ok(content.includes(' CONC '));
+
+  assert.equal(parsed.people[0].notes, notes);
+  assert.equal(parsed.events.find(e => e.title.endsWith('Lodgings')).notes, description);
+});
+
+test('CONC lines break between non-space characters', () => {
+  const words = Array.from({ length: 120 }, (_, i) => `word${i}`).join(' ');
+  const { content, parsed } = exportAndParse({
+    people: [{ gedcom_id: '@I1@', name: 'Mary Kelly', notes: words }]
+  });
+
+  const pieces = content.split('\r\n').filter(line => / (NOTE|CONC) /.test(line));
+  assert.ok(pieces.length > 1);
+  for (const line of pieces) assert.ok(!line.endsWith(' '));
+  assert.equal(parsed.people[0].notes, words);
+});
+
+test('births and deaths known only from the person keep their precision and qualifier', () => {
+  const { content, parsed } = exportAndParse({
+    people: [{
+      gedcom_id: '@I1@', name: 'Mary Kelly',
+      birth_date: '1884-01-01', birth_date_precision: 'year', birth_date_qualifier: 'about',
+      death_date: '1950-03-01', death_end_date: '1951-01-01', death_date_precision: 'month', death_date_qualifier: 'between'
+    }]
+  });
+
+  assert.ok(content.includes('1 BIRT\r\n2 DATE ABT 1884\r\n'));
+  assert.ok(content.includes('1 DEAT\r\n2 DATE BET MAR 1950 AND JAN 1951\r\n'));
+  const [person] = parsed.people;
+  assert.equal(person.birthDatePrecision, 'year');
+  assert.equal(person.birthDateQualifier, 'about');
+  assert.equal(person.deathEndDate, '1951-01-01');
+  assert.equal(person.deathDateQualifier, 'between');
+});
@@ -0,0 +1,592 @@
+/**
+ * GEDCOM import for Ancestry Atlas
+ * Stores parsed people, families, sources and events (with their citations and photos) for a user in one of three modes:
+ *   replace  - clear previous GEDCOM data and store the file as-is
+ *   merge    - match existing people/events, update what changed, remove what is gone
+ *   add      - only add people, families and events that aren't stored yet
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  eventQueries, gedcomPeopleQueries, eventPeopleQueries, gedcomFamilyQueries, gedcomSourceQueries,
+  citationQueries, photoQueries, placeQueries
+} = require('../models/database');
+const { uploadsDir } = require('../config/config');
+const { geocodeAll } = require('./geocoder');
+const { loadPlaceNames, placeQuery } = require('./placeNames');
+const { linkTreePlaces } = require('./places');
+
+const IMPORT_MODES = ['replace', 'merge', 'add'];
+
+// Exports round coordinates to 6 decimal places (formatCoordinate), so a file exported
+// from here reads back up to half a millionth of a degree from what was stored
+const COORDINATE_TOLERANCE = 1e-6;
+
+/**
+ * Key used to match a person when their GEDCOM xref has changed between exports
+ */
+function nameBirthKey(name, birthDate) {
+  return `${(name || '').toLowerCase()}|${birthDate || ''}`;
+}
+
+/**
+ * Name fields of a parsed person, in gedcomPeopleQueries.create/update argument order
+ */
+function nameParts(person) {
+  return [
+    person.givenName, person.surname, person.namePrefix,
+    person.nameSuffix, person.nickname, person.alternateNames
+  ];
+}
+
+/**
+ * Birth and death date details of a parsed person, as gedcomPeopleQueries.create/update take them
+ */
+function dateDetails(person) {
+  return [
+    person.birthEndDate, person.birthDatePrecision, person.birthDateQualifier,
+    person.deathEndDate, person.deathDatePrecision, person.deathDateQualifier
+  ];
+}
+
+/**
+ * Whether a stored person's birth or death date details differ from the parsed person's
+ */
+function dateDetailsChanged(stored, person) {
+  const storedDetails = [
+    stored.birth_end_date, stored.birth_date_precision, stored.birth_date_qualifier,
+    stored.death_end_date, stored.death_date_precision, stored.death_date_qualifier
+  ];
+  return dateDetails(person).some((value, i) => (value || null) !== (storedDetails[i] || null));
+}
+
+/**
+ * Whether a stored person's name parts differ from the parsed person's
+ */
+function namesChanged(stored, person) {
+  return (stored.given_name || null) !== (person.givenName || null) ||
+    (stored.surname || null) !== (person.surname || null) ||
+    (stored.name_prefix || null) !== (person.namePrefix || null) ||
+    (stored.name_suffix || null) !== (person.nameSuffix || null) ||
+    (stored.nickname || null) !== (person.nickname || null) ||
+    JSON.stringify(stored.alternate_names || []) !== JSON.stringify(person.alternateNames || []);
+}
+
+/**
+ * Store people, returning counts and a map of file xref -> stored xref
+ */
+function storePeople(userId, treeId, parsedPeople, mode) {
+  const counts = { added: 0, updated: 0, removed: 0 };
+  const xrefMap = new Map();
+
+  if (mode === 'replace') {
+    counts.removed = gedcomPeopleQueries.findByTreeId(treeId).length;
+    gedcomPeopleQueries.deleteByTreeId(treeId);
+  }
+
+  const existing = mode === 'replace' ? [] : gedcomPeopleQueries.findByTreeId(treeId);
+  const byXref = new Map(existing.map(p => [p.gedcom_id, p]));
+  const byNameBirth = new Map(existing.map(p => [nameBirthKey(p.name, p.birth_date), p]));
+  const matched = new Set();
+
+  for (const person of parsedPeople) {
+    let match = byXref.get(person.gedcomId);
+    if (!match || matched.has(match.id)) {
+      match = byNameBirth.get(nameBirthKey(person.name, person.birthDate));
+    }
+
+    if (match && !matched.has(match.id)) {
+      matched.add(match.id);
+
+      if (mode === 'add') {
+        xrefMap.set(person.gedcomId, match.gedcom_id);
+        continue;
+      }
+
+      xrefMap.set(person.gedcomId, person.gedcomId);
+      const changed =
+        match.gedcom_id !== person.gedcomId ||
+        match.name !== person.name ||
+        (match.birth_date || null) !== (person.birthDate || null) ||
+        (match.birth_place || null) !== (person.birthPlace || null) ||
+        (match.death_date || null) !== (person.deathDate || null) ||
+        (match.death_place || null) !== (person.deathPlace || null) ||
+        (match.sex || null) !== (person.sex || null) ||
+        (match.notes || null) !== (person.notes || null) ||
+        dateDetailsChanged(match, person) ||
+        namesChanged(match, person);
+
+      if (changed) {
+        gedcomPeopleQueries.update(
+          match.id, person.gedcomId, person.name,
+          person.birthDate, person.birthPlace,
+          person.deathDate, person.deathPlace, person.sex,
+          ...nameParts(person), person.notes, dateDetails(person)
+        );
+        counts.updated++;
+      }
+      continue;
+    }
+
+    gedcomPeopleQueries.create(
+      userId, treeId, person.gedcomId, person.name,
+      person.birthDate, person.birthPlace,
+      person.deathDate, person.deathPlace, person.sex,
+      ...nameParts(person), person.notes, dateDetails(person)
+    );
+    xrefMap.set(person.gedcomId, person.gedcomId);
+    counts.added++;
+  }
+
+  // People that are no longer in the file
+  if (mode === 'merge') {
+    for (const person of existing) {
+      if (matched.has(person.id)) continue;
+      gedcomPeopleQueries.delete(person.id);
+      counts.removed++;
+    }
+  }
+
+  return { counts, xrefMap };
+}
+
+/**
+ * Store FAM records. Family links are derived data, so replace and merge
+ * rebuild them from the file; add-only keeps existing families untouched.
+ */
+function storeFamilies(userId, treeId, parsedFamilies, mode, xrefMap) {
+  const mapXref = (id) => (id ? xrefMap.get(id) || id : null);
+  let existingIds = new Set();
+
+  if (mode === 'add') {
+    existingIds = new Set(gedcomFamilyQueries.findByTreeId(treeId).map(f => f.gedcom_fam_id));
+  } else {
+    gedcomFamilyQueries.deleteByTreeId(treeId);
+  }
+
+  for (const fam of parsedFamilies) {
+    if (existingIds.has(fam.gedcomFamId)) continue;
+
+    const famResult = gedcomFamilyQueries.create(
+      userId, treeId, fam.gedcomFamId, mapXref(fam.husbandId), mapXref(fam.wifeId)
+    );
+    for (const childId of fam.childIds) {
+      gedcomFamilyQueries.createChild(famResult.lastInsertRowid, mapXref(childId));
+    }
+  }
+}
+
+/**
+ * Store SOUR records, keyed by their GEDCOM xref so citations on unchanged events
+ * keep pointing at the same row. Returns a map of file xref -> stored source id.
+ */
+function storeSources(userId, treeId, parsedSources, mode) {
+  const sourceIds = new Map();
+
+  if (mode === 'replace') gedcomSourceQueries.deleteByTreeId(treeId);
+
+  const existing = mode === 'replace' ? [] : gedcomSourceQueries.findByTreeId(treeId);
+  const byXref = new Map(existing.map(src => [src.gedcom_id, src]));
+  const fields = (src) => [src.title, src.author, src.publication, src.repository, src.text, src.note];
+
+  for (const src of parsedSources) {
+    const match = byXref.get(src.gedcomId);
+    if (match) {
+      byXref.delete(src.gedcomId);
+      sourceIds.set(src.gedcomId, match.id);
+      const stored = [match.title, match.author, match.publication, match.repository, match.text, match.note];
+      const changed = fields(src).some((value, i) => (value || null) !== (stored[i] || null));
+      if (mode === 'merge' && changed) gedcomSourceQueries.update(match.id, ...fields(src));
+      continue;
+    }
+
+    const result = gedcomSourceQueries.create(userId, treeId, src.gedcomId, ...fields(src));
+    sourceIds.set(src.gedcomId, result.lastInsertRowid);
+  }
+
+  // Sources that are no longer in the file
+  if (mode === 'merge') {
+    for (const src of byXref.values()) gedcomSourceQueries.delete(src.id);
+  }
+
+  return sourceIds;
+}
+
+/**
+ * A parsed event's citations as stored rows, for comparing with what is in the database
+ */
+function citationRows(evt, sourceIds) {
+  return (evt.citations || []).map(c => ({
+    source_id: sourceIds.get(c.sourceId) || null,
+    page: c.page || null,
+    quality: c.quality ?? null,
+    text: c.text || null,
+    note: c.note || null
+  }));
+}
+
+function citationsChanged(eventId, rows) {
+  const stored = citationQueries.findByEventId(eventId).map(c => ({
+    source_id: c.source_id || null,
+    page: c.page || null,
+    quality: c.quality ?? null,
+    text: c.text || null,
+    note: c.note || null
+  }));
+  return JSON.stringify(stored) !== JSON.stringify(rows);
+}
+
+function storeCitations(eventId, rows) {
+  for (const row of rows) {
+    citationQueries.create(eventId, row.source_id, row.page, row.quality, row.text, row.note);
+  }
+}
+
+/**
+ * Delete the photo rows and files of events that are about to be removed
+ */
+function removeEventPhotos(eventIds) {
+  for (const eventId of eventIds) {
+    for (const photo of photoQueries.findByEventId(eventId)) {
+      const filepath = path.join(uploadsDir, photo.filename);
+      if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+      photoQueries.delete(photo.id);
+    }
+  }
+}
+
+/**
+ * Store events and their citations, geocoding only the places that are new, have changed
+ * or are still unplaced. Events whose place isn't found are stored without coordinates
+ * ("unplaced") for the user to place by hand.
+ * Returns counts, the people that ended up with events, and a map of event key -> stored event id.
+ */
+async function storeEvents(userId, treeId, parsedEvents, mode, sourceIds, onProgress, phase) {
+  const counts = { added: 0, updated: 0, removed: 0 };
+  const peopleWithEvents = new Set();
+  const eventIds = new Map();
+
+  if (mode === 'replace') {
+    removeEventPhotos(eventQueries.findByTreeId(treeId).map(e => e.id));
+    counts.removed = eventQueries.deleteByTreeId(treeId).changes;
+  }
+
+  // Imported events are identified by their "<Name> - <Type>" title; a person can
+  // have several events with one title (residences), which are paired up in date order
+  const existing = mode === 'replace' ? [] : eventQueries.findByTreeId(treeId);
+  const byTitle = new Map();
+  for (const evt of existing) {
+    if (!byTitle.has(evt.title)) byTitle.set(evt.title, []);
+    byTitle.get(evt.title).push(evt);
+  }
+  const matched = new Set();
+
+  // Pair each parsed event with the stored event it replaces (if any)
+  const plan = parsedEvents.map(evt => {
+    const candidates = byTitle.get(evt.title) || [];
+    const match = candidates.find(c => c.event_date === evt.date && !matched.has(c.id)) ||
+      candidates.find(c => !matched.has(c.id));
+    if (match) {
+      matched.add(match.id);
+      return { evt, match };
+    }
+    return { evt, match: null };
+  });
+
+  const hasCoords = (evt) => evt.lat !== null && evt.lon !== null;
+  const sameCoordinate = (a, b) => a !== null && Math.abs(a - b) <= COORDINATE_TOLERANCE;
+  const placeChanged = ({ evt, match }) => match.place_name && match.place_name !== evt.place;
+  const unplaced = (match) => match.latitude === null;
+
+  // Geocode places for new events, and for merged events whose place changed or is still unplaced,
+  // under their modern names from the place name dictionary
+  const placeNames = loadPlaceNames(userId);
+  const queries = new Map(parsedEvents.map(evt => [evt.key, placeQuery(evt.place, evt.date, placeNames)]));
+  const places = plan
+    .filter(p => !hasCoords(p.evt) && (!p.match || (mode === 'merge' && (placeChanged(p) || unplaced(p.match)))))
+    .map(p => queries.get(p.evt.key));
+  phase('geocoding');
+  const geocoded = await geocodeAll(places, onProgress);
+  phase('events');
+
+  for (const { evt, match } of plan) {
+    const coords = hasCoords(evt) ? { lat: evt.lat, lon: evt.lon } : geocoded.get(queries.get(evt.key));
+
+    const citations = citationRows(evt, sourceIds);
+
+    if (match) {
+      if (mode === 'merge') {
+        const moved = placeChanged({ evt, match }) || (hasCoords(evt) &&
+          !(sameCoordinate(match.latitude, evt.lat) && sameCoordinate(match.longitude, evt.lon)));
+        const located = unplaced(match) && Boolean(coords);
+        // The description isn't compared: it is generated from the date as written in the
+        // file, which differs between programs (and from our own exports) for the same date
+        const changed = moved || located ||
+          match.event_date !== evt.date ||
+          (match.end_date || null) !== (evt.endDate || null) ||
+          (match.date_precision || null) !== (evt.datePrecision || null) ||
+          (match.date_qualifier || null) !== (evt.dateQualifier || null) ||
+          (match.notes || null) !== (evt.notes || null) ||
+          !match.place_name;
+        const citationsDiffer = citationsChanged(match.id, citations);
+
+        if (changed) {
+          // Keep the stored (possibly hand-placed) coordinates unless the place moved;
+          // a moved place that can't be found is unplaced again
+          const relocated = moved || located;
+          const lat = relocated ? (coords ? coords.lat : null) : match.latitude;
+          const lon = relocated ? (coords ? coords.lon : null) : match.longitude;
+          const precision = relocated ? (coords ? coords.precision : null) : match.location_precision;
+          eventQueries.updateImported(
+            evt.description || null, evt.date, evt.endDate, evt.datePrecision, evt.dateQualifier,
+            lat, lon, precision, evt.place, evt.notes, match.id
+          );
+        }
+        if (citationsDiffer) {
+          citationQueries.deleteByEventId(match.id);
+          storeCitations(match.id, citations);
+        }
+        if (changed || citationsDiffer) counts.updated++;
+      }
+      eventIds.set(evt.key, match.id);
+      evt.personIds.forEach(id => peopleWithEvents.add(id));
+      continue;
+    }
+
+    const result = eventQueries.createWithSource(
+      userId,
+      evt.title,
+      evt.description || null,
+      evt.date,
+      evt.endDate || null,
+      coords ? coords.lat : null,
+      coords ? coords.lon : null,
+      evt.category || 'other',
+      'gedcom',
+      evt.place,
+      evt.datePrecision,
+      evt.dateQualifier,
+      evt.notes,
+      treeId,
+      null,
+      coords ? coords.precision : null
+    );
+    storeCitations(result.lastInsertRowid, citations);
+    eventIds.set(evt.key, result.lastInsertRowid);
+    counts.added++;
+    evt.personIds.forEach(id => peopleWithEvents.add(id));
+  }
+
+  // Events that are no longer in the file (including duplicates left by older imports)
+  if (mode === 'merge') {
+    for (const evt of existing) {
+      if (matched.has(evt.id)) continue;
+      removeEventPhotos([evt.id]);
+      eventQueries.delete(evt.id);
+      counts.removed++;
+    }
+  }
+
+  return { counts, peopleWithEvents, eventIds };
+}
+
+/**
+ * Link each stored event to the people it describes, replacing links that no longer match.
+ * Runs for matched events too, so a merge re-import links events stored before links existed.
+ */
+function linkEventPeople(treeId, parsedEvents, eventIds, xrefMap) {
+  const personIds = new Map(gedcomPeopleQueries.findByTreeId(treeId).map(p => [p.gedcom_id, p.id]));
+
+  for (const evt of parsedEvents) {
+    const eventId = eventIds.get(evt.key);
+    if (!eventId) continue;
+
+    const wanted = evt.personIds
+      .map(xref => personIds.get(xrefMap.get(xref) || xref))
+      .filter(Boolean);
+    const stored = eventPeopleQueries.findByEventId(eventId).map(p => p.id);
+    if (stored.join(',') === wanted.join(',')) continue;
+
+    eventPeopleQueries.deleteByEventId(eventId);
+    for (const personId of wanted) eventPeopleQueries.create(eventId, personId);
+  }
+}
+
+/**
+ * Save images from a ZIP upload as event photos. Images already on an event
+ * (same original file name) are not added again, so re-imports don't duplicate them.
+ * @returns {number} Photos added
+ */
+function storeMedia(parsedEvents, parsedMedia, eventIds) {
+  const mediaById = new Map((parsedMedia || []).filter(m => m.data).map(m => [m.id, m]));
+  if (mediaById.size === 0) return 0;
+  let added = 0;
+
+  for (const evt of parsedEvents) {
+    const eventId = eventIds.get(evt.key);
+    const media = evt.mediaIds.map(id => mediaById.get(id)).filter(Boolean);
+    if (!eventId || media.length === 0) continue;
+
+    const existingNames = new Set(photoQueries.findByEventId(eventId).map(p => p.original_name));
+    for (const item of media) {
+      if (existingNames.has(item.fileName)) continue;
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(item.fileName).toLowerCase()}`;
+      fs.writeFileSync(path.join(uploadsDir, filename), item.data);
+      photoQueries.create(eventId, filename, item.fileName);
+      existingNames.add(item.fileName);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Summarise a parse result for the import review screen
+ * @param {Object} parsed - parseGedcomFull output
+ * @returns {Object} People, events and the problems found while parsing
+ */
+function buildPreview(parsed) {
+  const eventCounts = new Map();
+  for (const evt of parsed.events) {
+    for (const personId of evt.personIds) {
+      eventCounts.set(personId, (eventCounts.get(personId) || 0) + 1);
+    }
+  }
+
+  const needsGeocoding = parsed.events.filter(e => e.lat === null || e.lon === null);
+  const referencedMedia = new Set(parsed.events.flatMap(e => e.mediaIds || []));
+
+  return {
+    people: parsed.people.map(p => ({
+      gedcomId: p.gedcomId,
+      name: p.name,
+      sex: p.sex,
+      birthDate: p.birthDate,
+      deathDate: p.deathDate,
+      eventCount: eventCounts.get(p.gedcomId) || 0
+    })),
+    events: parsed.events.map(e => ({
+      key: e.key,
+      personId: e.personId,
+      personIds: e.personIds,
+      title: e.title,
+      date: e.date,
+      endDate: e.endDate,
+      datePrecision: e.datePrecision,
+      dateQualifier: e.dateQualifier,
+      rawDate: e.rawDate,
+      place: e.place,
+      category: e.category,
+      hasCoordinates: e.lat !== null && e.lon !== null,
+      citationCount: (e.citations || []).length,
+      mediaCount: (e.mediaIds || []).length
+    })),
+    familiesCount: parsed.families.length,
+    sourcesCount: (parsed.sources || []).length,
+    // Images only come with a ZIP upload; a bare .ged just reports how many it references
+    media: {
+      referenced: referencedMedia.size,
+      fromArchive: Boolean(parsed.archiveMedia),
+      found: parsed.archiveMedia ? parsed.archiveMedia.found : 0,
+      missing: parsed.archiveMedia ? parsed.archiveMedia.missing : [],
+      tooLarge: parsed.archiveMedia ? parsed.archiveMedia.tooLarge : []
+    },
+    places: [...new Set(needsGeocoding.map(e => e.place))].sort(),
+    unparsedDates: parsed.unparsedDates || [],
+    unnamed: parsed.unnamed || [],
+    encoding: parsed.encoding || null,
+    format: parsed.format || 'GEDCOM'
+  };
+}
+
+/**
+ * Drop deselected people (with their events and family links) and deselected events.
+ * Family events are dropped when either spouse is deselected.
+ * @param {Object} parsed - parseGedcomFull output
+ * @param {Object} selection
+ * @param {string[]} selection.excludePeople - GEDCOM xrefs to leave out
+ * @param {string[]} selection.excludeEvents - Event keys to leave out
+ */
+function filterParsed(parsed, { excludePeople = [], excludeEvents = [] } = {}) {
+  const people = new Set(excludePeople);
+  const events = new Set(excludeEvents);
+  const keep = (id) => (id && !people.has(id) ? id : null);
+
+  return {
+    ...parsed,
+    people: parsed.people.filter(p => !people.has(p.gedcomId)),
+    events: parsed.events.filter(e => !e.personIds.some(id => people.has(id)) && !events.has(e.key)),
+    families: parsed.families
+      .map(fam => ({
+        ...fam,
+        husbandId: keep(fam.husbandId),
+        wifeId: keep(fam.wifeId),
+        childIds: fam.childIds.filter(id => !people.has(id))
+      }))
+      .filter(fam => fam.husbandId || fam.wifeId || fam.childIds.length > 0)
+  };
+}
+
+/**
+ * Import a parsed GEDCOM file into one of a user's trees
+ * @param {number} userId
+ * @param {{ events: Array, people: Array, families: Array, sources: Array }} parsed - parseGedcomFull output
+ * @param {Object} options
+ * @param {number} options.treeId - Tree to import into; the mode applies to what it already holds
+ * @param {string} options.mode - 'replace' | 'merge' | 'add'
+ * @param {function} options.onProgress - Geocoding progress callback (completed, total)
+ * @param {function} options.onPhase - Called with the name of each phase as it starts
+ * @returns {Promise<Object>} Import summary
+ */
+async function importGedcom(userId, parsed, { treeId, mode = 'replace', onProgress, onPhase } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}"`);
+  }
+
+  const { events: parsedEvents, people: parsedPeople, families: parsedFamilies } = parsed;
+
+  const phase = (name) => { if (onPhase) onPhase(name); };
+
+  phase('people');
+  const { counts: peopleCounts, xrefMap } = storePeople(userId, treeId, parsedPeople, mode);
+  phase('families');
+  storeFamilies(userId, treeId, parsedFamilies, mode, xrefMap);
+  phase('sources');
+  const sourceIds = storeSources(userId, treeId, parsed.sources || [], mode);
+  const { counts: eventCounts, peopleWithEvents, eventIds } =
+    await storeEvents(userId, treeId, parsedEvents, mode, sourceIds, onProgress, phase);
+  linkEventPeople(treeId, parsedEvents, eventIds, xrefMap);
+  const filePlaces = new Set(parsedEvents.filter(evt => evt.lat !== null && evt.lon !== null).map(evt => evt.place));
+  linkTreePlaces(userId, treeId, filePlaces);
+  // Places only the replaced events and people were at
+  if (mode === 'replace') placeQueries.deleteUnused(userId);
+  phase('media');
+  const photosAdded = storeMedia(parsedEvents, parsed.media, eventIds);
+  // Events in the tree (from this import or earlier ones) still waiting to be placed by hand
+  const unplaced = eventQueries.findUnplacedByTreeId(treeId).length;
+
+  const summary = `People: ${peopleCounts.added} added, ${peopleCounts.updated} updated, ${peopleCounts.removed} removed. ` +
+    `Events: ${eventCounts.added} added, ${eventCounts.updated} updated, ${eventCounts.removed} removed.` +
+    (photosAdded > 0 ? ` Photos: ${photosAdded} added.` : '') +
+    (unplaced > 0 ? ` ${unplaced} events need a place on the map.` : '');
+
+  return {
+    mode,
+    treeId,
+    imported: eventCounts.added,
+    unplaced,
+    people: parsedPeople.filter(p => peopleWithEvents.has(p.gedcomId)).map(p => p.name).sort(),
+    peopleCount: parsedPeople.length,
+    familiesCount: parsedFamilies.length,
+    sourcesCount: sourceIds.size,
+    photosAdded,
+    counts: { people: peopleCounts, events: eventCounts },
+    message: parsedEvents.length === 0
+      ? `No events with a place found. Stored ${parsedPeople.length} people and ${parsedFamilies.length} family links.`
+      : summary
+  };
+}
+
+module.exports = { importGedcom, buildPreview, filterParsed, removeEventPhotos, IMPORT_MODES };
@@ -1,6 +1,6 @@
 /**
  * GEDCOM file parser for Ancestry Atlas
- * Extracts individuals with birth/death/burial events from .ged files
+ * Extracts individuals with their life events (birth, christening, residence, occupation, etc.) from .ged files
  */
 
 const MONTHS = {
@@ -11,24 +11,37 @@ const MONTHS = {
   october: '10', november: '11', december: '12'
 };
 
+// Leading date modifiers -> stored date qualifier
+const DATE_MODIFIERS = [
+  [/^(about|abt|circa|ca|c)(\.|\b)\s*/i, 'about'],
+  [/^(estimated|est)(\.|\b)\s*/i, 'estimated'],
+  [/^(calculated|cal)(\.|\b)\s*/i, 'calculated'],
+  [/^(before|bef)(\.|\b)\s*/i, 'before'],
+  [/^(after|aft)(\.|\b)\s*/i, 'after'],
+  [/^int(\.|\b)\s*/i, null]
+];
+
+// Precision values, finest first
+const DATE_PRECISIONS = ['day', 'month', 'year'];
+const DATE_QUALIFIERS = ['about', 'estimated', 'calculated', 'before', 'after', 'between', 'from', 'to'];
+
 /**
- * Parse a GEDCOM date string into ISO format (YYYY-MM-DD or YYYY-MM or YYYY)
- * Handles: "12 Oct 1982", "01-Feb-1837", "May 12, 1805", "abt 1884",
- *          "1567", "Abt. 1756", "ABT 1722", "Jan 1900", "Mar 1739",
- *          "5 JUN 1835", "after 1698", "Unknown", etc.
+ * Parse a single GEDCOM date (no modifiers) into an ISO date and its precision
+ * Handles: "12 Oct 1982", "01-Feb-1837", "May 12, 1805", "1567", "Jan 1900",
+ *          "5 JUN 1835", "28 August 1817", "1731/32"
+ * @returns {{ date: string, precision: string }|null}
  */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-
+function parseSimpleDate(dateStr) {
   const cleaned = dateStr
-    .replace(/^(abt\.?|about|circa|bef\.?|before|aft\.?|after|est\.?|cal\.?)\s*/i, '')
+    .replace(/\(.*\)/g, '')
+    .replace(/^(\d{4})\/\d{1,2}$/, '$1')
     .trim();
 
   if (!cleaned || /^unknown$/i.test(cleaned)) return null;
 
   // Just a year: "1567"
   if (/^\d{4}$/.test(cleaned)) {
-    return cleaned + '-01-01';
+    return { date: cleaned + '-01-01', precision: 'year' };
   }
 
   // "DD-Mon-YYYY" format: "01-Feb-1837", "31-Oct-1849"
@@ -36,16 +49,16 @@ function parseDate(dateStr) {
   if (dashMatch) {
     const month = MONTHS[dashMatch[2].toLowerCase()];
     if (month) {
-      return `${dashMatch[3]}-${month}-${dashMatch[1].padStart(2, '0')}`;
+      return { date: `${dashMatch[3]}-${month}-${dashMatch[1].padStart(2, '0')}`, precision: 'day' };
     }
   }
 
-  // "DD Mon YYYY" or "D Mon YYYY": "12 Oct 1982", "5 JUN 1835"
+  // "DD Mon YYYY" or "D Mon YYYY": "12 Oct 1982", "5 JUN 1835", "28 August 1817"
   const dmy = cleaned.match(/^(\d{1,2})\s+(\w+)\s+(\d{4})$/);
   if (dmy) {
     const month = MONTHS[dmy[2].toLowerCase()];
     if (month) {
-      return `${dmy[3]}-${month}-${dmy[1].padStart(2, '0')}`;
+      return { date: `${dmy[3]}-${month}-${dmy[1].padStart(2, '0')}`, precision: 'day' };
     }
   }
 
@@ -54,7 +67,7 @@ function parseDate(dateStr) {
   if (mdy) {
     const month = MONTHS[mdy[1].toLowerCase()];
     if (month) {
-      return `${mdy[3]}-${month}-${mdy[2].padStart(2, '0')}`;
+      return { date: `${mdy[3]}-${month}-${mdy[2].padStart(2, '0')}`, precision: 'day' };
     }
   }
 
@@ -63,16 +76,223 @@ function parseDate(dateStr) {
   if (my) {
     const month = MONTHS[my[1].toLowerCase()];
     if (month) {
-      return `${my[2]}-${month}-01`;
+      return { date: `${my[2]}-${month}-01`, precision: 'month' };
     }
   }
 
-  // "DD Month YYYY" with full month name: "28 August 1817"
-  // Already handled by dmy pattern above
-
   return null;
 }
 
+/**
+ * Coarsest of two precisions ("year" beats "month" beats "day")
+ */
+function coarserPrecision(a, b) {
+  return DATE_PRECISIONS[Math.max(DATE_PRECISIONS.indexOf(a), DATE_PRECISIONS.indexOf(b))];
+}
+
+/**
+ * Parse a GEDCOM date string keeping its qualifier, range and precision
+ * Handles everything parseSimpleDate does plus "abt 1884", "Abt. 1756", "EST 1700",
+ * "CAL 1790", "BEF 1900", "after 1698", "BET 1850 AND 1860", "FROM 1850 TO 1860",
+ * "FROM 1850", "TO 1860" and "INT 1900 (phrase)"
+ * @returns {{ date: string, endDate: string|null, precision: string, qualifier: string|null }|null}
+ *          date/endDate are ISO (YYYY-MM-DD, padded with 01 when less precise)
+ */
+function parseDateDetailed(dateStr) {
+  if (!dateStr) return null;
+  const str = dateStr.trim();
+
+  // Ranges and periods
+  const range = str.match(/^bet\.?\s+(.+?)\s+and\s+(.+)$/i) || str.match(/^from\s+(.+?)\s+to\s+(.+)$/i);
+  if (range) {
+    const start = parseSimpleDate(range[1]);
+    const end = parseSimpleDate(range[2]);
+    if (!start || !end) return null;
+    return {
+      date: start.date,
+      endDate: end.date,
+      precision: coarserPrecision(start.precision, end.precision),
+      qualifier: /^bet/i.test(str) ? 'between' : 'from'
+    };
+  }
+
+  const open = str.match(/^(from|to)\s+(.+)$/i);
+  if (open) {
+    const parsed = parseSimpleDate(open[2]);
+    if (!parsed) return null;
+    return { ...parsed, endDate: null, qualifier: open[1].toLowerCase() };
+  }
+
+  let qualifier = null;
+  let rest = str;
+  for (const [pattern, value] of DATE_MODIFIERS) {
+    if (pattern.test(rest)) {
+      rest = rest.replace(pattern, '');
+      qualifier = value;
+      break;
+    }
+  }
+
+  const parsed = parseSimpleDate(rest);
+  if (!parsed) return null;
+  return { ...parsed, endDate: null, qualifier };
+}
+
+/**
+ * Parse a GEDCOM date string into an ISO date (YYYY-MM-DD), ignoring qualifiers
+ * and using the start of ranges. See parseDateDetailed for the full picture.
+ */
+function parseDate(dateStr) {
+  const parsed = parseDateDetailed(dateStr);
+  return parsed ? parsed.date : null;
+}
+
+/**
+ * Parse a GEDCOM MAP coordinate ("N51.5074", "W0.1278") into a signed number
+ */
+function parseCoordinate(value) {
+  if (!value) return null;
+  const match = value.trim().match(/^([NSEW])?\s*(-?\d+(?:\.\d+)?)$/i);
+  if (!match) return null;
+  const num = parseFloat(match[2]);
+  const hemi = (match[1] || '').toUpperCase();
+  return hemi === 'S' || hemi === 'W' ? -Math.abs(num) : num;
+}
+
+// ANSEL (ANSI Z39.47) spacing characters above 0x7F
+const ANSEL_CHARS = {
+  0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ', 0xA6: 'Œ',
+  0xA7: 'ʹ', 0xA8: '·', 0xA9: '♭', 0xAA: '®', 0xAB: '±', 0xAC: 'Ơ',
+  0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ', 0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ',
+  0xB4: 'þ', 0xB5: 'æ', 0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£',
+  0xBA: 'ð', 0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°',
+  0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿', 0xC6: '¡',
+  0xC7: 'ß', 0xC8: '€', 0xCF: 'ß'
+};
+
+// ANSEL combining diacritics; in ANSEL they come *before* the letter they modify
+const ANSEL_COMBINING = {
+  0xE0: '̉', 0xE1: '̀', 0xE2: '́', 0xE3: '̂', 0xE4: '̃', 0xE5: '̄',
+  0xE6: '̆', 0xE7: '̇', 0xE8: '̈', 0xE9: '̌', 0xEA: '̊', 0xEB: '︠',
+  0xEC: '︡', 0xED: '̕', 0xEE: '̋', 0xEF: '̐', 0xF0: '̧', 0xF1: '̨',
+  0xF2: '̣', 0xF3: '̤', 0xF4: '̥', 0xF5: '̳', 0xF6: '̲', 0xF7: '̦',
+  0xF8: '̜', 0xF9: '̮', 0xFA: '︢', 0xFB: '︣', 0xFE: '̓'
+};
+
+/**
+ * Decode ANSEL bytes to a (NFC-normalised) string
+ */
+function decodeAnsel(buffer) {
+  let out = '';
+  let pending = '';
+  for (const byte of buffer) {
+    if (ANSEL_COMBINING[byte]) {
+      pending += ANSEL_COMBINING[byte];
+      continue;
+    }
+    const char = byte < 0x80 ? String.fromCharCode(byte) : (ANSEL_CHARS[byte] || '�');
+    out += char + pending;
+    pending = '';
+  }
+  return (out + pending).normalize('NFC');
+}
+
+// HEAD.CHAR values -> decoder
+const CHARSETS = {
+  'UTF-8': 'utf-8',
+  UTF8: 'utf-8',
+  UNICODE: 'utf-16le',
+  'UTF-16': 'utf-16le',
+  ASCII: 'utf-8',
+  ANSEL: 'ansel',
+  ANSI: 'windows-1252',
+  'WINDOWS-1252': 'windows-1252',
+  CP1252: 'windows-1252',
+  'IBM WINDOWS': 'windows-1252',
+  // No code page 437 decoder is available; the two agree on ASCII, which is most of a GEDCOM file
+  IBMPC: 'windows-1252',
+  'ISO-8859-1': 'latin1',
+  LATIN1: 'latin1',
+  MACINTOSH: 'macintosh'
+};
+
+/**
+ * Decode a GEDCOM file. A byte order mark (or the zero bytes of UTF-16) wins;
+ * otherwise the HEAD.CHAR tag is used, and files that claim nothing are read as
+ * UTF-8 with a Windows-1252 fallback when they aren't valid UTF-8.
+ * @param {Buffer} buffer - Raw file bytes
+ * @returns {{ text: string, encoding: string }}
+ */
+function decodeGedcom(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.subarray(3).toString('utf-8'), encoding: 'UTF-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'UTF-16LE' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'UTF-16BE' };
+  }
+  // UTF-16 without a BOM: the file starts with "0 HEAD", so every other byte is zero
+  if (buffer[0] === 0x30 && buffer[1] === 0x00) {
+    return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'UTF-16LE' };
+  }
+  if (buffer[0] === 0x00 && buffer[1] === 0x30) {
+    return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'UTF-16BE' };
+  }
+
+  // HEAD.CHAR is ASCII, so it can be read before the encoding is known
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const charMatch = head.match(/^\s*1\s+CHAR\s+(.+?)\s*$/m);
+  const declared = charMatch ? charMatch[1].toUpperCase() : null;
+  const decoder = declared ? CHARSETS[declared] : null;
+
+  if (decoder === 'ansel') {
+    return { text: decodeAnsel(buffer), encoding: 'ANSEL' };
+  }
+  if (decoder && decoder !== 'utf-8') {
+    return { text: new TextDecoder(decoder).decode(buffer), encoding: declared };
+  }
+
+  // UTF-8 (declared or assumed); files that claim UTF-8 but aren't are usually Windows-1252
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'UTF-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'WINDOWS-1252' };
+  }
+}
+
+/**
+ * Flatten a value continued over several lines (CONT) for single-line fields like PLAC
+ */
+function singleLine(value) {
+  return value.replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Split GEDCOM text into lines of { level, xref, tag, value, lineNumber }, folding CONC
+ * (continue on the same line) and CONT (continue on a new line) into the line they extend
+ */
+function readGedcomLines(text) {
+  const lines = [];
+  const rawLines = text.split(/\r\n|\r|\n/);
+  for (let i = 0; i < rawLines.length; i++) {
+    const match = rawLines[i].match(/^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?(\S+)(?: (.*))?$/);
+    if (!match) continue;
+
+    const [, levelStr, xref, tag, value = ''] = match;
+    const previous = lines[lines.length - 1];
+    if ((tag === 'CONC' || tag === 'CONT') && previous) {
+      previous.value += (tag === 'CONT' ? '\n' : '') + value;
+      continue;
+    }
+    lines.push({ level: parseInt(levelStr, 10), xref: xref || null, tag, value, lineNumber: i + 1 });
+  }
+
+  for (const line of lines) line.value = line.value.trim();
+  return lines;
+}
+
 /**
  * Parse a GEDCOM file and extract individuals with their events
  * @param {string} content - Raw GEDCOM file content
@@ -233,185 +453,753 @@ function parseGedcom(content) {
   return results;
 }
 
+// Individual event tags -> event type, title label and map category
+// (categories match client/src/constants/categories.js)
+const INDI_EVENTS = {
+  BIRT: { type: 'birth', label: 'Birth', category: 'birth' },
+  CHR: { type: 'christening', label: 'Christening', category: 'birth' },
+  BAPM: { type: 'baptism', label: 'Baptism', category: 'birth' },
+  DEAT: { type: 'death', label: 'Death', category: 'death' },
+  BURI: { type: 'burial', label: 'Burial', category: 'death' },
+  RESI: { type: 'residence', label: 'Residence', category: 'moved' },
+  CENS: { type: 'census', label: 'Census', category: 'moved' },
+  IMMI: { type: 'immigration', label: 'Immigration', category: 'moved' },
+  EMIG: { type: 'emigration', label: 'Emigration', category: 'moved' },
+  NATU: { type: 'naturalization', label: 'Naturalization', category: 'moved' },
+  OCCU: { type: 'occupation', label: 'Occupation', category: 'work' },
+  EDUC: { type: 'education', label: 'Education', category: 'education' },
+  _MILT: { type: 'military', label: 'Military', category: 'military' },
+  EVEN: { type: 'event', label: 'Event', category: 'other' }
+};
+
+// Family event tags (under FAM records), attached to both spouses
+const FAM_EVENTS = {
+  ENGA: { type: 'engagement', label: 'Engagement', category: 'marriage' },
+  MARR: { type: 'marriage', label: 'Marriage', category: 'marriage' },
+  DIV: { type: 'divorce', label: 'Divorce', category: 'marriage' }
+};
+
+// Keywords used to categorise generic EVEN records by their TYPE
+const EVEN_TYPE_CATEGORIES = [
+  [/milit|army|navy|air force|war\b|enlist|servic/i, 'military'],
+  [/school|educat|graduat|universit|college|degree/i, 'education'],
+  [/work|employ|occupation|job|career|apprentic|retire/i, 'work'],
+  [/resid|move|moved|migra|census|address|travel/i, 'moved'],
+  [/marri|wedding|engage/i, 'marriage'],
+  [/birth|christen|baptism/i, 'birth'],
+  [/death|burial|funeral|cremat/i, 'death']
+];
+
 /**
- * Full GEDCOM parser — extracts individuals (with gedcom IDs), FAM records, and events
- * @param {string} content - Raw GEDCOM file content
- * @returns {{ events: Array, people: Array, families: Array }}
+ * Pick a map category for a generic EVEN record from its TYPE
+ */
+function categoryForEventType(type) {
+  if (!type) return 'other';
+  const found = EVEN_TYPE_CATEGORIES.find(([pattern]) => pattern.test(type));
+  return found ? found[1] : 'other';
+}
+
+/**
+ * Split a NAME value ("John /Smith/ Jr.") into given name, surname and trailing suffix
+ */
+function parseNameValue(value) {
+  const match = (value || '').match(/^([^/]*)\/([^/]*)\/?(.*)$/);
+  if (!match) return { given: (value || '').trim(), surname: '', suffix: '' };
+  return { given: match[1].trim(), surname: match[2].trim(), suffix: match[3].trim() };
+}
+
+/**
+ * Display form of a name record: given names and surname, each word capitalised
+ * (surname particles such as "von" from SPFX are kept as written)
+ */
+function formatName({ given, surname, surnamePrefix }) {
+  const capitalize = (text) => text.split(' ').map(w =>
+    w.charAt(0).toUpperCase() + w.slice(1)
+  ).join(' ');
+  const fullSurname = surname && surnamePrefix && !surname.startsWith(surnamePrefix)
+    ? `${surnamePrefix} ${capitalize(surname)}`
+    : capitalize(surname || '');
+  return [capitalize(given || ''), fullSurname].filter(Boolean).join(' ').trim();
+}
+
+/**
+ * Title prefix for a family event: "John Smith & Mary Jones"
+ */
+function coupleTitle(names) {
+  return names.join(' & ');
+}
+
+// Meaning of a citation's QUAY (certainty assessment) value
+const CITATION_QUALITIES = {
+  0: 'Unreliable',
+  1: 'Questionable',
+  2: 'Secondary evidence',
+  3: 'Direct evidence'
+};
+
+/**
+ * Read a citation line below an event's SOUR (PAGE, QUAY, NOTE, DATA > TEXT).
+ * Levels are relative to the SOUR line itself.
+ */
+function readCitationLine(citation, depth, tag, value) {
+  if (!value) return;
+  if (depth === 1) {
+    if (tag === 'PAGE') citation.page = value;
+    else if (tag === 'QUAY' && /^[0-3]$/.test(value)) citation.quality = Number(value);
+    else if (tag === 'NOTE') citation.notes.push(value);
+    else if (tag === 'TEXT') citation.text = value;
+  } else if (depth === 2 && tag === 'TEXT') {
+    citation.text = value;
+  }
+}
+
+/**
+ * Read a line below an OBJE (multimedia) record or inline OBJE.
+ * GEDCOM 5.5 puts FORM/TITL beside FILE; 5.5.1 nests them under it.
+ */
+function readMediaLine(media, depth, tag, value) {
+  if (!value) return;
+  if (tag === 'FILE' && depth === 1 && !media.file) media.file = value;
+  else if (tag === 'TITL' && depth <= 2 && !media.title) media.title = singleLine(value);
+  else if (tag === 'FORM' && depth <= 2 && !media.form) media.form = value.toLowerCase();
+}
+
+/**
+ * Full GEDCOM parser — extracts individuals (with gedcom IDs), FAM records, events,
+ * the sources and notes that back them up, and multimedia references
+ * @param {Buffer|string} content - Raw GEDCOM file (a Buffer is decoded using its BOM / HEAD.CHAR)
+ * @returns {{ events: Array, people: Array, families: Array, sources: Array, media: Array, unnamed: Array, unparsedDates: Array, encoding: string }}
  */
 function parseGedcomFull(content) {
-  const lines = content.split(/\r?\n/);
+  const { text, encoding } = Buffer.isBuffer(content)
+    ? decodeGedcom(content)
+    : { text: content, encoding: 'UTF-8' };
+  return buildParseResult(readGedcomRecords(readGedcomLines(text)), encoding);
+}
+
+/**
+ * Collect INDI, FAM, SOUR, REPO, NOTE and OBJE records from tokenized GEDCOM lines
+ * (see buildParseResult for the record shapes)
+ */
+function readGedcomRecords(lines) {
   const individuals = [];
   const famRecords = [];
   let currentIndi = null;
   let currentFam = null;
   let currentEvent = null;
+  let currentName = null;
+  let currentCitation = null;
+  let currentSource = null;
+  let currentRepo = null;
+  const sourceRecords = [];
+  const repoNames = new Map();
+  const noteRecords = new Map();
+  const mediaRecords = [];
+  let currentMedia = null;
 
-  for (const line of lines) {
-    const match = line.match(/^(\d+)\s+(.+)$/);
-    if (!match) continue;
+  // "1 OBJE @O1@" points at an OBJE record; a bare "1 OBJE" describes the file inline
+  const addMedia = (owner, level, pointer) => {
+    if (/^@\S+@$/.test(pointer)) {
+      owner.mediaIds.push(pointer);
+      return;
+    }
+    currentMedia = { id: `inline:${mediaRecords.length + 1}`, level, file: null, title: null, form: null };
+    mediaRecords.push(currentMedia);
+    owner.mediaIds.push(currentMedia.id);
+  };
 
-    const level = parseInt(match[1]);
-    const rest = match[2];
+  // Start a citation for an event's "2 SOUR @S1@" (or inline "2 SOUR Family bible") line
+  const startCitation = (evt, pointer) => {
+    const isPointer = /^@\S+@$/.test(pointer);
+    currentCitation = {
+      sourceId: isPointer ? pointer : null,
+      page: null, quality: null, notes: [],
+      text: isPointer ? null : pointer || null
+    };
+    evt.citations.push(currentCitation);
+  };
+
+  for (const { level, xref, tag, value } of lines) {
+    // A citation's (or inline OBJE's) sub-lines end at the next line at or above its own level
+    if (level <= 2) currentCitation = null;
+    if (currentMedia && level <= currentMedia.level) currentMedia = null;
+    if (currentMedia) {
+      readMediaLine(currentMedia, level - currentMedia.level, tag, value);
+      continue;
+    }
 
     // Level 0: new record
     if (level === 0) {
       // Save previous record
       if (currentIndi) individuals.push(currentIndi);
       if (currentFam) famRecords.push(currentFam);
+      if (currentSource) sourceRecords.push(currentSource);
       currentIndi = null;
       currentFam = null;
+      currentSource = null;
+      currentRepo = null;
       currentEvent = null;
+      currentName = null;
+
+      // SOUR, REPO and NOTE records, referenced from citations by xref
+      if (xref && tag === 'SOUR') {
+        currentSource = {
+          gedcomId: xref, title: null, abbreviation: null, author: null,
+          publication: null, repositoryId: null, repository: null, text: null, notes: []
+        };
+      } else if (xref && tag === 'REPO') {
+        currentRepo = { gedcomId: xref };
+      } else if (xref && tag === 'NOTE') {
+        noteRecords.set(xref, value);
+      } else if (xref && tag === 'OBJE') {
+        currentMedia = { id: xref, level: 0, file: null, title: null, form: null };
+        mediaRecords.push(currentMedia);
+      }
 
       // INDI record
-      const indiMatch = rest.match(/^(@\S+@)\s+INDI$/);
-      if (indiMatch) {
+      if (xref && tag === 'INDI') {
         currentIndi = {
-          gedcomId: indiMatch[1],
-          givn: '',
-          surn: '',
+          gedcomId: xref,
+          names: [],
           sex: null,
-          birth: { date: null, place: null },
-          death: { date: null, place: null },
-          burial: { place: null }
+          events: [],
+          notes: [],
+          mediaIds: []
         };
       }
 
       // FAM record
-      const famMatch = rest.match(/^(@\S+@)\s+FAM$/);
-      if (famMatch) {
+      if (xref && tag === 'FAM') {
         currentFam = {
-          gedcomFamId: famMatch[1],
+          gedcomFamId: xref,
           husbandId: null,
           wifeId: null,
-          childIds: []
+          childIds: [],
+          events: [],
+          mediaIds: []
         };
       }
       continue;
     }
 
+    if (currentSource && level === 1 && value) {
+      if (tag === 'TITL') currentSource.title = singleLine(value);
+      else if (tag === 'ABBR') currentSource.abbreviation = value;
+      else if (tag === 'AUTH') currentSource.author = singleLine(value);
+      else if (tag === 'PUBL') currentSource.publication = singleLine(value);
+      else if (tag === 'TEXT') currentSource.text = value;
+      else if (tag === 'NOTE') currentSource.notes.push(value);
+      else if (tag === 'REPO') {
+        // Either a pointer to a REPO record or the repository's name written inline
+        if (/^@\S+@$/.test(value)) currentSource.repositoryId = value;
+        else currentSource.repository = value;
+      }
+    }
+
+    if (currentRepo && level === 1 && tag === 'NAME' && value) {
+      repoNames.set(currentRepo.gedcomId, value);
+    }
+
     // Processing INDI sub-tags
     if (currentIndi) {
       if (level === 1) {
         currentEvent = null;
+        currentName = null;
 
-        if (rest === 'BIRT') {
-          currentEvent = 'birth';
-        } else if (rest === 'DEAT') {
-          currentEvent = 'death';
-        } else if (rest === 'BURI') {
-          currentEvent = 'burial';
-        } else {
-          const nameMatch = rest.match(/^NAME\s+(.*)$/);
-          if (nameMatch) {
-            currentEvent = 'name';
-          }
-          const sexMatch = rest.match(/^SEX\s+(\S)$/);
-          if (sexMatch) {
-            currentIndi.sex = sexMatch[1].toUpperCase();
-          }
+        if (INDI_EVENTS[tag]) {
+          currentEvent = {
+            tag,
+            value: value || null,
+            type: null, date: null, place: null, lat: null, lon: null,
+            citations: [], notes: [], mediaIds: []
+          };
+          currentIndi.events.push(currentEvent);
+        } else if (tag === 'NAME') {
+          // The slash form ("John /Smith/ Jr.") is the fallback when there are no GIVN/SURN lines
+          const parts = parseNameValue(value);
+          currentName = {
+            given: parts.given,
+            surname: parts.surname.replace(/[()]/g, '').trim(),
+            surnamePrefix: '',
+            prefix: '',
+            suffix: parts.suffix,
+            nickname: '',
+            type: null
+          };
+          currentIndi.names.push(currentName);
+        } else if (tag === 'SEX' && value) {
+          currentIndi.sex = value.charAt(0).toUpperCase();
+        } else if (tag === 'NOTE' && value) {
+          currentIndi.notes.push(value);
+        } else if (tag === 'OBJE') {
+          addMedia(currentIndi, level, value);
         }
       } else if (level === 2) {
-        if (currentEvent === 'name') {
-          const givnMatch = rest.match(/^GIVN\s+(.+)$/);
-          if (givnMatch) currentIndi.givn = givnMatch[1].trim();
-          const surnMatch = rest.match(/^SURN\s+(.+)$/);
-          if (surnMatch) currentIndi.surn = surnMatch[1].replace(/[()]/g, '').trim();
-        } else if (currentEvent === 'birth' || currentEvent === 'death') {
-          const dateMatch = rest.match(/^DATE\s+(.+)$/);
-          if (dateMatch) currentIndi[currentEvent].date = dateMatch[1].trim();
-          const placeMatch = rest.match(/^PLAC\s+(.+)$/);
-          if (placeMatch) currentIndi[currentEvent].place = placeMatch[1].trim();
-        } else if (currentEvent === 'burial') {
-          const placeMatch = rest.match(/^PLAC\s+(.+)$/);
-          if (placeMatch) currentIndi.burial.place = placeMatch[1].trim();
+        if (currentName && value) {
+          if (tag === 'GIVN') currentName.given = value;
+          // Clean parenthetical surnames like "(Martha)"
+          else if (tag === 'SURN') currentName.surname = value.replace(/[()]/g, '').trim();
+          else if (tag === 'SPFX') currentName.surnamePrefix = value;
+          else if (tag === 'NPFX') currentName.prefix = value;
+          else if (tag === 'NSFX') currentName.suffix = value;
+          else if (tag === 'NICK') currentName.nickname = value;
+          else if (tag === 'TYPE') currentName.type = value.toLowerCase();
+          else if (tag === '_MARNM') {
+            // Married surname written as a sub-tag by some exporters
+            currentIndi.names.push({ ...currentName, surname: value, surnamePrefix: '', type: 'married' });
+          }
+        } else if (currentEvent && value) {
+          if (tag === 'DATE') currentEvent.date = value;
+          else if (tag === 'PLAC') currentEvent.place = singleLine(value);
+          else if (tag === 'TYPE') currentEvent.type = value;
+          else if (tag === 'SOUR') startCitation(currentEvent, value);
+          else if (tag === 'NOTE') currentEvent.notes.push(value);
+          else if (tag === 'OBJE') addMedia(currentEvent, level, value);
+        } else if (currentEvent && tag === 'OBJE') {
+          addMedia(currentEvent, level, value);
         }
+      } else if (currentCitation) {
+        readCitationLine(currentCitation, level - 2, tag, value);
+      } else if (level === 4 && currentEvent) {
+        // PLAC > MAP > LATI/LONG
+        if (tag === 'LATI') currentEvent.lat = parseCoordinate(value);
+        else if (tag === 'LONG') currentEvent.lon = parseCoordinate(value);
       }
     }
 
     // Processing FAM sub-tags
-    if (currentFam && level === 1) {
-      const husbMatch = rest.match(/^HUSB\s+(@\S+@)$/);
-      if (husbMatch) currentFam.husbandId = husbMatch[1];
-      const wifeMatch = rest.match(/^WIFE\s+(@\S+@)$/);
-      if (wifeMatch) currentFam.wifeId = wifeMatch[1];
-      const chilMatch = rest.match(/^CHIL\s+(@\S+@)$/);
-      if (chilMatch) currentFam.childIds.push(chilMatch[1]);
+    if (currentFam) {
+      if (level === 1) {
+        currentEvent = null;
+
+        const pointer = /^@\S+@$/.test(value) ? value : null;
+        if (tag === 'HUSB' && pointer) currentFam.husbandId = pointer;
+        else if (tag === 'WIFE' && pointer) currentFam.wifeId = pointer;
+        else if (tag === 'CHIL' && pointer) currentFam.childIds.push(pointer);
+        else if (tag === 'OBJE') addMedia(currentFam, level, value);
+        else if (FAM_EVENTS[tag]) {
+          currentEvent = { tag, date: null, place: null, lat: null, lon: null, citations: [], notes: [], mediaIds: [] };
+          currentFam.events.push(currentEvent);
+        }
+      } else if (level === 2 && currentEvent && tag === 'OBJE') {
+        addMedia(currentEvent, level, value);
+      } else if (level === 2 && currentEvent && value) {
+        if (tag === 'DATE') currentEvent.date = value;
+        else if (tag === 'PLAC') currentEvent.place = singleLine(value);
+        else if (tag === 'SOUR') startCitation(currentEvent, value);
+        else if (tag === 'NOTE') currentEvent.notes.push(value);
+      } else if (currentCitation) {
+        readCitationLine(currentCitation, level - 2, tag, value);
+      } else if (level === 4 && currentEvent) {
+        if (tag === 'LATI') currentEvent.lat = parseCoordinate(value);
+        else if (tag === 'LONG') currentEvent.lon = parseCoordinate(value);
+      }
     }
   }
 
   // Don't forget last records
   if (currentIndi) individuals.push(currentIndi);
   if (currentFam) famRecords.push(currentFam);
+  if (currentSource) sourceRecords.push(currentSource);
 
-  // Build events (same logic as parseGedcom)
-  const events = [];
-  for (const indi of individuals) {
-    const name = [indi.givn, indi.surn].filter(Boolean).join(' ').trim();
-    if (!name) continue;
+  return { individuals, famRecords, sourceRecords, repoNames, noteRecords, mediaRecords };
+}
 
-    const displayName = name.split(' ').map(w =>
-      w.charAt(0).toUpperCase() + w.slice(1)
-    ).join(' ');
+/**
+ * Build people, families, events and sources from genealogy records. The GEDCOM reader
+ * produces these records, and so do the Gramps XML and GEDCOM X readers, so every format
+ * is imported the same way.
+ *   individuals:   { gedcomId, sex, names: [{ given, surname, surnamePrefix, prefix, suffix, nickname, type }],
+ *                    events: [{ tag, value, type, date, place, lat, lon, citations, notes, mediaIds }],
+ *                    notes, mediaIds }   (tag is an INDI_EVENTS key; date is a GEDCOM date string)
+ *   famRecords:    { gedcomFamId, husbandId, wifeId, childIds, events (FAM_EVENTS tags), mediaIds }
+ *   sourceRecords: { gedcomId, title, abbreviation, author, publication, repositoryId, repository, text, notes }
+ *   citations:     { sourceId, page, quality (0-3), text, notes }
+ *   repoNames / noteRecords: Map of xref -> repository name / note text ("@N1@"-style notes are looked up here)
+ *   mediaRecords:  { id, file, title, form }
+ * @returns {{ events: Array, people: Array, families: Array, sources: Array, media: Array, unnamed: Array, unparsedDates: Array, encoding: string }}
+ */
+function buildParseResult({ individuals, famRecords, sourceRecords, repoNames, noteRecords, mediaRecords }, encoding) {
+  // NOTE values are either the text itself or a pointer to a NOTE record
+  const noteText = (notes) => {
+    const texts = notes
+      .map(note => (/^@\S+@$/.test(note) ? noteRecords.get(note) : note))
+      .filter(Boolean);
+    return texts.length > 0 ? texts.join('\n\n') : null;
+  };
 
-    const birthDate = parseDate(indi.birth.date);
-    if (birthDate && indi.birth.place && indi.birth.place !== '?') {
-      events.push({
-        name: displayName, type: 'birth',
-        title: `${displayName} - Birth`,
-        description: `Born: ${indi.birth.date}`,
-        date: birthDate, rawDate: indi.birth.date,
-        place: indi.birth.place, category: 'birth'
-      });
+  const sources = sourceRecords.map(src => ({
+    gedcomId: src.gedcomId,
+    title: src.title || src.abbreviation || src.gedcomId,
+    author: src.author,
+    publication: src.publication,
+    repository: src.repository || repoNames.get(src.repositoryId) || null,
+    text: src.text,
+    note: noteText(src.notes)
+  }));
+  const sourceIds = new Set(sources.map(src => src.gedcomId));
+
+  // Citations pointing at sources missing from the file keep their page and text only
+  const buildCitations = (citations) => citations.map(c => ({
+    sourceId: sourceIds.has(c.sourceId) ? c.sourceId : null,
+    page: c.page,
+    quality: c.quality,
+    text: c.text,
+    note: noteText(c.notes)
+  }));
+
+  const emptyEvent = { date: null, place: null, lat: null, lon: null };
+  for (const indi of individuals) {
+    indi.birth = indi.events.find(e => e.tag === 'BIRT') || emptyEvent;
+    indi.death = indi.events.find(e => e.tag === 'DEAT') || emptyEvent;
+
+    // The first usable NAME is the primary one; the rest are maiden/married/other names
+    for (const nameRecord of indi.names) {
+      nameRecord.display = formatName(nameRecord);
+      if (nameRecord.surnamePrefix && !nameRecord.surname.startsWith(nameRecord.surnamePrefix)) {
+        nameRecord.surname = `${nameRecord.surnamePrefix} ${nameRecord.surname}`.trim();
+      }
     }
+    const named = indi.names.filter(n => n.display);
+    indi.primaryName = named[0] || null;
+    indi.displayName = indi.primaryName ? indi.primaryName.display : '';
+    indi.alternateNames = named.slice(1)
+      .filter(n => n.display !== indi.displayName || n.type)
+      .map(n => ({ name: n.display, given: n.given || null, surname: n.surname || null, type: n.type }));
+  }
 
-    const deathDate = parseDate(indi.death.date);
-    if (deathDate && indi.death.place && indi.death.place !== '?') {
-      events.push({
-        name: displayName, type: 'death',
-        title: `${displayName} - Death`,
-        description: `Died: ${indi.death.date}`,
-        date: deathDate, rawDate: indi.death.date,
-        place: indi.death.place, category: 'death'
-      });
+  // Build events, noting what gets dropped along the way
+  const events = [];
+  const unnamed = [];
+  const unparsedDates = [];
+  for (const indi of individuals) {
+    const displayName = indi.displayName;
+    if (!displayName) {
+      unnamed.push(indi.gedcomId);
+      continue;
     }
 
-    if (indi.burial.place && indi.burial.place !== '?') {
-      const burialDate = deathDate || birthDate;
-      if (burialDate) {
-        events.push({
-          name: displayName, type: 'burial',
-          title: `${displayName} - Burial`,
-          description: `Burial place${indi.death.date ? ` (died: ${indi.death.date})` : ''}`,
-          date: burialDate, rawDate: indi.death.date || indi.birth.date,
-          place: indi.burial.place, category: 'death'
-        });
+    const birthDate = parseDateDetailed(indi.birth.date);
+    const deathDate = parseDateDetailed(indi.death.date);
+    const typeCounts = {};
+
+    for (const evt of indi.events) {
+      const def = INDI_EVENTS[evt.tag];
+      const label = evt.tag === 'EVEN' && evt.type ? evt.type : def.label;
+      const category = evt.tag === 'EVEN' ? categoryForEventType(evt.type) : def.category;
+
+      // Several events of one type (e.g. residences) get numbered keys
+      typeCounts[def.type] = (typeCounts[def.type] || 0) + 1;
+      const key = typeCounts[def.type] === 1
+        ? `${indi.gedcomId}:${def.type}`
+        : `${indi.gedcomId}:${def.type}:${typeCounts[def.type]}`;
+
+      let date = parseDateDetailed(evt.date);
+      if (evt.date && !date) {
+        unparsedDates.push({ gedcomId: indi.gedcomId, name: displayName, type: def.type, date: evt.date });
       }
+
+      let rawDate = evt.date;
+      let description;
+      if (evt.tag === 'BIRT') {
+        description = `Born: ${evt.date}`;
+      } else if (evt.tag === 'DEAT') {
+        description = `Died: ${evt.date}`;
+      } else if (evt.tag === 'BURI' && !date) {
+        // Burials without their own date are placed after the death (or birth) date
+        const fallback = deathDate || birthDate;
+        date = fallback && { ...fallback, qualifier: fallback.qualifier || 'after' };
+        rawDate = indi.death.date || indi.birth.date;
+        description = `Burial place${indi.death.date ? ` (died: ${indi.death.date})` : ''}`;
+      } else {
+        description = `${label}: ${[evt.value, evt.date].filter(Boolean).join(', ')}`;
+      }
+
+      if (!date || !evt.place || evt.place === '?') continue;
+
+      events.push({
+        key, personId: indi.gedcomId, personIds: [indi.gedcomId],
+        name: displayName, type: def.type,
+        title: `${displayName} - ${label}`,
+        description,
+        date: date.date, endDate: date.endDate,
+        datePrecision: date.precision, dateQualifier: date.qualifier,
+        rawDate,
+        place: evt.place, category,
+        lat: evt.lat, lon: evt.lon,
+        notes: noteText(evt.notes),
+        citations: buildCitations(evt.citations),
+        mediaIds: [...evt.mediaIds]
+      });
     }
   }
 
   // Build people array
   const people = individuals
-    .filter(indi => {
-      const name = [indi.givn, indi.surn].filter(Boolean).join(' ').trim();
-      return name.length > 0;
-    })
+    .filter(indi => indi.displayName)
     .map(indi => {
-      const name = [indi.givn, indi.surn].filter(Boolean).join(' ').trim();
-      const displayName = name.split(' ').map(w =>
-        w.charAt(0).toUpperCase() + w.slice(1)
-      ).join(' ');
+      const primary = indi.primaryName;
+      const birth = parseDateDetailed(indi.birth.date) || {};
+      const death = parseDateDetailed(indi.death.date) || {};
       return {
         gedcomId: indi.gedcomId,
-        name: displayName,
+        name: indi.displayName,
+        givenName: primary.given || null,
+        surname: primary.surname || null,
+        namePrefix: primary.prefix || null,
+        nameSuffix: primary.suffix || null,
+        nickname: primary.nickname || null,
+        alternateNames: indi.alternateNames,
         sex: indi.sex,
         birthDate: parseDate(indi.birth.date),
+        birthEndDate: birth.endDate || null,
+        birthDatePrecision: birth.precision || null,
+        birthDateQualifier: birth.qualifier || null,
         birthPlace: indi.birth.place || null,
         deathDate: parseDate(indi.death.date),
-        deathPlace: indi.death.place || null
+        deathEndDate: death.endDate || null,
+        deathDatePrecision: death.precision || null,
+        deathDateQualifier: death.qualifier || null,
+        deathPlace: indi.death.place || null,
+        notes: noteText(indi.notes)
       };
     });
 
-  return { events, people, families: famRecords };
+  // Family events, titled with the couple's names and attached to both spouses
+  const namesById = new Map(people.map(p => [p.gedcomId, p.name]));
+  for (const fam of famRecords) {
+    const spouseIds = [fam.husbandId, fam.wifeId].filter(id => namesById.has(id));
+    if (spouseIds.length === 0) continue;
+    const coupleName = coupleTitle(spouseIds.map(id => namesById.get(id)));
+    const typeCounts = {};
+
+    for (const evt of fam.events) {
+      const def = FAM_EVENTS[evt.tag];
+      typeCounts[def.type] = (typeCounts[def.type] || 0) + 1;
+      const key = typeCounts[def.type] === 1
+        ? `${fam.gedcomFamId}:${def.type}`
+        : `${fam.gedcomFamId}:${def.type}:${typeCounts[def.type]}`;
+
+      const date = parseDateDetailed(evt.date);
+      if (evt.date && !date) {
+        unparsedDates.push({ gedcomId: fam.gedcomFamId, name: coupleName, type: def.type, date: evt.date });
+      }
+      if (!date || !evt.place || evt.place === '?') continue;
+
+      events.push({
+        key, personId: spouseIds[0], personIds: spouseIds, familyId: fam.gedcomFamId,
+        name: coupleName, type: def.type,
+        title: `${coupleName} - ${def.label}`,
+        description: `${def.label}: ${evt.date}`,
+        date: date.date, endDate: date.endDate,
+        datePrecision: date.precision, dateQualifier: date.qualifier,
+        rawDate: evt.date,
+        place: evt.place, category: def.category,
+        lat: evt.lat, lon: evt.lon,
+        notes: noteText(evt.notes),
+        citations: buildCitations(evt.citations),
+        mediaIds: [...evt.mediaIds]
+      });
+    }
+  }
+
+  // Pictures of a person go on their birth (or else earliest) event, and a family's on its first event
+  const attachMedia = (mediaIds, candidates) => {
+    if (mediaIds.length === 0 || candidates.length === 0) return;
+    const target = candidates.find(e => e.type === 'birth') ||
+      [...candidates].sort((a, b) => a.date.localeCompare(b.date))[0];
+    for (const id of mediaIds) {
+      if (!target.mediaIds.includes(id)) target.mediaIds.push(id);
+    }
+  };
+  for (const indi of individuals) {
+    attachMedia(indi.mediaIds, events.filter(e => !e.familyId && e.personId === indi.gedcomId));
+  }
+  for (const fam of famRecords) {
+    attachMedia(fam.mediaIds, events.filter(e => e.familyId === fam.gedcomFamId));
+  }
+
+  const media = mediaRecords.map(({ id, file, title, form }) => ({ id, file, title, form }));
+
+  return { events, people, families: famRecords, sources, media, unnamed, unparsedDates, encoding };
 }
 
-module.exports = { parseGedcom, parseGedcomFull, parseDate };
+// Tags defined by GEDCOM 5.5.1 and 7.0 (CONC/CONT are folded away by readGedcomLines)
+const STANDARD_TAGS = new Set([
+  'ABBR', 'ADDR', 'ADOP', 'ADR1', 'ADR2', 'ADR3', 'AFN', 'AGE', 'AGNC', 'ALIA', 'ANCE', 'ANCI', 'ANUL',
+  'ASSO', 'AUTH', 'BAPL', 'BAPM', 'BARM', 'BASM', 'BIRT', 'BLES', 'BURI', 'CALN', 'CAST', 'CAUS', 'CENS',
+  'CHAN', 'CHAR', 'CHIL', 'CHR', 'CHRA', 'CITY', 'CONF', 'CONL', 'COPR', 'CORP', 'CREA', 'CREM', 'CROP',
+  'CTRY', 'DATA', 'DATE', 'DEAT', 'DESC', 'DESI', 'DEST', 'DIV', 'DIVF', 'DSCR', 'EDUC', 'EMAIL', 'EMIG',
+  'ENDL', 'ENGA', 'EVEN', 'EXID', 'FACT', 'FAM', 'FAMC', 'FAMF', 'FAMS', 'FAX', 'FCOM', 'FILE', 'FONE',
+  'FORM', 'GEDC', 'GIVN', 'GRAD', 'HEAD', 'HEIGHT', 'HUSB', 'IDNO', 'IMMI', 'INDI', 'INIL', 'LANG', 'LATI',
+  'LEFT', 'LEGA', 'LONG', 'MAP', 'MARB', 'MARC', 'MARL', 'MARR', 'MARS', 'MEDI', 'MIME', 'NAME', 'NATI',
+  'NATU', 'NCHI', 'NICK', 'NMR', 'NO', 'NOTE', 'NPFX', 'NSFX', 'OBJE', 'OCCU', 'ORDI', 'ORDN', 'PAGE',
+  'PEDI', 'PHON', 'PHRASE', 'PLAC', 'POST', 'PROB', 'PROP', 'PUBL', 'QUAY', 'REFN', 'RELA', 'RELI', 'REPO',
+  'RESI', 'RESN', 'RETI', 'RFN', 'RIN', 'ROLE', 'ROMN', 'SCHMA', 'SDATE', 'SEX', 'SLGC', 'SLGS', 'SNOTE',
+  'SOUR', 'SPFX', 'SSN', 'STAE', 'STAT', 'SUBM', 'SUBN', 'SURN', 'TAG', 'TEMP', 'TEXT', 'TIME', 'TITL',
+  'TOP', 'TRAN', 'TRLR', 'TYPE', 'UID', 'VERS', 'WIDTH', 'WIFE', 'WWW'
+]);
+
+// Extension tags the importer reads, so they aren't reported as unknown
+const KNOWN_CUSTOM_TAGS = new Set(['_MILT', '_MARNM']);
+
+// Pointer tags -> the record type they must point at
+const POINTER_TARGETS = {
+  HUSB: 'INDI', WIFE: 'INDI', CHIL: 'INDI', ASSO: 'INDI', ALIA: 'INDI',
+  FAMC: 'FAM', FAMS: 'FAM',
+  SOUR: 'SOUR', REPO: 'REPO', OBJE: 'OBJE', NOTE: 'NOTE', SNOTE: 'SNOTE',
+  SUBM: 'SUBM', ANCI: 'SUBM', DESI: 'SUBM'
+};
+
+/**
+ * Check that one date is not before another. Only plain dates are compared (no ABT,
+ * BEF, ranges...), at the coarser of their two precisions, so "1850" vs "MAR 1850" is fine.
+ * @returns {boolean} true when `later` is definitely before `earlier`
+ */
+function isBefore(later, earlier) {
+  if (!later || !earlier || later.qualifier || earlier.qualifier) return false;
+  const precision = coarserPrecision(later.precision, earlier.precision);
+  const length = precision === 'year' ? 4 : precision === 'month' ? 7 : 10;
+  return later.date.substring(0, length) < earlier.date.substring(0, length);
+}
+
+/**
+ * Check a GEDCOM file for the problems that make imports look odd, without importing it
+ * @param {Buffer|string} content - Raw GEDCOM file
+ * @returns {{
+ *   encoding: string,
+ *   counts: { lines, individuals, families, sources },
+ *   brokenXrefs: Array<{ line, record, tag, xref, expected, found }>,
+ *   unlinkedIndividuals: Array<{ gedcomId, name }>,
+ *   unparsedDates: Array<{ line, record, name, event, date }>,
+ *   chronology: Array<{ type, gedcomId, name, message }>,
+ *   unknownTags: Array<{ tag, count, line }>,
+ *   issueCount: number
+ * }}
+ */
+function validateGedcom(content) {
+  const { text, encoding } = Buffer.isBuffer(content)
+    ? decodeGedcom(content)
+    : { text: content, encoding: 'UTF-8' };
+  const lines = readGedcomLines(text);
+  const { individuals, famRecords, sourceRecords } = readGedcomRecords(lines);
+
+  const nameOf = new Map(individuals.map(indi => [
+    indi.gedcomId,
+    indi.names.map(formatName).find(Boolean) || null
+  ]));
+  const recordTypes = new Map(lines.filter(l => l.level === 0 && l.xref).map(l => [l.xref, l.tag]));
+
+  // Walk the lines for pointers, dates and tags, keeping track of the record and event they're in
+  const brokenXrefs = [];
+  const unparsedDates = [];
+  const tagCounts = new Map();
+  let record = null;
+  const parents = [];
+  for (const line of lines) {
+    parents.length = line.level;
+    parents[line.level] = line.tag;
+    if (line.level === 0) record = line.xref;
+
+    const expected = POINTER_TARGETS[line.tag];
+    if (expected && line.level > 0 && /^@[^@\s]+@$/.test(line.value)) {
+      const found = recordTypes.get(line.value) || null;
+      if (found !== expected) {
+        brokenXrefs.push({ line: line.lineNumber, record, tag: line.tag, xref: line.value, expected, found });
+      }
+    }
+
+    if (line.tag === 'DATE' && line.value && !parseDateDetailed(line.value)) {
+      const famRecord = famRecords.find(f => f.gedcomFamId === record);
+      const name = nameOf.get(record) ||
+        (famRecord && coupleTitle([famRecord.husbandId, famRecord.wifeId].map(id => nameOf.get(id)).filter(Boolean))) ||
+        null;
+      unparsedDates.push({ line: line.lineNumber, record, name, event: parents[line.level - 1] || null, date: line.value });
+    }
+
+    if (!STANDARD_TAGS.has(line.tag) && !KNOWN_CUSTOM_TAGS.has(line.tag)) {
+      const entry = tagCounts.get(line.tag) || { tag: line.tag, count: 0, line: line.lineNumber };
+      entry.count++;
+      tagCounts.set(line.tag, entry);
+    }
+  }
+
+  // Individuals that no FAM record lists as a spouse or child
+  const linked = new Set();
+  for (const fam of famRecords) {
+    [fam.husbandId, fam.wifeId, ...fam.childIds].forEach(id => linked.add(id));
+  }
+  const unlinkedIndividuals = individuals
+    .filter(indi => !linked.has(indi.gedcomId))
+    .map(indi => ({ gedcomId: indi.gedcomId, name: nameOf.get(indi.gedcomId) }));
+
+  // Impossible chronology: death before birth, burial before death, child born before a parent
+  const chronology = [];
+  const lifeDates = new Map();
+  for (const indi of individuals) {
+    const find = (tag) => indi.events.find(e => e.tag === tag && e.date);
+    const birth = find('BIRT');
+    const death = find('DEAT');
+    const burial = find('BURI');
+    const dates = {
+      birth: birth && parseDateDetailed(birth.date),
+      death: death && parseDateDetailed(death.date),
+      burial: burial && parseDateDetailed(burial.date)
+    };
+    lifeDates.set(indi.gedcomId, { ...dates, rawBirth: birth && birth.date });
+
+    const name = nameOf.get(indi.gedcomId);
+    if (isBefore(dates.death, dates.birth)) {
+      chronology.push({
+        type: 'death-before-birth', gedcomId: indi.gedcomId, name,
+        message: `Died (${death.date}) before being born (${birth.date})`
+      });
+    }
+    if (isBefore(dates.burial, dates.death)) {
+      chronology.push({
+        type: 'burial-before-death', gedcomId: indi.gedcomId, name,
+        message: `Buried (${burial.date}) before dying (${death.date})`
+      });
+    }
+  }
+  for (const fam of famRecords) {
+    for (const parentId of [fam.husbandId, fam.wifeId].filter(Boolean)) {
+      const parent = lifeDates.get(parentId);
+      if (!parent) continue;
+      for (const childId of fam.childIds) {
+        const child = lifeDates.get(childId);
+        if (child && isBefore(child.birth, parent.birth)) {
+          chronology.push({
+            type: 'child-born-before-parent', gedcomId: childId, name: nameOf.get(childId),
+            message: `Born (${child.rawBirth}) before their parent ${nameOf.get(parentId) || parentId} (${parent.rawBirth}) in ${fam.gedcomFamId}`
+          });
+        }
+      }
+    }
+  }
+
+  const unknownTags = [...tagCounts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+  return {
+    encoding,
+    counts: {
+      lines: lines.length,
+      individuals: individuals.length,
+      families: famRecords.length,
+      sources: sourceRecords.length
+    },
+    brokenXrefs,
+    unlinkedIndividuals,
+    unparsedDates,
+    chronology,
+    unknownTags,
+    issueCount: brokenXrefs.length + unlinkedIndividuals.length + unparsedDates.length +
+      chronology.length + unknownTags.length
+  };
+}
+
+module.exports = {
+  parseGedcom, parseGedcomFull, validateGedcom, parseDate, parseDateDetailed, parseCoordinate, coupleTitle,
+  decodeGedcom, readGedcomLines, buildParseResult,
+  INDI_EVENTS, FAM_EVENTS, DATE_PRECISIONS, DATE_QUALIFIERS, CITATION_QUALITIES
+};
@@ -0,0 +1,534 @@
+/**
+ * GEDCOM X (JSON) import and export
+ * Reads persons, couple and parent-child relationships, facts, places, source descriptions
+ * and agents into the same records the GEDCOM reader produces, and writes stored tree data back out.
+ */
+
+const { buildParseResult, parseDateDetailed, FAM_EVENTS } = require('./gedcomParser');
+const { groupExportEvents, eventDetail, personEventDetail, formatDate, formatDateValue } = require('./gedcomExporter');
+
+const GEDCOMX = 'http://gedcomx.org/';
+
+// GEDCOM X fact types -> GEDCOM tags; other types are read as an EVEN with that TYPE
+const FACT_TAGS = {
+  Birth: 'BIRT',
+  Christening: 'CHR',
+  Baptism: 'BAPM',
+  Death: 'DEAT',
+  Burial: 'BURI',
+  Residence: 'RESI',
+  Census: 'CENS',
+  Immigration: 'IMMI',
+  Emigration: 'EMIG',
+  Naturalization: 'NATU',
+  Occupation: 'OCCU',
+  Education: 'EDUC',
+  MilitaryService: '_MILT',
+  Engagement: 'ENGA',
+  Marriage: 'MARR',
+  Divorce: 'DIV'
+};
+const TAG_FACTS = Object.fromEntries(Object.entries(FACT_TAGS).map(([type, tag]) => [tag, type]));
+
+// Name types <-> alternate name types stored from GEDCOM NAME.TYPE
+const NAME_TYPES = { BirthName: 'birth', MarriedName: 'married', AlsoKnownAs: 'aka' };
+const ALT_NAME_TYPES = { birth: 'BirthName', maiden: 'BirthName', married: 'MarriedName', aka: 'AlsoKnownAs' };
+
+// GEDCOM X has no per-citation quality, only a confidence level on each fact
+const CONFIDENCE_QUALITIES = { High: 3, Medium: 2, Low: 1 };
+
+/**
+ * Whether an upload is a GEDCOM X JSON document
+ */
+function isGedcomX(buffer) {
+  const start = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return start.startsWith('{') && /"(persons|relationships|sourceDescriptions)"/.test(start);
+}
+
+/**
+ * Last part of a type URI ("http://gedcomx.org/Birth" -> "Birth"); custom types written
+ * as "data:,Graduation" give their text
+ */
+function typeName(uri) {
+  if (!uri) return null;
+  if (uri.startsWith('data:,')) return decodeURIComponent(uri.slice(6));
+  return uri.split(/[/#]/).pop();
+}
+
+/**
+ * Id a resource reference points at ({ resource: "#P1" } or { resourceId: "P1" })
+ */
+function refId(ref, key = 'resource') {
+  if (!ref) return null;
+  if (ref[`${key}Id`]) return ref[`${key}Id`];
+  return ref[key] ? String(ref[key]).replace(/^#/, '') : null;
+}
+
+/**
+ * Simple formal date ("+1871-03-03", "+1871-03", "+1871") as a GEDCOM date
+ */
+function simpleFormalDate(value) {
+  const match = String(value || '').match(/^\+?(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(?:T.*)?$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return formatDate(`${year}-${month || '01'}-${day || '01'}`, day ? 'day' : month ? 'month' : 'year');
+}
+
+/**
+ * GEDCOM X formal date as a GEDCOM date string: "A+1850" -> "ABT 1850",
+ * "+1850/+1860" -> "BET 1850 AND 1860", "/+1900" -> "BEF 1900", "+1850/" -> "AFT 1850"
+ */
+function readFormalDate(formal) {
+  if (!formal) return null;
+  const approximate = formal.startsWith('A');
+  const value = approximate ? formal.slice(1) : formal;
+
+  if (value.includes('/')) {
+    const [start, end] = value.split('/').map(simpleFormalDate);
+    if (start && end) return `BET ${start} AND ${end}`;
+    if (start) return `AFT ${start}`;
+    if (end) return `BEF ${end}`;
+    return null;
+  }
+  const date = simpleFormalDate(value);
+  return date && approximate ? `ABT ${date}` : date;
+}
+
+/**
+ * A fact's date as a GEDCOM date string. The original text is used when it parses,
+ * since it keeps qualifiers (EST, CAL, FROM/TO) the formal form can't express.
+ */
+function readFactDate(date) {
+  if (!date) return null;
+  if (date.original && parseDateDetailed(date.original)) return date.original;
+  return readFormalDate(date.formal) || date.original || null;
+}
+
+/**
+ * Parse a GEDCOM X JSON document into the same structure as parseGedcomFull
+ * @param {Buffer} buffer - GEDCOM X JSON file
+ * @returns {Object} parseGedcomFull-style result, with format 'GEDCOM X'
+ */
+function parseGedcomX(buffer) {
+  let doc;
+  try {
+    doc = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error('Not a valid GEDCOM X JSON file');
+  }
+
+  const xrefFor = (id) => `@${id}@`;
+  const places = new Map((doc.places || []).map(place => [place.id, place]));
+  const agents = new Map((doc.agents || []).map(agent => [agent.id, agent]));
+  const descriptions = new Map((doc.sourceDescriptions || []).map(desc => [desc.id, desc]));
+  const agentName = (ref) => {
+    const agent = agents.get(refId(ref));
+    return agent && agent.names && agent.names.length > 0 ? agent.names[0].value : null;
+  };
+  const firstValue = (values) => (values && values.length > 0 ? values[0].value || null : null);
+  const noteTexts = (notes = []) => notes.map(note => note.text).filter(Boolean);
+
+  // Pictures are DigitalArtifact descriptions (or anything with an image media type);
+  // descriptions that are a component of another one are citations of that source
+  const isMedia = (desc) => desc.resourceType === `${GEDCOMX}DigitalArtifact` ||
+    /^image\//.test(desc.mediaType || '');
+  const isCitation = (desc) => Boolean(refId(desc.componentOf, 'description'));
+
+  const mediaIds = (refs = []) => refs
+    .map(ref => descriptions.get(refId(ref, 'description')))
+    .filter(desc => desc && isMedia(desc))
+    .map(desc => xrefFor(desc.id));
+
+  const readCitations = (fact) => {
+    const quality = CONFIDENCE_QUALITIES[typeName(fact.confidence)] ?? null;
+    return (fact.sources || [])
+      .map(ref => descriptions.get(refId(ref, 'description')))
+      .filter(desc => desc && !isMedia(desc))
+      .map(desc => {
+        if (!isCitation(desc)) {
+          return { sourceId: xrefFor(desc.id), page: null, quality, text: null, notes: [] };
+        }
+        const source = descriptions.get(refId(desc.componentOf, 'description'));
+        // Our exports keep the page in the title; elsewhere the citation text is the page
+        const citationText = firstValue(desc.citations);
+        const page = firstValue(desc.titles) ||
+          (source && citationText === (firstValue(source.titles) || firstValue(source.citations)) ? null : citationText);
+        return {
+          sourceId: source ? xrefFor(source.id) : null,
+          page,
+          quality,
+          text: firstValue(desc.descriptions),
+          notes: noteTexts(desc.notes)
+        };
+      });
+  };
+
+  const readFact = (fact) => {
+    const name = typeName(fact.type);
+    const tag = fact.type && fact.type.startsWith(GEDCOMX) && FACT_TAGS[name] ? FACT_TAGS[name] : 'EVEN';
+    const place = fact.place ? places.get(refId(fact.place, 'description')) : null;
+    return {
+      tag,
+      value: fact.value || null,
+      type: tag === 'EVEN' ? name : null,
+      date: readFactDate(fact.date),
+      place: (fact.place && fact.place.original) || (place ? firstValue(place.names) : null),
+      lat: place && typeof place.latitude === 'number' ? place.latitude : null,
+      lon: place && typeof place.longitude === 'number' ? place.longitude : null,
+      citations: readCitations(fact),
+      notes: noteTexts(fact.notes),
+      mediaIds: []
+    };
+  };
+
+  const readName = (name, index) => {
+    const form = (name.nameForms || [])[0] || {};
+    const parts = {};
+    for (const part of form.parts || []) {
+      // Surname particles ("von") are qualified as such, like GEDCOM's SPFX
+      const isParticle = (part.qualifiers || []).some(q => typeName(q.name) === 'Particle');
+      const type = typeName(part.type) === 'Surname' && isParticle ? 'Particle' : typeName(part.type);
+      parts[type] = parts[type] ? `${parts[type]} ${part.value}` : part.value;
+    }
+    // Without parts the full text is split at the last word, keeping
+    // lowercase words before it ("Karl von Berg") as surname particles
+    if (!parts.Given && !parts.Surname && form.fullText) {
+      const words = form.fullText.trim().split(/\s+/);
+      parts.Surname = words.length > 1 ? words.pop() : '';
+      const particles = [];
+      while (words.length > 1 && /^[a-z]/.test(words[words.length - 1])) particles.unshift(words.pop());
+      parts.Particle = particles.join(' ');
+      parts.Given = words.join(' ');
+    }
+    const type = typeName(name.type);
+    return {
+      given: parts.Given || '',
+      surname: parts.Surname || '',
+      surnamePrefix: parts.Particle || '',
+      prefix: parts.Prefix || '',
+      suffix: parts.Suffix || '',
+      nickname: '',
+      type: index === 0 || !type
+        ? null
+        : NAME_TYPES[type] || type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+    };
+  };
+
+  const individuals = (doc.persons || []).map(person => {
+    // Preferred name first; nicknames fill in the primary name's nickname
+    const allNames = [...(person.names || [])].sort((a, b) => Number(Boolean(b.preferred)) - Number(Boolean(a.preferred)));
+    const nicknames = allNames.filter(name => typeName(name.type) === 'Nickname');
+    const names = allNames.filter(name => !nicknames.includes(name)).map(readName);
+    if (names.length > 0 && nicknames.length > 0) names[0].nickname = readName(nicknames[0], 1).given;
+
+    const gender = typeName(person.gender && person.gender.type);
+    return {
+      gedcomId: xrefFor(person.id),
+      sex: gender === 'Male' ? 'M' : gender === 'Female' ? 'F' : null,
+      names,
+      events: (person.facts || []).map(readFact).filter(evt => !FAM_EVENTS[evt.tag]),
+      notes: noteTexts(person.notes),
+      mediaIds: mediaIds(person.media)
+    };
+  });
+  const sexById = new Map(individuals.map(indi => [indi.gedcomId, indi.sex]));
+
+  // Couples become families, with the wife second unless genders say otherwise
+  const famRecords = [];
+  const newFamilyId = () => {
+    let n = famRecords.length + 1;
+    while (famRecords.some(fam => fam.gedcomFamId === xrefFor(`F${n}`))) n++;
+    return xrefFor(`F${n}`);
+  };
+  const relationships = doc.relationships || [];
+  for (const rel of relationships) {
+    if (typeName(rel.type) !== 'Couple') continue;
+    let [husbandId, wifeId] = [rel.person1, rel.person2].map(ref => (refId(ref) ? xrefFor(refId(ref)) : null));
+    if (sexById.get(husbandId) === 'F' || sexById.get(wifeId) === 'M') [husbandId, wifeId] = [wifeId, husbandId];
+    famRecords.push({
+      gedcomFamId: rel.id ? xrefFor(rel.id) : newFamilyId(),
+      husbandId,
+      wifeId,
+      childIds: [],
+      events: (rel.facts || []).map(readFact).filter(evt => FAM_EVENTS[evt.tag]),
+      mediaIds: mediaIds(rel.media)
+    });
+  }
+
+  // Children join the family of their parents' couple, or a family made for their parents
+  const parentsOf = new Map();
+  for (const rel of relationships) {
+    if (typeName(rel.type) !== 'ParentChild' || !refId(rel.person1) || !refId(rel.person2)) continue;
+    const childId = xrefFor(refId(rel.person2));
+    if (!parentsOf.has(childId)) parentsOf.set(childId, []);
+    parentsOf.get(childId).push(xrefFor(refId(rel.person1)));
+  }
+  for (const [childId, parentIds] of parentsOf) {
+    const sameParents = (fam) => {
+      const spouses = [fam.husbandId, fam.wifeId].filter(Boolean);
+      return spouses.length === parentIds.length && parentIds.every(id => spouses.includes(id));
+    };
+    let fam = famRecords.find(sameParents);
+    if (!fam) {
+      const [first, second] = parentIds;
+      const firstIsWife = sexById.get(first) === 'F' || sexById.get(second) === 'M';
+      fam = {
+        gedcomFamId: newFamilyId(),
+        husbandId: firstIsWife ? second || null : first,
+        wifeId: firstIsWife ? first : second || null,
+        childIds: [],
+        events: [],
+        mediaIds: []
+      };
+      famRecords.push(fam);
+    }
+    fam.childIds.push(childId);
+  }
+
+  const sourceRecords = [...descriptions.values()]
+    .filter(desc => !isMedia(desc) && !isCitation(desc))
+    .map(desc => ({
+      gedcomId: xrefFor(desc.id),
+      title: firstValue(desc.titles) || firstValue(desc.citations),
+      abbreviation: null,
+      author: (desc.authors || []).map(agentName).filter(Boolean).join(', ') || null,
+      publication: agentName(desc.publisher),
+      repositoryId: null,
+      repository: agentName(desc.repository),
+      text: firstValue(desc.descriptions),
+      notes: noteTexts(desc.notes)
+    }));
+
+  const mediaRecords = [...descriptions.values()].filter(isMedia).map(desc => ({
+    id: xrefFor(desc.id),
+    file: desc.about || null,
+    title: firstValue(desc.titles),
+    form: desc.mediaType ? desc.mediaType.split('/').pop().toLowerCase() : null
+  }));
+
+  const records = { individuals, famRecords, sourceRecords, repoNames: new Map(), noteRecords: new Map(), mediaRecords };
+  return { ...buildParseResult(records, 'UTF-8'), format: 'GEDCOM X' };
+}
+
+/**
+ * GEDCOM X date for a stored event date: the GEDCOM form as the original text,
+ * plus a formal date ("A+1884", "+1850/+1860", "/+1900")
+ */
+function factDate({ date, endDate, precision, qualifier }) {
+  const original = formatDateValue({ date, endDate, precision, qualifier });
+  if (!original) return null;
+  const formal = (iso) => `+${String(iso).slice(0, precision === 'year' ? 4 : precision === 'month' ? 7 : 10)}`;
+  let value;
+  if (endDate) value = `${formal(date)}/${formal(endDate)}`;
+  else if (qualifier === 'before' || qualifier === 'to') value = `/${formal(date)}`;
+  else if (qualifier === 'after' || qualifier === 'from') value = `${formal(date)}/`;
+  else if (['about', 'estimated', 'calculated'].includes(qualifier)) value = `A${formal(date)}`;
+  else value = formal(date);
+  return { original, formal: value };
+}
+
+/**
+ * Build a GEDCOM X JSON document
+ * @param {Object} data - Same shape as exportGedcom takes ({ user, people, families, events, sources })
+ * @returns {string} GEDCOM X JSON content
+ */
+function exportGedcomX({ user, people, families, events, sources = [] }) {
+  const { personEvents, familyEvents, otherEvents } = groupExportEvents({ people, families, events });
+  const stripXref = (xref) => xref.replace(/^@|@$/g, '');
+  const doc = {
+    persons: [],
+    relationships: [],
+    sourceDescriptions: [],
+    agents: [],
+    places: []
+  };
+
+  const agentIds = new Map();
+  const agentRef = (name) => {
+    if (!agentIds.has(name)) {
+      const id = `A${agentIds.size + 1}`;
+      agentIds.set(name, id);
+      doc.agents.push({ id, names: [{ value: name }] });
+    }
+    return { resource: `#${agentIds.get(name)}` };
+  };
+
+  const sourceTitles = new Map();
+  for (const src of sources) {
+    const id = stripXref(src.gedcom_id);
+    sourceTitles.set(src.gedcom_id, src.title);
+    doc.sourceDescriptions.push({
+      id,
+      resourceType: `${GEDCOMX}PhysicalArtifact`,
+      citations: [{ value: [src.author, src.title, src.publication].filter(Boolean).join('. ') }],
+      titles: [{ value: src.title }],
+      ...(src.author && { authors: [agentRef(src.author)] }),
+      ...(src.publication && { publisher: agentRef(src.publication) }),
+      ...(src.repository && { repository: agentRef(src.repository) }),
+      ...(src.text && { descriptions: [{ value: src.text }] }),
+      ...(src.note && { notes: [{ text: src.note }] })
+    });
+  }
+
+  // One place description per distinct name and position
+  const placeIds = new Map();
+  const factPlace = ({ place, lat, lon }) => {
+    if (!place) return null;
+    const hasCoords = lat !== null && lat !== undefined && lon !== null && lon !== undefined;
+    const key = `${place}|${hasCoords ? `${lat},${lon}` : ''}`;
+    if (!placeIds.has(key)) {
+      const id = `PL${placeIds.size + 1}`;
+      placeIds.set(key, id);
+      doc.places.push({ id, names: [{ value: place }], ...(hasCoords && { latitude: lat, longitude: lon }) });
+    }
+    return { original: place, description: `#${placeIds.get(key)}` };
+  };
+
+  // Each citation is a description that is a component of its source, titled with the page.
+  // A source written out only in the citation becomes a description of its own.
+  let citationCount = 0;
+  const factSources = (citations = []) => citations.map(citation => {
+    const id = `C${++citationCount}`;
+    const sourceTitle = sourceTitles.get(citation.source_gedcom_id);
+    const note = citation.note ? { notes: [{ text: citation.note }] } : {};
+    if (sourceTitle) {
+      doc.sourceDescriptions.push({
+        id,
+        citations: [{ value: [sourceTitle, citation.page].filter(Boolean).join(', ') }],
+        ...(citation.page && { titles: [{ value: citation.page }] }),
+        componentOf: { description: `#${stripXref(citation.source_gedcom_id)}` },
+        ...(citation.text && { descriptions: [{ value: citation.text }] }),
+        ...note
+      });
+    } else {
+      doc.sourceDescriptions.push({
+        id,
+        citations: [{ value: [citation.text, citation.page].filter(Boolean).join(', ') }],
+        titles: [{ value: citation.text || citation.page }],
+        ...note
+      });
+    }
+    return { description: `#${id}` };
+  });
+
+  const CONFIDENCE = { 0: 'Low', 1: 'Low', 2: 'Medium', 3: 'High' };
+  const buildFact = (type, detail, { value, notes, citations = [] } = {}) => {
+    const qualities = citations.map(c => c.quality).filter(q => q !== null && q !== undefined);
+    const fact = {
+      type: type.startsWith(GEDCOMX) ? type : `data:,${encodeURIComponent(type)}`,
+      ...(value && { value })
+    };
+    const date = factDate(detail);
+    if (date) fact.date = date;
+    const place = factPlace(detail);
+    if (place) fact.place = place;
+    if (notes) fact.notes = notes.map(text => ({ text }));
+    if (citations.length > 0) fact.sources = factSources(citations);
+    if (qualities.length > 0) fact.confidence = `${GEDCOMX}${CONFIDENCE[Math.max(...qualities)]}`;
+    return fact;
+  };
+  const GENDERS = { M: 'Male', F: 'Female' };
+  const factType = (tag, label) => (tag ? `${GEDCOMX}${TAG_FACTS[tag]}` : label);
+
+  // Without stored name parts the display name is split at the last word
+  const nameForm = ({ name, given, surname, surnamePrefix, prefix, suffix }) => {
+    if (!given && !surname) {
+      const words = String(name).trim().split(/\s+/);
+      surname = words.length > 1 ? words.pop() : '';
+      given = words.join(' ');
+    }
+    const particle = surnamePrefix && surname.startsWith(`${surnamePrefix} `) ? surnamePrefix : null;
+    const parts = [
+      prefix && { type: `${GEDCOMX}Prefix`, value: prefix },
+      given && { type: `${GEDCOMX}Given`, value: given },
+      particle && { type: `${GEDCOMX}Surname`, value: particle, qualifiers: [{ name: `${GEDCOMX}Particle` }] },
+      surname && { type: `${GEDCOMX}Surname`, value: particle ? surname.slice(particle.length + 1) : surname },
+      suffix && { type: `${GEDCOMX}Suffix`, value: suffix }
+    ].filter(Boolean);
+    return { nameForms: [{ fullText: name, parts }] };
+  };
+
+  for (const person of people) {
+    const owned = personEvents.get(person.gedcom_id);
+    const labels = new Set(owned.map(({ label }) => label));
+    // A lowercase particle kept in the display name ("Johann von Berg") came from a surname prefix
+    const particle = person.surname && person.name.includes(person.surname)
+      ? (person.surname.match(/^([a-z][\w']*) \S/) || [])[1]
+      : null;
+    const names = [
+      {
+        type: `${GEDCOMX}BirthName`,
+        preferred: true,
+        ...nameForm({
+          name: person.name, given: person.given_name, surname: person.surname, surnamePrefix: particle,
+          prefix: person.name_prefix, suffix: person.name_suffix
+        })
+      },
+      ...(person.alternate_names || []).map(alt => ({
+        ...(alt.type && { type: `${GEDCOMX}${ALT_NAME_TYPES[alt.type] || 'AlsoKnownAs'}` }),
+        ...nameForm(alt)
+      }))
+    ];
+    if (person.nickname) names.push({ type: `${GEDCOMX}Nickname`, ...nameForm({ name: person.nickname, given: person.nickname }) });
+
+    const facts = [];
+    // Birth/death known only from the person record (e.g. no place to map)
+    if (!labels.has('Birth') && (person.birth_date || person.birth_place)) {
+      facts.push(buildFact(`${GEDCOMX}Birth`, personEventDetail(person, 'birth')));
+    }
+    if (!labels.has('Death') && (person.death_date || person.death_place)) {
+      facts.push(buildFact(`${GEDCOMX}Death`, personEventDetail(person, 'death')));
+    }
+    for (const { evt, label, tag } of owned) {
+      facts.push(buildFact(factType(tag, label), eventDetail(evt), {
+        notes: evt.notes && [evt.notes], citations: evt.citations
+      }));
+    }
+
+    doc.persons.push({
+      id: stripXref(person.gedcom_id),
+      ...(GENDERS[person.sex] && { gender: { type: `${GEDCOMX}${GENDERS[person.sex]}` } }),
+      names,
+      ...(facts.length > 0 && { facts }),
+      ...(person.notes && { notes: [{ text: person.notes }] })
+    });
+  }
+
+  // Everything not tied to a GEDCOM person is kept on a person for the account holder
+  if (otherEvents.length > 0) {
+    doc.persons.push({
+      id: `U${user.id}`,
+      names: [{ preferred: true, ...nameForm({ name: user.name || 'Ancestry Atlas user' }) }],
+      facts: otherEvents.map(evt => buildFact(evt.title, eventDetail(evt), {
+        notes: [evt.description, evt.notes].filter(Boolean), citations: evt.citations
+      }))
+    });
+  }
+
+  const personIds = new Set(people.map(p => p.gedcom_id));
+  const ref = (xref) => ({ resource: `#${stripXref(xref)}` });
+  for (const fam of families) {
+    const parents = [fam.husbandId, fam.wifeId].filter(id => id && personIds.has(id));
+    if (parents.length === 2) {
+      const facts = (familyEvents.get(fam.gedcomFamId) || []).map(({ evt, tag }) => buildFact(
+        factType(tag), eventDetail(evt), { notes: evt.notes && [evt.notes], citations: evt.citations }
+      ));
+      doc.relationships.push({
+        id: stripXref(fam.gedcomFamId),
+        type: `${GEDCOMX}Couple`,
+        person1: ref(parents[0]),
+        person2: ref(parents[1]),
+        ...(facts.length > 0 && { facts })
+      });
+    }
+    for (const childId of fam.childIds.filter(id => personIds.has(id))) {
+      for (const parentId of parents) {
+        doc.relationships.push({ type: `${GEDCOMX}ParentChild`, person1: ref(parentId), person2: ref(childId) });
+      }
+    }
+  }
+
+  return JSON.stringify(doc, null, 2);
+}
+
+module.exports = { isGedcomX, parseGedcomX, exportGedcomX };
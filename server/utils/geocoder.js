@@ -1,34 +1,40 @@
 /**
- * Geocoder utility using Nominatim API with caching and rate limiting
+ * Geocoder utility with pluggable providers, caching and rate limiting
+ * Providers (utils/geocoders) are chosen with GEOCODERS and tried in order, so an
+ * offline gazetteer can answer when Nominatim or Photon can't be reached.
+ * Results are cached in the database (geocode_cache), so re-imports and restarts
+ * don't query the providers again for places they have already answered
  */
 
-const https = require('https');
-const http = require('http');
+const config = require('../config/config');
+const { geocodeCacheQueries } = require('../models/database');
+const { createNominatimProvider } = require('./geocoders/nominatim');
+const { createPhotonProvider } = require('./geocoders/photon');
+const { createGazetteerProvider } = require('./geocoders/gazetteer');
 
-// In-memory cache for geocoding results
-const cache = new Map();
+// When places that weren't found, or whose lookup failed, are tried again (SQLite date modifiers)
+const NOT_FOUND_RETRY = '+30 days';
+const FAILED_RETRY = '+1 hour';
 
 /**
  * Clean place names for better geocoding results
- * Handles historical names like Ceylon → Sri Lanka, strips parentheticals, etc.
+ * Strips GEDCOM annotations and stray punctuation; old and misspelt names are
+ * rewritten beforehand from the place name dictionary (utils/placeNames)
  */
 function cleanPlaceName(place) {
   if (!place || place === '?') return null;
 
-  let cleaned = place
+  const cleaned = place
     // Remove " - Burial" suffix and similar annotations
     .replace(/\s*-\s*Burial.*$/i, '')
-    // Replace "Ceylon" with "Sri Lanka"
-    .replace(/\bCeylon\b/gi, 'Sri Lanka')
-    // Remove parenthetical annotations like "(Sri Lanka)" since we already have Sri Lanka
-    .replace(/\(Sri Lanka\)/gi, '')
-    // Remove "(Ceylon)" since we replaced it
-    .replace(/\(Ceylon\)/gi, '')
-    // Clean "Colombo, Western Prov., Ceylon. (Sri Lanka)" patterns
-    .replace(/Western Prov\./gi, 'Western Province')
-    // Strip common GEDCOM noise
-    .replace(/\bEngnd\b/gi, 'England')
-    .replace(/\bBelgique\b/gi, 'Belgium')
+    // Remove parenthetical annotations that repeat a name already in the place,
+    // like "Colombo, Sri Lanka. (Sri Lanka)"
+    .replace(/\s*\(([^()]*)\)/g, (match, inner, offset, str) => {
+      const rest = (str.slice(0, offset) + str.slice(offset + match.length)).toLowerCase();
+      return inner.trim() && rest.includes(inner.trim().toLowerCase()) ? '' : match;
+    })
+    // A trailing annotation like "Galle (Sri Lanka)" is the wider area
+    .replace(/\s*\(([^()]+)\)\s*$/, ', $1')
     // Remove extra commas and whitespace
     .replace(/,\s*,/g, ',')
     .replace(/,\s*$/g, '')
@@ -36,17 +42,13 @@ function cleanPlaceName(place) {
     .replace(/\s+/g, ' ')
     .trim();
 
-  // Handle "Brugge" without country - add Belgium
-  if (/^Brugge$/i.test(cleaned)) {
-    cleaned = 'Brugge, Belgium';
-  }
-
-  // Handle "Kolberg" - historical name for Kołobrzeg, Poland
-  if (/^Kolberg$/i.test(cleaned)) {
-    cleaned = 'Kołobrzeg, Poland';
-  }
+  // Drop a part that repeats the one before it ("Sri Lanka., Sri Lanka")
+  const parts = cleaned.split(',').map(p => p.trim());
+  const key = (part) => part.replace(/\.$/, '').toLowerCase();
+  const unique = parts.filter((part, i) => i === 0 || key(part) !== key(parts[i - 1]));
+  const result = unique.length < parts.length ? unique.join(', ') : cleaned;
 
-  return cleaned || null;
+  return result || null;
 }
 
 /**
@@ -56,108 +58,114 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+const PROVIDERS = {
+  nominatim: () => createNominatimProvider(config.nominatimUrl),
+  photon: () => createPhotonProvider(config.photonUrl),
+  gazetteer: () => createGazetteerProvider(config.gazetteerPath)
+};
+
 /**
- * Make an HTTPS GET request and return parsed JSON
+ * Build the provider chain from configured names, failing at startup on a typo
+ * @param {string[]} names
  */
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    const req = client.get(url, {
-      headers: {
-        'User-Agent': 'AncestryAtlas/1.0 (educational genealogy project)',
-        'Accept': 'application/json'
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Failed to parse JSON response'));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.setTimeout(10000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+function createProviders(names) {
+  return names.map(name => {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown geocoder "${name}" in GEOCODERS (use ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[name]();
   });
 }
 
-let lastRequestTime = 0;
+const providers = createProviders(config.geocoders);
+
+// Last request per provider, for providers with a minimum interval between requests
+const lastRequestTimes = new Map();
+
+/**
+ * Ask one provider, waiting out its rate limit first
+ */
+async function searchProvider(provider, query) {
+  if (provider.minInterval > 0) {
+    const elapsed = Date.now() - (lastRequestTimes.get(provider.name) || 0);
+    if (elapsed < provider.minInterval) {
+      await sleep(provider.minInterval - elapsed);
+    }
+    lastRequestTimes.set(provider.name, Date.now());
+  }
+  return provider.search(query);
+}
 
 /**
- * Geocode a place name using Nominatim API
+ * Geocode a place name with the configured providers
  * @param {string} place - Raw place name from GEDCOM
- * @returns {Promise<{lat: number, lon: number} | null>}
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Ask the providers again instead of using a cached
+ *   result (an admin's correction in the cache still stands)
+ * @returns {Promise<{lat: number, lon: number, precision: string|null} | null>} precision is
+ *   one of LOCATION_PRECISIONS (utils/coordinates), null when unknown
  */
-async function geocode(place) {
+async function geocode(place, { refresh = false } = {}) {
   const cleaned = cleanPlaceName(place);
   if (!cleaned) return null;
 
-  // Check cache
-  if (cache.has(cleaned)) {
-    return cache.get(cleaned);
+  // Check cache (negative results count until their retry time)
+  const cached = geocodeCacheQueries.findUsable(cleaned);
+  if (cached && (!refresh || cached.status === 'manual')) {
+    return cached.latitude !== null
+      ? { lat: cached.latitude, lon: cached.longitude, precision: cached.precision }
+      : null;
   }
 
-  // Rate limit: at least 1 second between requests
-  const now = Date.now();
-  const elapsed = now - lastRequestTime;
-  if (elapsed < 1100) {
-    await sleep(1100 - elapsed);
+  // Try the full name, then a simplified version: just the last 2 parts (city, country)
+  const queries = [cleaned];
+  const parts = cleaned.split(',').map(p => p.trim());
+  if (parts.length > 2) {
+    queries.push(parts.slice(-2).join(', '));
   }
-  lastRequestTime = Date.now();
-
-  try {
-    const query = encodeURIComponent(cleaned);
-    const url = `https://nominatim.openstreetmap.org/search?q=${query}&format=json&limit=1`;
-    const results = await fetchJson(url);
-
-    if (results && results.length > 0) {
-      const result = { lat: parseFloat(results[0].lat), lon: parseFloat(results[0].lon) };
-      cache.set(cleaned, result);
-      return result;
-    }
 
-    // Try a simplified version: just take last 2-3 parts (city, country)
-    const parts = cleaned.split(',').map(p => p.trim());
-    if (parts.length > 2) {
-      const simplified = parts.slice(-2).join(', ');
-      await sleep(1100);
-      lastRequestTime = Date.now();
-
-      const url2 = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(simplified)}&format=json&limit=1`;
-      const results2 = await fetchJson(url2);
-
-      if (results2 && results2.length > 0) {
-        const result = { lat: parseFloat(results2[0].lat), lon: parseFloat(results2[0].lon) };
-        cache.set(cleaned, result);
-        return result;
+  let failed = false;
+  for (const query of queries) {
+    for (const provider of providers) {
+      try {
+        const result = await searchProvider(provider, query);
+        if (result) {
+          const found = { lat: result.lat, lon: result.lon, precision: result.precision || null };
+          geocodeCacheQueries.save(cleaned, found.lat, found.lon, 'found', null, provider.name, found.precision);
+          return found;
+        }
+      } catch (err) {
+        // Fall through to the next provider
+        console.error(`Geocoding failed for "${query}" (${provider.name}):`, err.message);
+        failed = true;
       }
     }
+  }
+
+  // A refresh that finds nothing leaves the earlier result cached
+  if (refresh && cached) return null;
 
-    // Cache null so we don't retry
-    cache.set(cleaned, null);
-    return null;
-  } catch (err) {
-    console.error(`Geocoding failed for "${cleaned}":`, err.message);
-    cache.set(cleaned, null);
-    return null;
+  // Network errors, timeouts and error responses (rate limits, outages) are usually temporary:
+  // retry sooner than a real miss
+  if (failed) {
+    geocodeCacheQueries.save(cleaned, null, null, 'failed', FAILED_RETRY, null);
+  } else {
+    geocodeCacheQueries.save(cleaned, null, null, 'not_found', NOT_FOUND_RETRY, null);
   }
+  return null;
 }
 
 /**
  * Geocode multiple unique places with progress callback
  * @param {string[]} places - Array of place names
  * @param {function} onProgress - Called with (completed, total) counts
- * @returns {Promise<Map<string, {lat, lon}>>}
+ * @returns {Promise<Map<string, {lat, lon, precision}>>}
  */
 async function geocodeAll(places, onProgress) {
   const unique = [...new Set(places.filter(p => p && p !== '?'))];
   const results = new Map();
   let completed = 0;
+  if (onProgress) onProgress(completed, unique.length);
 
   for (const place of unique) {
     const coords = await geocode(place);
@@ -0,0 +1,152 @@
+/**
+ * Offline geocoding provider backed by a place file in the GeoNames format
+ * (tab-separated: geonameid, name, asciiname, alternatenames, latitude, longitude,
+ * feature class, feature code, country code, cc2, admin1 code, admin2 code, ..., population).
+ * The bundled data/gazetteer.txt is a small selection; a GeoNames cities*.txt dump works as well.
+ */
+
+const fs = require('fs');
+
+// Letters that don't decompose into a base letter and a combining accent
+const SPECIAL_LETTERS = { 'ł': 'l', 'ø': 'o', 'æ': 'ae', 'ß': 'ss', 'đ': 'd' };
+
+/**
+ * Normalize a place name for lookup: lower case, no accents or full stops
+ * ("Łódź" -> "lodz", "St. Peters" -> "st peters")
+ */
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[łøæßđ]/g, ch => SPECIAL_LETTERS[ch])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/’/g, "'")
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read a GeoNames-format file into a map of normalized name -> places.
+ * Only populated places (class P) and administrative areas (class A) are kept.
+ */
+function loadGazetteer(filePath) {
+  const index = new Map();
+  const add = (name, place) => {
+    const key = normalizeName(name);
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    const places = index.get(key);
+    if (!places.includes(place)) places.push(place);
+  };
+
+  for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const fields = line.split('\t');
+    const featureClass = fields[6];
+    if (featureClass !== 'P' && featureClass !== 'A') continue;
+
+    const place = {
+      name: fields[1],
+      lat: parseFloat(fields[4]),
+      lon: parseFloat(fields[5]),
+      featureClass,
+      featureCode: fields[7],
+      countryCode: fields[8],
+      admin1: fields[10] || null,
+      population: parseInt(fields[14]) || 0
+    };
+    add(fields[1], place);
+    add(fields[2], place);
+    for (const alt of (fields[3] || '').split(',')) add(alt, place);
+  }
+
+  return index;
+}
+
+/**
+ * Precision of a gazetteer place: towns (class P), countries (PCL...), first-level regions
+ * (ADM1, and the constituent countries of the UK) and counties (ADM2 and below)
+ */
+function placePrecision(place) {
+  if (place.featureClass === 'P') return 'town';
+  if (place.featureCode.startsWith('PCL')) return 'country';
+  if (place.featureCode === 'ADM1') return 'region';
+  return 'county';
+}
+
+/**
+ * Find a place such as "Faringdon, Berkshire, England". The last part narrows the search
+ * to a country (or a region like England or New South Wales); the other parts are tried
+ * from the most specific, preferring places in a region the name mentions, then towns
+ * over areas, then larger populations.
+ * @param {Map} index - loadGazetteer output
+ * @param {string} query
+ * @returns {{lat: number, lon: number, precision: string} | null}
+ */
+function searchGazetteer(index, query) {
+  const parts = query.split(',').map(normalizeName).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  let countryCode = null;
+  let candidates = parts;
+  if (parts.length > 1) {
+    const areas = (index.get(parts[parts.length - 1]) || []).filter(p => p.featureClass === 'A');
+    const region = areas.find(p => p.featureCode.startsWith('PCL')) || areas[0];
+    if (region) {
+      countryCode = region.countryCode;
+      candidates = parts.slice(0, -1);
+    }
+  }
+  const inCountry = (place) => !countryCode || place.countryCode === countryCode;
+
+  // Regions named anywhere in the place (Berkshire, England) favour towns inside them
+  const admin1Codes = new Set();
+  for (const part of parts) {
+    for (const place of index.get(part) || []) {
+      if (place.featureClass === 'A' && place.admin1 && inCountry(place)) admin1Codes.add(place.admin1);
+    }
+  }
+
+  const rank = (place) => [
+    admin1Codes.has(place.admin1) ? 0 : 1,
+    place.featureClass === 'P' ? 0 : 1,
+    -place.population
+  ];
+  const compare = (a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  };
+
+  for (const part of candidates) {
+    const matches = (index.get(part) || []).filter(inCountry);
+    if (matches.length > 0) {
+      const best = matches.sort(compare)[0];
+      return { lat: best.lat, lon: best.lon, precision: placePrecision(best) };
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} filePath - GeoNames-format file, read on first use
+ * @returns {{ name: string, minInterval: number, search: function(string): Promise<{lat, lon, precision}|null> }}
+ */
+function createGazetteerProvider(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Gazetteer file not found: ${filePath}`);
+  }
+  let index = null;
+
+  return {
+    name: 'gazetteer',
+    minInterval: 0,
+    async search(query) {
+      if (!index) index = loadGazetteer(filePath);
+      return searchGazetteer(index, query);
+    }
+  };
+}
+
+module.exports = { createGazetteerProvider, loadGazetteer, searchGazetteer, normalizeName };
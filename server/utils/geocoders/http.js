@@ -0,0 +1,48 @@
+/**
+ * HTTP helper shared by the online geocoding providers
+ */
+
+const https = require('https');
+const http = require('http');
+
+/**
+ * Make an HTTPS GET request and return parsed JSON. Responses other than 2xx (such as a
+ * rate limit's 429 or an error page) are rejected with their status, so the geocoder counts
+ * them as failed lookups rather than places that weren't found.
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https') ? https : http;
+    const req = client.get(url, {
+      headers: {
+        'User-Agent': 'AncestryAtlas/1.0 (educational genealogy project)',
+        'Accept': 'application/json'
+      }
+    }, (res) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        const err = new Error(`Request failed with status ${res.statusCode}`);
+        err.status = res.statusCode;
+        reject(err);
+        return;
+      }
+
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Failed to parse JSON response'));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+module.exports = { fetchJson };
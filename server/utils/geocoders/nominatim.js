@@ -0,0 +1,46 @@
+/**
+ * Nominatim geocoding provider: the public OpenStreetMap server or a self-hosted one
+ */
+
+const { fetchJson } = require('./http');
+
+const PUBLIC_URL = 'https://nominatim.openstreetmap.org';
+
+/**
+ * Precision of a result from its place_rank (see Nominatim's "Place ranking" docs):
+ * 4 country, 5-9 state, 10-12 county, 13-25 city down to neighbourhood, 26+ street and house
+ */
+function precisionFromRank(rank) {
+  if (rank <= 4) return 'country';
+  if (rank <= 9) return 'region';
+  if (rank <= 12) return 'county';
+  if (rank <= 25) return 'town';
+  return 'address';
+}
+
+/**
+ * @param {string} [baseUrl] - Self-hosted server; the public server (one request per second) when omitted
+ * @returns {{ name: string, minInterval: number, search: function(string): Promise<{lat, lon, precision}|null> }}
+ */
+function createNominatimProvider(baseUrl) {
+  const url = (baseUrl || PUBLIC_URL).replace(/\/+$/, '');
+
+  return {
+    name: 'nominatim',
+    // Usage policy of the public server; self-hosted servers aren't throttled
+    minInterval: url === PUBLIC_URL ? 1100 : 0,
+    async search(query) {
+      // jsonv2 for place_rank
+      const results = await fetchJson(`${url}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=1`);
+      if (!results || results.length === 0) return null;
+      const rank = parseInt(results[0].place_rank);
+      return {
+        lat: parseFloat(results[0].lat),
+        lon: parseFloat(results[0].lon),
+        precision: Number.isNaN(rank) ? null : precisionFromRank(rank)
+      };
+    }
+  };
+}
+
+module.exports = { createNominatimProvider };
@@ -0,0 +1,42 @@
+/**
+ * Photon geocoding provider (OpenStreetMap data, GeoJSON responses): photon.komoot.io or a self-hosted server
+ */
+
+const { fetchJson } = require('./http');
+
+const PUBLIC_URL = 'https://photon.komoot.io';
+
+// Precision of a result from its type; other types (such as 'other') are points of interest
+const PRECISIONS = {
+  house: 'address',
+  street: 'address',
+  locality: 'town',
+  district: 'town',
+  city: 'town',
+  county: 'county',
+  state: 'region',
+  country: 'country'
+};
+
+/**
+ * @param {string} [baseUrl] - Self-hosted server; the public server when omitted
+ * @returns {{ name: string, minInterval: number, search: function(string): Promise<{lat, lon, precision}|null> }}
+ */
+function createPhotonProvider(baseUrl) {
+  const url = (baseUrl || PUBLIC_URL).replace(/\/+$/, '');
+
+  return {
+    name: 'photon',
+    // The public server is shared: keep to Nominatim's pace there too
+    minInterval: url === PUBLIC_URL ? 1100 : 0,
+    async search(query) {
+      const result = await fetchJson(`${url}/api?q=${encodeURIComponent(query)}&limit=1`);
+      const feature = result && result.features && result.features[0];
+      if (!feature) return null;
+      const [lon, lat] = feature.geometry.coordinates;
+      return { lat, lon, precision: PRECISIONS[feature.properties && feature.properties.type] || 'address' };
+    }
+  };
+}
+
+module.exports = { createPhotonProvider };
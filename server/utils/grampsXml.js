@@ -0,0 +1,516 @@
+/**
+ * Gramps XML import and export (.gramps files, gzipped or plain)
+ * Reads people, families, events, places, citations, sources, notes and media objects into
+ * the same records the GEDCOM reader produces, and writes stored tree data back out.
+ */
+
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+const { buildParseResult, parseCoordinate, FAM_EVENTS } = require('./gedcomParser');
+const { groupExportEvents, eventDetail, personEventDetail, formatDate, formatDateValue } = require('./gedcomExporter');
+const { MAX_UNPACKED_BYTES, invalidUpload } = require('./gedcomArchive');
+
+// Gramps event types -> GEDCOM tags; any other type is read as an EVEN with that TYPE
+const EVENT_TAGS = {
+  Birth: 'BIRT',
+  Christening: 'CHR',
+  Baptism: 'BAPM',
+  Death: 'DEAT',
+  Burial: 'BURI',
+  Residence: 'RESI',
+  Census: 'CENS',
+  Immigration: 'IMMI',
+  Emigration: 'EMIG',
+  Naturalization: 'NATU',
+  Occupation: 'OCCU',
+  Education: 'EDUC',
+  'Military Service': '_MILT',
+  Engagement: 'ENGA',
+  Marriage: 'MARR',
+  Divorce: 'DIV'
+};
+const TAG_TYPES = Object.fromEntries(Object.entries(EVENT_TAGS).map(([type, tag]) => [tag, type]));
+
+// Gramps keeps an occupation or degree in the event description, where GEDCOM has the tag's value
+const VALUE_TAGS = ['OCCU', 'EDUC'];
+
+// dateval type/quality -> GEDCOM date modifier
+const DATEVAL_MODIFIERS = { about: 'ABT', before: 'BEF', after: 'AFT', estimated: 'EST', calculated: 'CAL' };
+
+// Gramps name types <-> alternate name types stored from GEDCOM NAME.TYPE
+const NAME_TYPES = { 'Birth Name': 'birth', 'Married Name': 'married', 'Also Known As': 'aka' };
+const ALT_NAME_TYPES = { birth: 'Birth Name', maiden: 'Birth Name', married: 'Married Name', aka: 'Also Known As' };
+
+// Elements that can repeat, so the parser always returns them as arrays
+const LIST_ELEMENTS = new Set([
+  'event', 'person', 'family', 'citation', 'source', 'placeobj', 'object', 'repository', 'note',
+  'name', 'surname', 'eventref', 'childref', 'childof', 'parentin', 'citationref', 'noteref',
+  'objref', 'reporef', 'placeref', 'pname'
+]);
+
+/**
+ * Whether an upload is a Gramps XML file: gzipped (how Gramps saves .gramps files)
+ * or plain XML with a Gramps <database> root
+ */
+function isGrampsXml(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return true;
+  const start = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return start.startsWith('<') && /<database[\s>]/.test(start) && /gramps/i.test(start);
+}
+
+/**
+ * Text content of an element that may also carry attributes
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+}
+
+/**
+ * Gramps date value ("1871-03-03", "1871-03", "1871") as a GEDCOM date ("3 MAR 1871")
+ */
+function grampsDate(val) {
+  const match = String(val || '').match(/^(\d{3,4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const hasMonth = month && month !== '00';
+  const hasDay = hasMonth && day && day !== '00';
+  return formatDate(
+    `${year.padStart(4, '0')}-${hasMonth ? month : '01'}-${hasDay ? day : '01'}`,
+    hasDay ? 'day' : hasMonth ? 'month' : 'year'
+  );
+}
+
+/**
+ * Read the date of a Gramps event or citation as a GEDCOM date string
+ * (dateval with type/quality, daterange -> BET/AND, datespan -> FROM/TO, datestr as written)
+ */
+function readDate(node) {
+  if (node.dateval) {
+    const date = grampsDate(node.dateval.val);
+    if (!date) return null;
+    const modifier = DATEVAL_MODIFIERS[node.dateval.type] || DATEVAL_MODIFIERS[node.dateval.quality];
+    return modifier ? `${modifier} ${date}` : date;
+  }
+  for (const [element, first, second] of [['daterange', 'BET', 'AND'], ['datespan', 'FROM', 'TO']]) {
+    if (!node[element]) continue;
+    const start = grampsDate(node[element].start);
+    const stop = grampsDate(node[element].stop);
+    if (start && stop) return `${first} ${start} ${second} ${stop}`;
+    return start || stop;
+  }
+  return node.datestr ? text(node.datestr.val) || null : null;
+}
+
+/**
+ * Unzip a gzipped .gramps file, with the same limit as the contents of a ZIP upload so a
+ * small file can't inflate to gigabytes
+ */
+function gunzipGramps(buffer) {
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_BYTES });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw invalidUpload(`The Gramps file is too large: it unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+    }
+    throw invalidUpload(`The Gramps file can't be unzipped: ${err.message}`);
+  }
+}
+
+/**
+ * Parse a Gramps XML file into the same structure as parseGedcomFull
+ * @param {Buffer} buffer - .gramps file (gzipped or plain XML)
+ * @returns {Object} parseGedcomFull-style result, with format 'Gramps XML'
+ */
+function parseGramps(buffer) {
+  const xml = buffer[0] === 0x1f && buffer[1] === 0x8b ? gunzipGramps(buffer) : buffer;
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    isArray: (name) => LIST_ELEMENTS.has(name)
+  });
+  const database = parser.parse(xml.toString('utf8').replace(/^\uFEFF/, '')).database;
+  if (!database) throw invalidUpload('Not a Gramps XML file (no <database> element)');
+
+  const list = (section, element) => (database[section] && database[section][element]) || [];
+  const byHandle = (items) => new Map(items.map(item => [item.handle, item]));
+  const xrefFor = (item) => `@${item.id || item.handle}@`;
+
+  const notes = byHandle(list('notes', 'note'));
+  const places = byHandle(list('places', 'placeobj'));
+  const citations = byHandle(list('citations', 'citation'));
+  const sources = byHandle(list('sources', 'source'));
+  const repositories = byHandle(list('repositories', 'repository'));
+  const objects = byHandle(list('objects', 'object'));
+  const events = byHandle(list('events', 'event'));
+  const people = byHandle(list('people', 'person'));
+  const families = byHandle(list('families', 'family'));
+
+  // Transcripts become a citation's or source's text; every other note is kept as a note
+  const noteTexts = (refs = [], { transcript = false } = {}) => refs
+    .map(ref => notes.get(ref.hlink))
+    .filter(note => note && (note.type === 'Transcript') === transcript)
+    .map(note => text(note.text))
+    .filter(Boolean);
+  const mediaIds = (refs = []) => refs
+    .map(ref => objects.get(ref.hlink))
+    .filter(Boolean)
+    .map(xrefFor);
+
+  // Gramps 4+ stores a place as its own name plus the place enclosing it
+  const placeTitle = (handle, seen = new Set()) => {
+    const place = places.get(handle);
+    if (!place || seen.has(handle)) return null;
+    seen.add(handle);
+    if (text(place.ptitle)) return text(place.ptitle);
+    const name = place.pname && place.pname.length > 0 ? text(place.pname[0].value) : '';
+    const parent = place.placeref && place.placeref.length > 0 ? placeTitle(place.placeref[0].hlink, seen) : null;
+    return [name, parent].filter(Boolean).join(', ') || null;
+  };
+
+  const readCitations = (refs = []) => refs
+    .map(ref => citations.get(ref.hlink))
+    .filter(Boolean)
+    .map(citation => {
+      const source = citation.sourceref && sources.get(citation.sourceref.hlink);
+      const confidence = parseInt(text(citation.confidence), 10);
+      return {
+        sourceId: source ? xrefFor(source) : null,
+        page: text(citation.page) || null,
+        // Gramps confidence runs 0 (very low) to 4 (very high); GEDCOM QUAY stops at 3
+        quality: isNaN(confidence) ? null : Math.min(confidence, 3),
+        text: noteTexts(citation.noteref, { transcript: true }).join('\n\n') || null,
+        notes: noteTexts(citation.noteref)
+      };
+    });
+
+  const readEvent = (handle) => {
+    const evt = events.get(handle);
+    if (!evt) return null;
+    const type = text(evt.type);
+    const tag = EVENT_TAGS[type] || 'EVEN';
+    const place = evt.place ? places.get(evt.place.hlink) : null;
+    const coord = place && place.coord;
+    return {
+      tag,
+      value: VALUE_TAGS.includes(tag) ? text(evt.description) || null : null,
+      type: tag === 'EVEN' ? type || null : null,
+      date: readDate(evt),
+      place: place ? placeTitle(place.handle) : null,
+      lat: coord ? parseCoordinate(coord.lat) : null,
+      lon: coord ? parseCoordinate(coord.long) : null,
+      citations: readCitations(evt.citationref),
+      notes: noteTexts(evt.noteref),
+      mediaIds: mediaIds(evt.objref)
+    };
+  };
+
+  const individuals = [...people.values()].map(person => ({
+    gedcomId: xrefFor(person),
+    sex: ['M', 'F'].includes(text(person.gender)) ? text(person.gender) : null,
+    names: (person.name || []).map((name, index) => {
+      const surname = (name.surname || []).find(s => s.prim !== '0') || (name.surname || [])[0];
+      return {
+        given: text(name.first),
+        surname: text(surname),
+        surnamePrefix: surname && typeof surname === 'object' ? surname.prefix || '' : '',
+        prefix: text(name.title),
+        suffix: text(name.suffix),
+        nickname: text(name.nick),
+        type: index === 0 ? null : NAME_TYPES[name.type] || (name.type ? name.type.toLowerCase() : null)
+      };
+    }),
+    // Only events the person took part in as the main subject (not as a witness, say)
+    events: (person.eventref || [])
+      .filter(ref => !ref.role || ref.role === 'Primary')
+      .map(ref => readEvent(ref.hlink))
+      .filter(evt => evt && !FAM_EVENTS[evt.tag]),
+    notes: noteTexts(person.noteref),
+    mediaIds: mediaIds(person.objref)
+  }));
+
+  const famRecords = [...families.values()].map(family => {
+    const member = (ref) => (ref && people.has(ref.hlink) ? xrefFor(people.get(ref.hlink)) : null);
+    return {
+      gedcomFamId: xrefFor(family),
+      husbandId: member(family.father),
+      wifeId: member(family.mother),
+      childIds: (family.childref || []).map(member).filter(Boolean),
+      events: (family.eventref || [])
+        .map(ref => readEvent(ref.hlink))
+        .filter(evt => evt && FAM_EVENTS[evt.tag]),
+      mediaIds: mediaIds(family.objref)
+    };
+  });
+
+  const sourceRecords = [...sources.values()].map(source => {
+    const repository = (source.reporef || []).map(ref => repositories.get(ref.hlink)).find(Boolean);
+    return {
+      gedcomId: xrefFor(source),
+      title: text(source.stitle) || null,
+      abbreviation: text(source.sabbrev) || null,
+      author: text(source.sauthor) || null,
+      publication: text(source.spubinfo) || null,
+      repositoryId: null,
+      repository: repository ? text(repository.rname) || null : null,
+      text: noteTexts(source.noteref, { transcript: true }).join('\n\n') || null,
+      notes: noteTexts(source.noteref)
+    };
+  });
+
+  const mediaRecords = [...objects.values()].map(object => {
+    const file = object.file || {};
+    return {
+      id: xrefFor(object),
+      file: file.src || null,
+      title: file.description || null,
+      form: file.mime ? file.mime.split('/').pop().toLowerCase() : null
+    };
+  });
+
+  const records = { individuals, famRecords, sourceRecords, repoNames: new Map(), noteRecords: new Map(), mediaRecords };
+  return { ...buildParseResult(records, 'UTF-8'), format: 'Gramps XML' };
+}
+
+/**
+ * Escape text for an XML element or attribute
+ */
+function esc(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gramps date element for a stored event date, or null when there is no date
+ */
+function dateElement({ date, endDate, precision, qualifier }) {
+  if (!date) return null;
+  const val = (iso) => String(iso).slice(0, precision === 'year' ? 4 : precision === 'month' ? 7 : 10);
+  if (endDate && qualifier === 'between') return `<daterange start="${val(date)}" stop="${val(endDate)}"/>`;
+  if (endDate) return `<datespan start="${val(date)}" stop="${val(endDate)}"/>`;
+  if (['about', 'before', 'after'].includes(qualifier)) return `<dateval val="${val(date)}" type="${qualifier}"/>`;
+  if (['estimated', 'calculated'].includes(qualifier)) return `<dateval val="${val(date)}" quality="${qualifier}"/>`;
+  // Open-ended FROM/TO dates have no dateval form; Gramps parses the text instead
+  if (qualifier) return `<datestr val="${esc(formatDateValue({ date, precision, qualifier }))}"/>`;
+  return `<dateval val="${val(date)}"/>`;
+}
+
+/**
+ * Build a Gramps XML document (write it gzipped as a .gramps file)
+ * @param {Object} data - Same shape as exportGedcom takes ({ user, people, families, events, sources })
+ * @returns {string} Gramps XML content
+ */
+function exportGramps({ user, people, families, events, sources = [] }) {
+  const { personEvents, familyEvents, otherEvents } = groupExportEvents({ people, families, events });
+  const change = Math.floor(Date.now() / 1000);
+  const gramps = { events: [], people: [], families: [], citations: [], sources: [], places: [], repositories: [], notes: [] };
+  const counters = {};
+  const nextId = (prefix) => {
+    counters[prefix] = (counters[prefix] || 0) + 1;
+    return `${prefix}${String(counters[prefix] - 1).padStart(4, '0')}`;
+  };
+  const stripXref = (xref) => xref.replace(/^@|@$/g, '');
+
+  const addNote = (content, type) => {
+    const id = nextId('N');
+    gramps.notes.push(`<note handle="_${id}" change="${change}" id="${id}" type="${type}">\n      <text>${esc(content)}</text>\n    </note>`);
+    return `_${id}`;
+  };
+  const noteRefs = (content, type) => (content ? [`<noteref hlink="${addNote(content, type)}"/>`] : []);
+
+  const repositoryHandles = new Map();
+  const sourceHandles = new Map();
+  for (const src of sources) {
+    const id = stripXref(src.gedcom_id);
+    sourceHandles.set(src.gedcom_id, `_${id}`);
+    let repository = null;
+    if (src.repository) {
+      if (!repositoryHandles.has(src.repository)) {
+        const repoId = nextId('R');
+        repositoryHandles.set(src.repository, `_${repoId}`);
+        gramps.repositories.push(`<repository handle="_${repoId}" change="${change}" id="${repoId}">\n      <rname>${esc(src.repository)}</rname>\n      <type>Library</type>\n    </repository>`);
+      }
+      repository = `<reporef hlink="${repositoryHandles.get(src.repository)}"/>`;
+    }
+    const children = [
+      `<stitle>${esc(src.title)}</stitle>`,
+      src.author && `<sauthor>${esc(src.author)}</sauthor>`,
+      src.publication && `<spubinfo>${esc(src.publication)}</spubinfo>`,
+      ...noteRefs(src.text, 'Transcript'),
+      ...noteRefs(src.note, 'Source Note'),
+      repository
+    ].filter(Boolean);
+    gramps.sources.push(`<source handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </source>`);
+  }
+
+  // One place object per distinct name and position
+  const placeHandles = new Map();
+  const placeRef = ({ place, lat, lon }) => {
+    if (!place) return null;
+    const hasCoords = lat !== null && lat !== undefined && lon !== null && lon !== undefined;
+    const key = `${place}|${hasCoords ? `${lat},${lon}` : ''}`;
+    if (!placeHandles.has(key)) {
+      const id = nextId('P');
+      placeHandles.set(key, `_${id}`);
+      const coord = hasCoords ? `\n      <coord long="${lon}" lat="${lat}"/>` : '';
+      gramps.places.push(`<placeobj handle="_${id}" change="${change}" id="${id}" type="Unknown">\n      <pname value="${esc(place)}"/>${coord}\n    </placeobj>`);
+    }
+    return `<place hlink="${placeHandles.get(key)}"/>`;
+  };
+
+  const citationRefs = (citations = []) => citations.map(citation => {
+    const id = nextId('C');
+    const quality = citation.quality === null || citation.quality === undefined ? 2 : citation.quality;
+    const sourceHandle = sourceHandles.get(citation.source_gedcom_id);
+    const children = [
+      citation.page && `<page>${esc(citation.page)}</page>`,
+      `<confidence>${quality}</confidence>`,
+      ...noteRefs(citation.text, 'Transcript'),
+      ...noteRefs(citation.note, 'Citation'),
+      sourceHandle && `<sourceref hlink="${sourceHandle}"/>`
+    ].filter(Boolean);
+    gramps.citations.push(`<citation handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </citation>`);
+    return `<citationref hlink="_${id}"/>`;
+  });
+
+  // Returns the eventref for the person or family that owns the event
+  const addEvent = (type, detail, { description, notes, citations } = {}, role = 'Primary') => {
+    const id = nextId('E');
+    const children = [
+      `<type>${esc(type)}</type>`,
+      dateElement(detail),
+      placeRef(detail),
+      description && `<description>${esc(description)}</description>`,
+      ...noteRefs(notes, 'Event Note'),
+      ...citationRefs(citations)
+    ].filter(Boolean);
+    gramps.events.push(`<event handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </event>`);
+    return `<eventref hlink="_${id}" role="${role}"/>`;
+  };
+
+  const personHandles = new Map(people.map(p => [p.gedcom_id, `_${stripXref(p.gedcom_id)}`]));
+  const familyHandles = new Map(families.map(f => [f.gedcomFamId, `_${stripXref(f.gedcomFamId)}`]));
+
+  const nameElement = ({ given, surname, surnamePrefix, prefix, suffix, nickname }, attributes) => {
+    const surnameElement = surnamePrefix && surname.startsWith(`${surnamePrefix} `)
+      ? `<surname prefix="${esc(surnamePrefix)}">${esc(surname.slice(surnamePrefix.length + 1))}</surname>`
+      : `<surname>${esc(surname || '')}</surname>`;
+    const children = [
+      given && `<first>${esc(given)}</first>`,
+      surnameElement,
+      suffix && `<suffix>${esc(suffix)}</suffix>`,
+      prefix && `<title>${esc(prefix)}</title>`,
+      nickname && `<nick>${esc(nickname)}</nick>`
+    ].filter(Boolean);
+    return `<name ${attributes}>\n        ${children.join('\n        ')}\n      </name>`;
+  };
+  // Without stored name parts the display name is split at the last word
+  const splitName = (name) => {
+    const words = String(name).trim().split(/\s+/);
+    return { surname: words.length > 1 ? words.pop() : '', given: words.join(' ') };
+  };
+
+  for (const person of people) {
+    const id = stripXref(person.gedcom_id);
+    const owned = personEvents.get(person.gedcom_id);
+    const labels = new Set(owned.map(({ label }) => label));
+    const primary = person.given_name || person.surname
+      ? { given: person.given_name, surname: person.surname }
+      : splitName(person.name);
+    // A lowercase particle kept in the display name ("Johann von Berg") is a surname prefix
+    if (primary.surname && person.name.includes(primary.surname)) {
+      primary.surnamePrefix = (primary.surname.match(/^([a-z][\w']*) \S/) || [])[1];
+    }
+    const children = [
+      `<gender>${person.sex === 'M' || person.sex === 'F' ? person.sex : 'U'}</gender>`,
+      nameElement({ ...primary, prefix: person.name_prefix, suffix: person.name_suffix, nickname: person.nickname }, 'type="Birth Name"'),
+      ...(person.alternate_names || []).map(alt => nameElement(
+        alt.given || alt.surname ? alt : splitName(alt.name),
+        alt.type ? `alt="1" type="${esc(ALT_NAME_TYPES[alt.type] || alt.type)}"` : 'alt="1"'
+      ))
+    ];
+
+    // Birth/death known only from the person record (e.g. no place to map)
+    if (!labels.has('Birth') && (person.birth_date || person.birth_place)) {
+      children.push(addEvent('Birth', personEventDetail(person, 'birth')));
+    }
+    if (!labels.has('Death') && (person.death_date || person.death_place)) {
+      children.push(addEvent('Death', personEventDetail(person, 'death')));
+    }
+    for (const { evt, label, tag } of owned) {
+      children.push(addEvent(tag ? TAG_TYPES[tag] : label, eventDetail(evt), { notes: evt.notes, citations: evt.citations }));
+    }
+
+    for (const fam of families) {
+      if (fam.childIds.includes(person.gedcom_id)) children.push(`<childof hlink="${familyHandles.get(fam.gedcomFamId)}"/>`);
+    }
+    for (const fam of families) {
+      if (fam.husbandId === person.gedcom_id || fam.wifeId === person.gedcom_id) {
+        children.push(`<parentin hlink="${familyHandles.get(fam.gedcomFamId)}"/>`);
+      }
+    }
+    children.push(...noteRefs(person.notes, 'Person Note'));
+    gramps.people.push(`<person handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </person>`);
+  }
+
+  // Everything not tied to a GEDCOM person is kept on a person for the account holder
+  if (otherEvents.length > 0) {
+    const id = `U${user.id}`;
+    const children = [
+      '<gender>U</gender>',
+      nameElement(splitName(user.name || 'Ancestry Atlas user'), 'type="Birth Name"'),
+      ...otherEvents.map(evt => addEvent(evt.title, eventDetail(evt), {
+        description: evt.description, notes: evt.notes, citations: evt.citations
+      }))
+    ];
+    gramps.people.push(`<person handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </person>`);
+  }
+
+  for (const fam of families) {
+    const id = stripXref(fam.gedcomFamId);
+    const children = [
+      fam.husbandId && personHandles.has(fam.husbandId) && `<father hlink="${personHandles.get(fam.husbandId)}"/>`,
+      fam.wifeId && personHandles.has(fam.wifeId) && `<mother hlink="${personHandles.get(fam.wifeId)}"/>`,
+      ...(familyEvents.get(fam.gedcomFamId) || []).map(({ evt, tag }) => addEvent(
+        TAG_TYPES[tag], eventDetail(evt), { notes: evt.notes, citations: evt.citations }, 'Family'
+      )),
+      ...fam.childIds.filter(childId => personHandles.has(childId)).map(childId => `<childref hlink="${personHandles.get(childId)}"/>`)
+    ].filter(Boolean);
+    gramps.families.push(`<family handle="_${id}" change="${change}" id="${id}">\n      ${children.join('\n      ')}\n    </family>`);
+  }
+
+  const section = (name) => (gramps[name].length > 0
+    ? [`  <${name}>`, ...gramps[name].map(item => `    ${item}`), `  </${name}>`]
+    : []);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE database PUBLIC "-//Gramps//DTD Gramps XML 1.7.1//EN"',
+    '"http://gramps-project.org/xml/1.7.1/grampsxml.dtd">',
+    '<database xmlns="http://gramps-project.org/xml/1.7.1/">',
+    '  <header>',
+    `    <created date="${new Date().toISOString().slice(0, 10)}" version="Ancestry Atlas 1.0"/>`,
+    '    <researcher>',
+    `      <resname>${esc(user.name || 'Ancestry Atlas user')}</resname>`,
+    '    </researcher>',
+    '  </header>',
+    ...section('events'),
+    ...section('people'),
+    ...section('families'),
+    ...section('citations'),
+    ...section('sources'),
+    ...section('places'),
+    ...section('repositories'),
+    ...section('notes'),
+    '</database>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { isGrampsXml, parseGramps, exportGramps };
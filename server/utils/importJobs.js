@@ -0,0 +1,129 @@
+/**
+ * In-memory background jobs for long-running GEDCOM imports
+ * Jobs report their phase and geocoding progress so clients can poll for status
+ */
+
+const crypto = require('crypto');
+
+// Finished jobs are kept around for an hour so users can come back for the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * Public view of a job (without the owning user id)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    treeId: job.treeId,
+    phase: job.phase,
+    geocoded: job.geocoded,
+    total: job.total,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Drop finished jobs older than the TTL
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if ((job.status === 'completed' || job.status === 'failed') && Date.parse(job.updatedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Start a job in the background
+ * @param {number} userId - Owner of the job
+ * @param {function} task - async (progress) => result; progress.phase(name) and
+ *                          progress.geocoding(completed, total) update the job, and
+ *                          progress.tree(id) records a tree the job created to import into
+ * @param {number|null} [treeId] - Tree the job imports into, if it already exists
+ * @returns {Object} The job, serialized
+ */
+function startJob(userId, task, treeId = null) {
+  pruneJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    treeId,
+    status: 'running',
+    phase: 'queued',
+    geocoded: 0,
+    total: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(job.id, job);
+
+  const touch = () => { job.updatedAt = new Date().toISOString(); };
+  const progress = {
+    phase: (phase) => { job.phase = phase; touch(); },
+    tree: (id) => { job.treeId = id; touch(); },
+    geocoding: (completed, total) => {
+      job.phase = 'geocoding';
+      job.geocoded = completed;
+      job.total = total;
+      touch();
+    }
+  };
+
+  // Defer so the HTTP response goes out before any synchronous work starts
+  setImmediate(async () => {
+    try {
+      job.result = await task(progress);
+      job.status = 'completed';
+      job.phase = 'done';
+    } catch (err) {
+      console.error(`Import job ${job.id} failed:`, err);
+      job.status = 'failed';
+      job.error = err.message;
+    }
+    touch();
+  });
+
+  return serializeJob(job);
+}
+
+/**
+ * Find a job owned by the given user
+ */
+function getJob(id, userId) {
+  const job = jobs.get(id);
+  if (!job || job.userId !== userId) return null;
+  return serializeJob(job);
+}
+
+/**
+ * Find a user's job that is still running (one import at a time per user)
+ */
+function findRunningJob(userId) {
+  for (const job of jobs.values()) {
+    if (job.userId === userId && job.status === 'running') return serializeJob(job);
+  }
+  return null;
+}
+
+/**
+ * Find a running job importing into a tree, which mustn't be deleted under it
+ */
+function findRunningJobForTree(treeId) {
+  for (const job of jobs.values()) {
+    if (job.treeId === treeId && job.status === 'running') return serializeJob(job);
+  }
+  return null;
+}
+
+module.exports = { startJob, getJob, findRunningJob, findRunningJobForTree };
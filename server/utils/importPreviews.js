@@ -0,0 +1,46 @@
+/**
+ * In-memory store for parsed GEDCOM files awaiting confirmation
+ * A preview holds the parse result so the confirm step doesn't need the file again
+ */
+
+const crypto = require('crypto');
+
+// Unconfirmed previews are discarded after 30 minutes
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+
+const previews = new Map();
+
+/**
+ * Drop previews older than the TTL
+ */
+function prunePreviews() {
+  const cutoff = Date.now() - PREVIEW_TTL_MS;
+  for (const [id, preview] of previews) {
+    if (preview.createdAt < cutoff) previews.delete(id);
+  }
+}
+
+/**
+ * Store a parse result for later confirmation
+ * @returns {string} Preview id
+ */
+function savePreview(userId, parsed) {
+  prunePreviews();
+  const id = crypto.randomUUID();
+  previews.set(id, { userId, parsed, createdAt: Date.now() });
+  return id;
+}
+
+/**
+ * Take a user's preview out of the store (each preview can be confirmed once)
+ * @returns {Object|null} The parse result
+ */
+function takePreview(id, userId) {
+  prunePreviews();
+  const preview = previews.get(id);
+  if (!preview || preview.userId !== userId) return null;
+  previews.delete(id);
+  return preview.parsed;
+}
+
+module.exports = { savePreview, takePreview };
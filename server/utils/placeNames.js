@@ -0,0 +1,98 @@
+/**
+ * Historical place name dictionary (place_names table): rewrites old, foreign and
+ * misspelt names in imported places ("Ceylon", "Kolberg", "Engnd") to the modern
+ * names geocoders know. Shared entries apply to everyone; a family can add its own.
+ */
+
+const { placeNameQueries, userQueries } = require('../models/database');
+const { cleanPlaceName } = require('./geocoder');
+
+const NAME_MAX_LENGTH = 100;
+
+/**
+ * Match a name as a whole word (or words), so "Ceylon" doesn't match inside "Ceylonese"
+ */
+function nameMatcher(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Whether an entry applies to an event in a year (unknown years use every entry)
+ */
+function appliesInYear(entry, year) {
+  if (!year) return true;
+  return (entry.from_year === null || year >= entry.from_year) &&
+    (entry.to_year === null || year <= entry.to_year);
+}
+
+/**
+ * Rewrite the old names in a place with their modern ones. A place that is just a
+ * town name afterwards gets the country of the entry that matched it.
+ * @param {string} place - Cleaned place name (cleanPlaceName)
+ * @param {number|null} year - Year of the event
+ * @param {Array} entries - placeNameQueries.findForFamily rows, applied in order
+ * @returns {string}
+ */
+function modernizePlace(place, year, entries) {
+  let result = place;
+  let country = null;
+
+  for (const entry of entries) {
+    if (!appliesInYear(entry, year)) continue;
+    const pattern = nameMatcher(entry.old_name);
+    if (result.search(pattern) === -1) continue;
+    result = result.replace(pattern, (match, before) => before + entry.modern_name);
+    if (!country) country = entry.country;
+  }
+
+  if (country && !result.includes(',') && result.toLowerCase() !== country.toLowerCase()) {
+    result = `${result}, ${country}`;
+  }
+  return result;
+}
+
+/**
+ * Dictionary entries that apply to a user's imports: their family's, then the shared ones
+ */
+function loadPlaceNames(userId) {
+  const user = userQueries.findById(userId);
+  return placeNameQueries.findForFamily(user ? user.family_id : null);
+}
+
+/**
+ * The text to geocode for a place recorded on a date
+ * @param {string} place - Place as imported
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @param {Array} entries - loadPlaceNames output
+ * @returns {string|null} null when there is nothing to look up
+ */
+function placeQuery(place, date, entries) {
+  const cleaned = cleanPlaceName(place);
+  if (!cleaned) return null;
+  const year = date ? parseInt(date.slice(0, 4)) || null : null;
+  return modernizePlace(cleaned, year, entries);
+}
+
+/**
+ * Check a place name entry from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePlaceName({ old_name, modern_name, from_year, to_year, country }) {
+  for (const [field, value] of [['old_name', old_name], ['modern_name', modern_name]]) {
+    if (typeof value !== 'string' || value.trim() === '') return `${field} is required`;
+    if (value.trim().length > NAME_MAX_LENGTH) return `${field} must be at most ${NAME_MAX_LENGTH} characters`;
+  }
+  if (country !== undefined && country !== null && typeof country !== 'string') {
+    return 'country must be a string';
+  }
+  for (const [field, value] of [['from_year', from_year], ['to_year', to_year]]) {
+    if (value !== undefined && value !== null && !Number.isInteger(value)) return `${field} must be a whole year`;
+  }
+  if (Number.isInteger(from_year) && Number.isInteger(to_year) && from_year > to_year) {
+    return 'from_year must not be after to_year';
+  }
+  return null;
+}
+
+module.exports = { modernizePlace, loadPlaceNames, placeQuery, validatePlaceName };
@@ -0,0 +1,69 @@
+/**
+ * Places (places table): the distinct place names of a user's events and GEDCOM people,
+ * each with its hierarchy and coordinates. Imports link everything they store to a place,
+ * so a place can be renamed, re-geocoded or searched once for all of them.
+ */
+
+const { placeQueries, eventQueries, gedcomPeopleQueries } = require('../models/database');
+
+/**
+ * Look up a user's places by name, creating the ones that don't exist yet.
+ * Ids are cached, so create one linker per import.
+ * @param {number} userId
+ * @returns {function(string, {lat: number, lon: number, precision: string}|null, string): number|null}
+ *   (name, coordinates and their precision, where the coordinates came from) -> place id, null
+ *   without a name. The coordinates place a place that has none; a placed place keeps its own.
+ */
+function createPlaceLinker(userId) {
+  const places = new Map();
+
+  return (name, coords = null, source = null) => {
+    if (!name) return null;
+    let place = places.get(name);
+    if (!place) {
+      const stored = placeQueries.findByUserIdAndName(userId, name);
+      place = stored
+        ? { id: stored.id, placed: stored.latitude !== null }
+        : {
+          id: placeQueries.create(
+            userId, name, coords ? coords.lat : null, coords ? coords.lon : null, source, coords ? coords.precision : null
+          ).lastInsertRowid,
+          placed: Boolean(coords)
+        };
+      places.set(name, place);
+    }
+    if (coords && !place.placed) {
+      placeQueries.fillCoordinates(coords.lat, coords.lon, source, coords.precision, place.id);
+      place.placed = true;
+    }
+    return place.id;
+  };
+}
+
+/**
+ * Link a tree's events and people to their places after an import
+ * @param {number} userId
+ * @param {number} treeId
+ * @param {Set<string>} filePlaces - Place names whose coordinates came from the imported file
+ */
+function linkTreePlaces(userId, treeId, filePlaces = new Set()) {
+  const placeId = createPlaceLinker(userId);
+
+  for (const event of eventQueries.findByTreeId(treeId)) {
+    const coords = event.latitude !== null
+      ? { lat: event.latitude, lon: event.longitude, precision: event.location_precision }
+      : null;
+    const id = placeId(event.place_name, coords, filePlaces.has(event.place_name) ? 'file' : 'geocoder');
+    if (id !== event.place_id) eventQueries.setPlace(id, event.id);
+  }
+
+  for (const person of gedcomPeopleQueries.findByTreeId(treeId)) {
+    const birthPlaceId = placeId(person.birth_place);
+    const deathPlaceId = placeId(person.death_place);
+    if (birthPlaceId !== person.birth_place_id || deathPlaceId !== person.death_place_id) {
+      gedcomPeopleQueries.setPlaces(birthPlaceId, deathPlaceId, person.id);
+    }
+  }
+}
+
+module.exports = { createPlaceLinker, linkTreePlaces };
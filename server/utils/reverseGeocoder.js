@@ -0,0 +1,204 @@
+/**
+ * Offline reverse geocoding: which country and region (state, province, constituent country)
+ * a point is in, by point-in-polygon against GeoJSON boundary files.
+ * Countries are read from the ADMIN (or NAME) and ISO_A2 properties, regions from name,
+ * iso_a2 and admin (their country's code and ADMIN name), as in the Natural Earth admin-0
+ * and admin-1 files. The bundled data/countries.geojson and data/regions.geojson are those
+ * files simplified to about 1 km; see data/README.md.
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+
+// Points this close to a border (in km) but outside every shape, such as coastal towns and
+// ports the outlines cut off, count as in the nearest country or region
+const COAST_TOLERANCE_KM = 30;
+const KM_PER_DEGREE = 111.32;
+
+const NO_LOCATION = Object.freeze({ country: null, countryCode: null, region: null });
+
+let boundaries = null;
+const cache = new Map();
+
+/**
+ * Read a GeoJSON file into a list of { properties, polygons, bbox } features.
+ * Each polygon is a list of rings (outer ring first, then holes) of [lon, lat] points.
+ */
+function loadBoundaries(filePath) {
+  const { features } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const loaded = [];
+
+  for (const feature of features || []) {
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    if (polygons.length === 0) continue;
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    let area = 0;
+    for (const polygon of polygons) {
+      for (const [lon, lat] of polygon[0]) {
+        bbox[0] = Math.min(bbox[0], lon);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lon);
+        bbox[3] = Math.max(bbox[3], lat);
+      }
+      area += Math.abs(ringArea(polygon[0]));
+    }
+    loaded.push({ properties: feature.properties || {}, polygons, bbox, area });
+  }
+
+  return loaded;
+}
+
+// Shoelace area in square degrees, to prefer the smaller of two overlapping shapes
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return sum / 2;
+}
+
+// Ray casting: does the ring contain the point?
+function ringContains(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function featureContains(feature, lon, lat) {
+  const [minLon, minLat, maxLon, maxLat] = feature.bbox;
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+  return feature.polygons.some(([outer, ...holes]) =>
+    ringContains(outer, lon, lat) && !holes.some(hole => ringContains(hole, lon, lat)));
+}
+
+// Distance in km from the point to the feature's nearest edge (flat projection, fine at this range)
+function distanceToFeature(feature, lon, lat) {
+  const lonScale = Math.cos((lat * Math.PI) / 180);
+  let nearest = Infinity;
+  for (const polygon of feature.polygons) {
+    for (const ring of polygon) {
+      for (let i = 1; i < ring.length; i++) {
+        const ax = (ring[i - 1][0] - lon) * lonScale;
+        const ay = ring[i - 1][1] - lat;
+        const bx = (ring[i][0] - lon) * lonScale;
+        const by = ring[i][1] - lat;
+        const dx = bx - ax;
+        const dy = by - ay;
+        const length = dx * dx + dy * dy;
+        const t = length === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / length));
+        nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    }
+  }
+  return nearest * KM_PER_DEGREE;
+}
+
+/**
+ * The feature containing the point (the smallest, where shapes overlap), or else the
+ * nearest one within the coast tolerance
+ */
+function findFeature(features, lon, lat) {
+  const containing = features.filter(f => featureContains(f, lon, lat));
+  if (containing.length > 0) {
+    return containing.reduce((best, f) => (f.area < best.area ? f : best));
+  }
+
+  const margin = COAST_TOLERANCE_KM / KM_PER_DEGREE;
+  let nearest = null;
+  let nearestDistance = COAST_TOLERANCE_KM;
+  for (const feature of features) {
+    const [minLon, minLat, maxLon, maxLat] = feature.bbox;
+    const lonMargin = margin / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    if (lon < minLon - lonMargin || lon > maxLon + lonMargin || lat < minLat - margin || lat > maxLat + margin) continue;
+    const distance = distanceToFeature(feature, lon, lat);
+    if (distance <= nearestDistance) {
+      nearest = feature;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+// Natural Earth uses -99 for the few countries without an official code
+function isoCode(code) {
+  return code && code !== '-99' ? code : null;
+}
+
+/**
+ * Load the boundary files on first use. A missing file is reported once and leaves
+ * countries (or regions) unknown rather than failing the request.
+ */
+function getBoundaries() {
+  if (boundaries) return boundaries;
+
+  const load = (filePath, label) => {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`${label} boundary file not found: ${filePath}`);
+      return [];
+    }
+    return loadBoundaries(filePath);
+  };
+  // Regions by their country's code and by its name, as the two files don't always agree on both
+  const regions = new Map();
+  for (const region of load(config.regionBoundariesPath, 'Region')) {
+    const keys = new Set([isoCode(region.properties.iso_a2), region.properties.admin]);
+    for (const key of keys) {
+      if (!key) continue;
+      if (!regions.has(key)) regions.set(key, []);
+      regions.get(key).push(region);
+    }
+  }
+  boundaries = { countries: load(config.countryBoundariesPath, 'Country'), regions };
+  return boundaries;
+}
+
+/**
+ * Find the country and region a point is in
+ * @param {number|null} lat
+ * @param {number|null} lon
+ * @returns {{country: string|null, countryCode: string|null, region: string|null}}
+ */
+function reverseGeocode(lat, lon) {
+  if (lat === null || lat === undefined || lon === null || lon === undefined) return NO_LOCATION;
+
+  // About 100 m, closer than any boundary file draws a border
+  const key = `${lat.toFixed(3)},${lon.toFixed(3)}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const { countries, regions } = getBoundaries();
+  const country = findFeature(countries, lon, lat);
+  let result = NO_LOCATION;
+  if (country) {
+    const admin = country.properties.ADMIN || country.properties.NAME || country.properties.name;
+    const code = isoCode(country.properties.ISO_A2);
+    const region = findFeature(regions.get(code) || regions.get(admin) || [], lon, lat);
+    result = {
+      country: admin,
+      countryCode: code,
+      region: region ? region.properties.name : null
+    };
+  }
+  cache.set(key, result);
+  return result;
+}
+
+/**
+ * Add the country, country_code and region of its coordinates to an event row
+ */
+function withLocation(event) {
+  const { country, countryCode, region } = reverseGeocode(event.latitude, event.longitude);
+  return { ...event, country, country_code: countryCode, region };
+}
+
+module.exports = { reverseGeocode, withLocation, loadBoundaries };
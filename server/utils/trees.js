@@ -0,0 +1,58 @@
+/**
+ * Helpers shared by the tree routes and the GEDCOM import/export routes
+ * A user's GEDCOM people, families, sources and imported events belong to one of their named trees
+ */
+
+const { treeQueries, eventQueries, placeQueries } = require('../models/database');
+const { removeEventPhotos } = require('./gedcomImporter');
+
+const TREE_NAME_MAX_LENGTH = 100;
+
+/**
+ * Check a tree name from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTreeName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Tree name is required';
+  }
+  if (name.trim().length > TREE_NAME_MAX_LENGTH) {
+    return `Tree name must be at most ${TREE_NAME_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Find one of a user's trees by id. Without an id, the user's first tree is used,
+ * so clients that don't know about trees keep working on the tree they had.
+ * @param {number} userId
+ * @param {string|number} [treeId] - From a query string or request body
+ * @returns {{ tree: Object|null, error?: string }} tree is null when the user has no trees;
+ *          error is set when treeId isn't one of the user's trees
+ */
+function resolveTree(userId, treeId) {
+  if (treeId === undefined || treeId === null || treeId === '') {
+    return { tree: treeQueries.findByUserId(userId)[0] || null };
+  }
+  const tree = treeQueries.findById(parseInt(treeId));
+  if (!tree || tree.user_id !== userId) {
+    return { tree: null, error: 'Tree not found' };
+  }
+  return { tree };
+}
+
+/**
+ * Delete a tree with its people, families, sources and events, including the events' photo
+ * files and the places nothing else is at
+ * @returns {number} Events deleted
+ */
+function deleteTree(treeId) {
+  const tree = treeQueries.findById(treeId);
+  const eventIds = eventQueries.findByTreeId(treeId).map(e => e.id);
+  removeEventPhotos(eventIds);
+  treeQueries.delete(treeId);
+  placeQueries.deleteUnused(tree.user_id);
+  return eventIds.length;
+}
+
+module.exports = { validateTreeName, resolveTree, deleteTree, TREE_NAME_MAX_LENGTH };